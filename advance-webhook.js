@@ -1,7 +1,7 @@
 const axios = require("axios");
 const {
   getRegionalAdvanceForecast,
-  getWeatherEmoji,
+  getRegionalPlayerForecast,
 } = require("./src/services/weatherService");
 const {
   loadConfiguration,
@@ -9,21 +9,65 @@ const {
   getRegionConfig,
   getAdvanceForecastWebhookUrls,
 } = require("./src/config/config");
+const { recordWeather } = require("./src/services/ledgerService");
+const { getActivePause } = require("./src/services/pauseService");
+const { logPostedWeather } = require("./src/services/weatherLogService");
+const { addDays } = require("./src/utils/dates");
 const { logger } = require("./src/utils/logger");
+const {
+  buildAdvanceForecastMessage,
+  buildAdvanceForecastSection,
+  buildForecastErrorSection,
+} = require("./src/utils/messageFormatter");
 
 /**
- * Send consolidated advance forecasts for all regions to all advance webhook URLs
+ * Post one message to a webhook, recording the outcome in results
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {string} content - Message content
+ * @param {string} label - Webhook description for the log
+ * @param {Object[]} results - Results to add to
  */
-async function sendAllRegionalAdvanceForecasts() {
+async function postAdvanceForecast(webhookUrl, content, label, results) {
   try {
-    const advanceWebhookUrls = getAdvanceForecastWebhookUrls();
+    const response = await axios.post(
+      webhookUrl,
+      { content },
+      {
+        headers: { "Content-Type": "application/json" },
+      }
+    );
 
-    if (advanceWebhookUrls.length === 0) {
-      logger.info("No advance forecast webhook URLs configured - skipping");
-      console.log("ℹ️ No advance forecast webhook URLs configured - skipping");
-      return;
+    if (response.status === 204) {
+      logger.info(`Advance forecast posted successfully to ${label}`);
+      results.push({ webhook: label, success: true });
+    } else {
+      logger.warn(
+        `Unexpected response status: ${response.status} for ${label}`
+      );
+      results.push({
+        webhook: label,
+        success: false,
+        status: response.status,
+      });
     }
+  } catch (error) {
+    logger.error(`Failed to send to ${label}: ${error.message}`);
+    results.push({
+      webhook: label,
+      success: false,
+      error: error.message,
+    });
+  }
+}
 
+/**
+ * Send consolidated advance forecasts for all regions to all advance webhook
+ * URLs, and each region's forecast to the commander webhooks that turned
+ * advance forecasts on in the Commander Database
+ */
+async function sendAllRegionalAdvanceForecasts() {
+  try {
+    const advanceWebhookUrls = getAdvanceForecastWebhookUrls();
     const configuredRegions = getConfiguredRegions();
 
     if (configuredRegions.length === 0) {
@@ -32,44 +76,62 @@ async function sendAllRegionalAdvanceForecasts() {
       return;
     }
 
+    // Regions in a posting pause tomorrow are left out of the forecast
+    const tomorrow = addDays(new Date(), 1);
+    const activeRegions = configuredRegions.filter(
+      (region) => !getActivePause(region.pauses, tomorrow)
+    );
+    const commanderWebhookCount = activeRegions.reduce(
+      (count, region) =>
+        count +
+        (region.webhooks || []).filter((webhook) => webhook.advance).length,
+      0
+    );
+
+    if (advanceWebhookUrls.length === 0 && commanderWebhookCount === 0) {
+      logger.info("No advance forecast webhook URLs configured - skipping");
+      console.log("ℹ️ No advance forecast webhook URLs configured - skipping");
+      return;
+    }
+
+    if (activeRegions.length === 0) {
+      logger.info("Posting is paused for all regions tomorrow - skipping");
+      console.log("⏸️ Posting is paused for all regions tomorrow - skipping");
+      return;
+    }
+
     logger.info(
-      `Sending advance forecasts for ${configuredRegions.length} regions to ${advanceWebhookUrls.length} webhook(s)`
+      `Sending advance forecasts for ${activeRegions.length} regions to ${advanceWebhookUrls.length} webhook(s) and ${commanderWebhookCount} commander webhook(s)`
     );
 
     // Build consolidated message for all regions
     let consolidatedMessage =
       "📅 **Tomorrow's Weather Forecast - All Regions**\n\n";
+    const postedForecasts = [];
 
-    for (const region of configuredRegions) {
+    for (const region of activeRegions) {
       try {
         const regionConfig = getRegionConfig(region.id);
         const weather = getRegionalAdvanceForecast(regionConfig);
+        const playerForecast = getRegionalPlayerForecast(regionConfig, weather);
 
-        consolidatedMessage += `🌍 **${regionConfig.name}**\n`;
-        consolidatedMessage += `**Date:** ${weather.date}\n`;
-        consolidatedMessage += `**Season:** ${
-          weather.season.charAt(0).toUpperCase() + weather.season.slice(1)
-        }\n`;
-        consolidatedMessage += `${getWeatherEmoji(
-          weather.condition,
-          false
-        )} **Weather:** ${weather.condition}\n`;
-
-        // Add mechanical impacts if any
-        if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
-          weather.impacts.forEach((impact) => {
-            consolidatedMessage += `⚠️ ${impact}\n`;
-          });
-        }
-
-        consolidatedMessage += "\n─────────────────────────────\n\n";
+        // GM-facing: the truth, flagged where the players' forecast was wrong
+        consolidatedMessage += buildAdvanceForecastSection(
+          regionConfig,
+          weather,
+          playerForecast
+        );
+        postedForecasts.push({
+          regionId: region.id,
+          regionConfig,
+          weather,
+          playerForecast,
+        });
       } catch (error) {
         logger.error(
           `Failed to generate advance forecast for region ${region.id}: ${error.message}`
         );
-        consolidatedMessage += `🌍 **${region.name || region.id}**\n`;
-        consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
-        consolidatedMessage += "─────────────────────────────\n\n";
+        consolidatedMessage += buildForecastErrorSection(region);
       }
     }
 
@@ -80,53 +142,67 @@ async function sendAllRegionalAdvanceForecasts() {
     // Send to all advance webhook URLs
     const results = [];
     for (let i = 0; i < advanceWebhookUrls.length; i++) {
-      const webhookUrl = advanceWebhookUrls[i];
-      try {
-        const response = await axios.post(
-          webhookUrl,
-          { content: consolidatedMessage },
-          {
-            headers: { "Content-Type": "application/json" },
-          }
-        );
+      await postAdvanceForecast(
+        advanceWebhookUrls[i],
+        consolidatedMessage,
+        `advance webhook ${i + 1}/${advanceWebhookUrls.length}`,
+        results
+      );
+    }
 
-        if (response.status === 204) {
-          logger.info(
-            `Advance forecast posted successfully to webhook ${i + 1}/${
-              advanceWebhookUrls.length
-            }`
-          );
-          results.push({ webhookIndex: i + 1, success: true });
-        } else {
-          logger.warn(
-            `Unexpected response status: ${
-              response.status
-            } for advance webhook ${i + 1}`
-          );
-          results.push({
-            webhookIndex: i + 1,
-            success: false,
-            status: response.status,
-          });
-        }
-      } catch (error) {
-        logger.error(
-          `Failed to send to advance webhook ${i + 1}/${
-            advanceWebhookUrls.length
-          }: ${error.message}`
+    // The GMs' post logs the truth
+    if (advanceWebhookUrls.length > 0) {
+      await logPostedWeather(
+        postedForecasts,
+        "advance",
+        results.filter((r) => r.success).length,
+        results.length
+      );
+    }
+
+    // Commanders get their own region as the players' forecast shows it, and
+    // the Weather Log records what they were shown
+    for (const { regionId, regionConfig, playerForecast } of postedForecasts) {
+      const webhooks = regionConfig.webhooks.filter(
+        (webhook) => webhook.advance
+      );
+      if (webhooks.length === 0) continue;
+
+      const commanderResults = [];
+      for (let i = 0; i < webhooks.length; i++) {
+        await postAdvanceForecast(
+          webhooks[i].url,
+          buildAdvanceForecastMessage(
+            regionConfig,
+            playerForecast,
+            webhooks[i]
+          ),
+          `commander webhook ${i + 1}/${webhooks.length} for region: ${
+            regionConfig.name
+          }`,
+          commanderResults
         );
-        results.push({
-          webhookIndex: i + 1,
-          success: false,
-          error: error.message,
-        });
       }
+      results.push(...commanderResults);
+      await logPostedWeather(
+        [{ regionId, weather: playerForecast }],
+        "advance",
+        commanderResults.filter((r) => r.success).length,
+        commanderResults.length
+      );
     }
 
     // Log summary
     const successful = results.filter((r) => r.success).length;
     const failed = results.length - successful;
 
+    // Tomorrow's weather has been announced - freeze it in the ledger
+    if (successful > 0) {
+      for (const { regionId, weather } of postedForecasts) {
+        recordWeather(regionId, weather);
+      }
+    }
+
     if (failed === 0) {
       logger.info(
         `Advance forecast posted successfully to all ${successful} webhook(s)`
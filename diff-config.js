@@ -0,0 +1,70 @@
+const { parseArgs } = require("util");
+const { getConfigProvider } = require("./src/config/config");
+const {
+  diffSheets,
+  loadLatestSnapshot,
+  readSnapshot,
+} = require("./src/services/snapshotService");
+const { logger } = require("./src/utils/logger");
+const { buildSheetDiffReport } = require("./src/utils/reportFormatter");
+
+const USAGE = `Usage: node diff-config.js [options]
+
+Compare the live configuration (Google Sheets, or local files with
+CONFIG_SOURCE=local) with a configuration snapshot, cell by cell, to review
+GM edits. Webhook tokens are masked.
+
+Options:
+  --snapshot FILE       Snapshot to compare with (default: the newest in
+                        CONFIG_SNAPSHOT_DIR)
+  --help                Show this help`;
+
+/**
+ * Fetch the live sheets and compare them with a snapshot
+ * @param {Object} [options] - { snapshot: snapshot file }
+ * @returns {Promise<string>} - Diff report
+ */
+async function runDiff(options = {}) {
+  const snapshot = options.snapshot
+    ? readSnapshot(options.snapshot)
+    : loadLatestSnapshot();
+  if (!snapshot) {
+    throw new Error(
+      "No configuration snapshot found - set CONFIG_SNAPSHOT_DIR or pass --snapshot"
+    );
+  }
+
+  const provider = getConfigProvider();
+  logger.info(`Comparing ${provider.label} with snapshot ${snapshot.savedAt}`);
+  const sheets = await provider.fetchSheets();
+  return buildSheetDiffReport(diffSheets(snapshot.sheets, sheets), snapshot);
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  (async () => {
+    try {
+      const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+          snapshot: { type: "string" },
+          help: { type: "boolean", default: false },
+        },
+      });
+      if (values.help) {
+        console.log(USAGE);
+        return;
+      }
+
+      process.stdout.write(await runDiff({ snapshot: values.snapshot }));
+    } catch (error) {
+      logger.error(`Failed to diff configuration: ${error.message}`);
+      console.error("❌ Failed to diff configuration:", error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  runDiff,
+};
@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { logger } = require("./src/utils/logger");
+
+// Every test script in the repository root; test-helpers.js is shared by
+// them and isn't a test itself
+const TEST_FILE = /^test-.+\.js$/;
+const SHARED_FILES = ["test-helpers.js"];
+
+/**
+ * Run every test script, each in its own process so module state, mocks and
+ * environment variables can't leak between them
+ * @returns {string[]} - Test scripts that failed
+ */
+function runTests() {
+  const files = fs
+    .readdirSync(__dirname)
+    .filter((file) => TEST_FILE.test(file) && !SHARED_FILES.includes(file))
+    .sort();
+
+  const failed = [];
+  for (const file of files) {
+    logger.info(`▶️ ${file}`);
+    const { status } = spawnSync(
+      process.execPath,
+      [path.join(__dirname, file)],
+      {
+        cwd: __dirname,
+        stdio: "inherit",
+      }
+    );
+    if (status !== 0) {
+      failed.push(file);
+    }
+  }
+
+  if (failed.length > 0) {
+    logger.error(
+      `💥 ${failed.length} of ${
+        files.length
+      } test scripts failed: ${failed.join(", ")}`
+    );
+  } else {
+    logger.info(`✅ All ${files.length} test scripts passed`);
+  }
+  return failed;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  if (runTests().length > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  runTests,
+};
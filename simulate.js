@@ -0,0 +1,177 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const {
+  loadConfiguration,
+  loadConfigurationFromFile,
+  getConfigurationDump,
+  getConfiguredRegions,
+} = require("./src/config/config");
+const {
+  simulateRegion,
+  findDefaultEmojiConditions,
+} = require("./src/services/simulationService");
+const { addDays, parseIsoDate, toIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const {
+  buildMarkdownReport,
+  buildCsvReport,
+  buildDefaultEmojiReport,
+} = require("./src/utils/reportFormatter");
+
+const USAGE = `Usage: node simulate.js [options]
+
+Simulate the weather of every region and report condition frequencies per
+season, the longest streaks and how often each impact fires.
+
+Options:
+  --from YYYY-MM-DD     First day (default: today)
+  --to YYYY-MM-DD       Last day, inclusive (default: a year after --from)
+  --format md|csv       Report format (default: md)
+  --out FILE            Write the report to a file instead of stdout
+  --config FILE         Read the configuration from a JSON dump (no network)
+  --dump-config FILE    Load the configuration (Google Sheets, or local files
+                        with CONFIG_SOURCE=local), write it as a JSON dump
+                        and exit
+  --emojis              List the conditions that fall back to the default
+                        emoji instead of simulating
+  --help                Show this help`;
+
+/**
+ * Parse and check the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - { from, to, format, out, config, dumpConfig, emojis,
+ *   help }
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      format: { type: "string", default: "md" },
+      out: { type: "string" },
+      config: { type: "string" },
+      "dump-config": { type: "string" },
+      emojis: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  const now = new Date();
+  const from = values.from
+    ? parseIsoDate(values.from)
+    : new Date(
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+      );
+  if (!from) {
+    throw new Error(`Invalid --from "${values.from}": expected YYYY-MM-DD`);
+  }
+  const to = values.to ? parseIsoDate(values.to) : addDays(from, 364);
+  if (!to) {
+    throw new Error(`Invalid --to "${values.to}": expected YYYY-MM-DD`);
+  }
+  if (to < from) {
+    throw new Error(
+      `--to ${toIsoDate(to)} is before --from ${toIsoDate(from)}`
+    );
+  }
+  if (!["md", "csv"].includes(values.format)) {
+    throw new Error(`Invalid --format "${values.format}": expected md or csv`);
+  }
+
+  return {
+    from,
+    to,
+    format: values.format,
+    out: values.out,
+    config: values.config,
+    dumpConfig: values["dump-config"],
+    emojis: values.emojis,
+    help: values.help,
+  };
+}
+
+async function runSimulation(options) {
+  if (options.config) {
+    loadConfigurationFromFile(options.config);
+  } else {
+    // Snapshots record what the posting runs used, not simulations
+    await loadConfiguration({ readOnly: true });
+  }
+
+  if (options.dumpConfig) {
+    fs.writeFileSync(
+      options.dumpConfig,
+      `${JSON.stringify(getConfigurationDump(), null, 2)}\n`
+    );
+    logger.info(`Configuration written to ${options.dumpConfig}`);
+    return;
+  }
+
+  const regions = getConfiguredRegions();
+  if (regions.length === 0) {
+    logger.warn("No regions configured - nothing to simulate");
+    return;
+  }
+
+  const report = options.emojis
+    ? buildEmojiReport(regions, options.format)
+    : buildSimulationReport(regions, options);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, report);
+    logger.info(`Report written to ${options.out}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+function buildSimulationReport(regions, options) {
+  const from = toIsoDate(options.from);
+  const to = toIsoDate(options.to);
+  logger.info(`Simulating ${regions.length} region(s) from ${from} to ${to}`);
+
+  const results = regions.map((region) => ({
+    name: region.name || region.id,
+    ...simulateRegion(region, options.from, options.to),
+  }));
+
+  return options.format === "csv"
+    ? buildCsvReport(results)
+    : buildMarkdownReport(results, from, to);
+}
+
+function buildEmojiReport(regions, format) {
+  const results = regions.map((region) => ({
+    name: region.name || region.id,
+    conditions: findDefaultEmojiConditions(region),
+  }));
+  const total = results.reduce((sum, r) => sum + r.conditions.length, 0);
+  logger.info(`${total} condition(s) fall back to the default emoji`);
+
+  return buildDefaultEmojiReport(results, format);
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  (async () => {
+    try {
+      const options = parseOptions(process.argv.slice(2));
+      if (options.help) {
+        console.log(USAGE);
+        return;
+      }
+
+      await runSimulation(options);
+    } catch (error) {
+      logger.error(`Failed to run simulation: ${error.message}`);
+      console.error("❌ Failed to run simulation:", error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  parseOptions,
+  runSimulation,
+};
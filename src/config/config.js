@@ -1,34 +1,162 @@
 require("dotenv").config();
+const fs = require("fs");
 const { logger } = require("../utils/logger");
 const {
-  fetchConfiguration,
+  fetchConfigurationSheets,
+  parseConfiguration,
   getAdvanceWebhookUrls,
+  DEFAULT_WEBHOOK_PREFERENCES,
 } = require("../services/googleSheetsService");
+const {
+  readLocalConfigurationSheets,
+} = require("../services/localConfigService");
+const {
+  loadLatestSnapshot,
+  saveSnapshot,
+  sendFallbackNotice,
+} = require("../services/snapshotService");
+
+// Where the configuration comes from, selected by CONFIG_SOURCE. Every
+// provider reads the same sheets and shares their parsing and merging
+const CONFIG_PROVIDERS = {
+  sheets: { label: "Google Sheets", fetchSheets: fetchConfigurationSheets },
+  local: { label: "local files", fetchSheets: readLocalConfigurationSheets },
+};
+const DEFAULT_CONFIG_SOURCE = "sheets";
 
 // Cached configuration - populated by loadConfiguration()
 let regionsConfig = null;
 let configLoaded = false;
 
 /**
- * Load configuration from Google Sheets
+ * Get the configuration provider selected by CONFIG_SOURCE
+ * @returns {{ label: string, fetchSheets: function(): Promise<Object> }} -
+ *   fetchSheets returns the unparsed rows by sheet name
+ */
+function getConfigProvider() {
+  const source = (process.env.CONFIG_SOURCE || DEFAULT_CONFIG_SOURCE)
+    .trim()
+    .toLowerCase();
+  const provider = CONFIG_PROVIDERS[source];
+  if (!provider) {
+    throw new Error(
+      `Invalid CONFIG_SOURCE "${
+        process.env.CONFIG_SOURCE
+      }": expected ${Object.keys(CONFIG_PROVIDERS).join(" or ")}`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Parse the newest configuration snapshot, after the live configuration
+ * failed to fetch or to parse
+ * @param {{ label: string }} provider - Provider that failed
+ * @param {Error} error - Why the live configuration can't be used
+ * @returns {Promise<Object>} - Parsed configuration
+ * @throws {Error} - The original error when no snapshot can be used
+ */
+async function loadSnapshotConfiguration(provider, error) {
+  let snapshot;
+  let config;
+  try {
+    snapshot = loadLatestSnapshot();
+    config = snapshot && parseConfiguration(snapshot.sheets);
+  } catch (snapshotError) {
+    logger.error(
+      `Configuration snapshot unusable: ${snapshotError.message} - not falling back`
+    );
+    throw error;
+  }
+  if (!snapshot) {
+    throw error;
+  }
+
+  logger.warn(
+    `Failed to load configuration from ${provider.label}: ${error.message} - using the snapshot from ${snapshot.savedAt}`
+  );
+  await sendFallbackNotice(snapshot, error);
+  logger.info(`Configuration loaded from snapshot ${snapshot.path}`);
+  return config;
+}
+
+/**
+ * Load configuration from Google Sheets, or from local files with
+ * CONFIG_SOURCE=local
+ * If the sheets can't be fetched or parsed, the newest configuration
+ * snapshot is used instead (see snapshotService); a configuration that
+ * loads is snapshotted unless the caller only reads it
  * Must be called before using any config functions
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - Don't snapshot the
+ *   configuration (tools such as the simulation leave that to the posting
+ *   runs)
  * @returns {Promise<void>}
  */
-async function loadConfiguration() {
+async function loadConfiguration({ readOnly = false } = {}) {
   if (configLoaded) {
     return;
   }
 
   try {
-    regionsConfig = await fetchConfiguration();
+    const provider = getConfigProvider();
+
+    let sheets;
+    let config;
+    try {
+      sheets = await provider.fetchSheets();
+      config = parseConfiguration(sheets);
+    } catch (error) {
+      regionsConfig = await loadSnapshotConfiguration(provider, error);
+      configLoaded = true;
+      return;
+    }
+
+    regionsConfig = config;
     configLoaded = true;
-    logger.info("Configuration loaded successfully from Google Sheets");
+    if (!readOnly) {
+      saveSnapshot(sheets, provider.label);
+    }
+    logger.info(`Configuration loaded successfully from ${provider.label}`);
   } catch (error) {
     logger.error(`Failed to load configuration: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Load configuration from a JSON dump instead of Google Sheets (no network)
+ * @param {string} filePath - File written from getConfigurationDump()
+ */
+function loadConfigurationFromFile(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Failed to read configuration dump ${filePath}: ${error.message}`
+    );
+  }
+  if (!config || typeof config.regions !== "object") {
+    throw new Error(
+      `Configuration dump ${filePath} has no "regions" - expected a file written with --dump-config`
+    );
+  }
+
+  regionsConfig = config;
+  configLoaded = true;
+  logger.info(`Configuration loaded from ${filePath}`);
+}
+
+/**
+ * Get the loaded configuration as plain JSON-safe data
+ * @returns {Object} - Parsed configuration ({ regions })
+ */
+function getConfigurationDump() {
+  ensureConfigLoaded();
+  return regionsConfig;
+}
+
 /**
  * Ensure configuration is loaded before accessing it
  */
@@ -91,10 +219,21 @@ function getRegionConfig(regionId) {
     throw new Error(`No webhook URLs configured for region '${regionId}'`);
   }
 
+  // Delivery preferences per webhook; configuration dumps from before the
+  // preference columns only list the URLs
+  const webhooks = webhookUrls.map(
+    (url) =>
+      (region.webhooks || []).find((webhook) => webhook.url === url) || {
+        url,
+        ...DEFAULT_WEBHOOK_PREFERENCES,
+      }
+  );
+
   return {
     id: regionId,
     ...region,
     webhookUrls,
+    webhooks,
   };
 }
 
@@ -123,7 +262,10 @@ function resetConfiguration() {
 }
 
 module.exports = {
+  getConfigProvider,
   loadConfiguration,
+  loadConfigurationFromFile,
+  getConfigurationDump,
   getConfiguredRegions,
   getRegionConfig,
   getWeeklyForecastWebhookUrl,
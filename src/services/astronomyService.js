@@ -0,0 +1,127 @@
+const { MS_PER_DAY, dayNumber, parseIsoDate } = require("../utils/dates");
+const { toGameDate, getGameDaysSinceStart } = require("./calendarService");
+
+// Daylight and moon phase, computed offline from the date and the region's
+// latitude. Times are local solar time (the sun is highest at 12:00), which
+// is close enough for planning night marches without modelling time zones.
+// With a campaign calendar, daylight follows the in-game time of year and
+// the moon follows in-game days.
+
+const DEGREES = Math.PI / 180;
+// Sun's apparent radius plus atmospheric refraction at the horizon
+const HORIZON_ANGLE = -0.833;
+
+// Mean length of a lunar cycle, and a known new moon (2000-01-06 18:14 UTC)
+const SYNODIC_MONTH = 29.530588853;
+const REFERENCE_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14) / MS_PER_DAY;
+
+const MOON_PHASES = [
+  { name: "New Moon", emoji: "🌑" },
+  { name: "Waxing Crescent", emoji: "🌒" },
+  { name: "First Quarter", emoji: "🌓" },
+  { name: "Waxing Gibbous", emoji: "🌔" },
+  { name: "Full Moon", emoji: "🌕" },
+  { name: "Waning Gibbous", emoji: "🌖" },
+  { name: "Last Quarter", emoji: "🌗" },
+  { name: "Waning Crescent", emoji: "🌘" },
+];
+
+// Day of the year (1-365); in-game calendars are scaled onto 365 days
+function getDayOfYear(date, calendar) {
+  if (!calendar) {
+    return (
+      dayNumber(date) -
+      dayNumber(new Date(Date.UTC(date.getUTCFullYear(), 0, 1))) +
+      1
+    );
+  }
+
+  const { month, day } = toGameDate(date, calendar);
+  let elapsed = day - 1;
+  let yearLength = 0;
+  calendar.months.forEach((entry, index) => {
+    if (index < month - 1) elapsed += entry.days;
+    yearLength += entry.days;
+  });
+  return Math.floor((elapsed / yearLength) * 365) + 1;
+}
+
+// "HH:MM" for a number of hours after midnight
+function formatTime(hours) {
+  const minutes = Math.round(hours * 60);
+  const hh = String(Math.floor(minutes / 60) % 24).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+/**
+ * Daylight at a latitude on a date
+ * @param {Date} date - Date (UTC)
+ * @param {number} latitude - Degrees, north positive
+ * @param {Object|null} [calendar] - Campaign calendar (see calendarService)
+ * @returns {{ hours: number, sunrise: string|null, sunset: string|null }}
+ *   - Hours of daylight (one decimal) and solar times; sunrise and sunset
+ *   are null during polar day or night
+ */
+function getDaylight(date, latitude, calendar = null) {
+  const dayOfYear = getDayOfYear(date, calendar);
+  const declination =
+    23.44 * DEGREES * Math.sin(((2 * Math.PI) / 365) * (284 + dayOfYear));
+  const phi = latitude * DEGREES;
+
+  const cosHourAngle =
+    (Math.sin(HORIZON_ANGLE * DEGREES) -
+      Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+
+  if (cosHourAngle >= 1) {
+    return { hours: 0, sunrise: null, sunset: null };
+  }
+  if (cosHourAngle <= -1) {
+    return { hours: 24, sunrise: null, sunset: null };
+  }
+
+  const halfDay = Math.acos(cosHourAngle) / DEGREES / 15;
+  return {
+    hours: Math.round(halfDay * 2 * 10) / 10,
+    sunrise: formatTime(12 - halfDay),
+    sunset: formatTime(12 + halfDay),
+  };
+}
+
+/**
+ * Moon phase on a date
+ * With a calendar the moon keeps its real phase on the calendar start date
+ * and then advances with in-game days (so a time scale of 2 runs it twice
+ * as fast)
+ * @param {Date} date - Date (UTC)
+ * @param {Object|null} [calendar] - Campaign calendar (see calendarService)
+ * @returns {{ phase: string, emoji: string, illumination: number }}
+ *   - Phase name, emoji and lit fraction (0-1, two decimals)
+ */
+function getMoonPhase(date, calendar = null) {
+  let days = dayNumber(date) - REFERENCE_NEW_MOON;
+  if (calendar) {
+    days =
+      dayNumber(parseIsoDate(calendar.realStart)) -
+      REFERENCE_NEW_MOON +
+      getGameDaysSinceStart(date, calendar);
+  }
+
+  const age = ((days % SYNODIC_MONTH) + SYNODIC_MONTH) % SYNODIC_MONTH;
+  const fraction = age / SYNODIC_MONTH;
+  const { name, emoji } =
+    MOON_PHASES[Math.round(fraction * MOON_PHASES.length) % MOON_PHASES.length];
+
+  return {
+    phase: name,
+    emoji,
+    illumination:
+      Math.round(((1 - Math.cos(2 * Math.PI * fraction)) / 2) * 100) / 100,
+  };
+}
+
+module.exports = {
+  getDaylight,
+  getMoonPhase,
+};
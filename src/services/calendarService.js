@@ -0,0 +1,101 @@
+const { dayNumber, parseIsoDate } = require("../utils/dates");
+
+// Campaign calendar: maps real dates onto a fictional in-game calendar
+// A calendar is plain data (see parseCalendarSettings in
+// sheets/calendarSettings):
+// {
+//   realStart: "YYYY-MM-DD",          // real date of the anchor
+//   gameStart: { year, month, day },  // in-game date on the anchor (month is 1-based)
+//   timeScale: 1,                     // in-game days per real day
+//   months: [{ name, days }],
+//   weekdays: ["..."],                // the in-game start date is the first weekday
+//   era: "AE",                        // optional suffix after the year
+// }
+
+const GREGORIAN_MONTHS = [
+  { name: "January", days: 31 },
+  { name: "February", days: 28 },
+  { name: "March", days: 31 },
+  { name: "April", days: 30 },
+  { name: "May", days: 31 },
+  { name: "June", days: 30 },
+  { name: "July", days: 31 },
+  { name: "August", days: 31 },
+  { name: "September", days: 30 },
+  { name: "October", days: 31 },
+  { name: "November", days: 30 },
+  { name: "December", days: 31 },
+];
+
+const DEFAULT_WEEKDAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+// Modulo that stays positive for negative numbers
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+function getYearLength(calendar) {
+  return calendar.months.reduce((sum, month) => sum + month.days, 0);
+}
+
+// Absolute in-game day index (day 0 = first day of year 0)
+function toGameDayIndex(calendar, { year, month, day }) {
+  let index = year * getYearLength(calendar);
+  for (let i = 0; i < month - 1; i++) {
+    index += calendar.months[i].days;
+  }
+  return index + day - 1;
+}
+
+// In-game days elapsed since the calendar anchor for a real date
+function getGameDaysSinceStart(date, calendar) {
+  const realDays =
+    dayNumber(date) - dayNumber(parseIsoDate(calendar.realStart));
+  return Math.floor(realDays * (calendar.timeScale || 1));
+}
+
+// Convert a real date to the in-game date
+function toGameDate(date, calendar) {
+  const weekdays = calendar.weekdays || DEFAULT_WEEKDAYS;
+  const yearLength = getYearLength(calendar);
+  const elapsed = getGameDaysSinceStart(date, calendar);
+  const index = toGameDayIndex(calendar, calendar.gameStart) + elapsed;
+
+  const year = Math.floor(index / yearLength);
+  let dayOfYear = mod(index, yearLength);
+  let month = 1;
+  for (const { days } of calendar.months) {
+    if (dayOfYear < days) break;
+    dayOfYear -= days;
+    month++;
+  }
+  const day = dayOfYear + 1;
+  const monthName = calendar.months[month - 1].name;
+  const dayOfWeek = weekdays[mod(elapsed, weekdays.length)];
+
+  return {
+    year,
+    month,
+    day,
+    monthName,
+    dayOfWeek,
+    formatted: `${monthName} ${day}, ${year}${
+      calendar.era ? ` ${calendar.era}` : ""
+    }`,
+  };
+}
+
+module.exports = {
+  GREGORIAN_MONTHS,
+  DEFAULT_WEEKDAYS,
+  toGameDate,
+  getGameDaysSinceStart,
+};
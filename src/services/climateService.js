@@ -0,0 +1,196 @@
+const { createStream } = require("../utils/random");
+
+// Numeric weather (temperature, wind, precipitation) from per-season climate
+// parameters: { minTemp, maxTemp, maxWind, maxPrecipitation } in °C, km/h, mm.
+// Values are constrained by the condition's profile, so a "Blizzard" is
+// always below freezing and a "Clear" day is always dry. The sheet can name
+// a condition's profile (see getConditionProfile); otherwise the first
+// profile with a keyword in the condition text wins. Ranges are fractions of
+// the season maximum.
+const CONDITION_PROFILES = [
+  {
+    name: "blizzard",
+    keywords: ["blizzard"],
+    maxHigh: -2,
+    precipitationType: "snow",
+    precipitation: [0.6, 1],
+    wind: [0.7, 1],
+  },
+  {
+    name: "sleet",
+    keywords: ["sleet", "freezing rain"],
+    maxHigh: 2,
+    precipitationType: "sleet",
+    precipitation: [0.2, 0.6],
+    wind: [0.2, 0.6],
+  },
+  {
+    name: "snow",
+    keywords: ["snow", "flurries"],
+    maxHigh: 1,
+    precipitationType: "snow",
+    precipitation: [0.2, 0.8],
+    wind: [0.1, 0.5],
+  },
+  {
+    name: "frost",
+    keywords: ["icy", "frost", "freezing", "frozen", "bitter"],
+    maxHigh: 3,
+    precipitation: [0, 0],
+    wind: [0, 0.4],
+  },
+  {
+    name: "storm",
+    keywords: ["thunder", "storm"],
+    minHigh: 5,
+    precipitationType: "rain",
+    precipitation: [0.5, 1],
+    wind: [0.5, 1],
+  },
+  {
+    name: "downpour",
+    keywords: ["downpour", "heavy rain"],
+    minHigh: 3,
+    precipitationType: "rain",
+    precipitation: [0.6, 1],
+    wind: [0.2, 0.6],
+  },
+  {
+    name: "rain",
+    keywords: ["rain", "showers", "drizzle"],
+    minHigh: 3,
+    precipitationType: "rain",
+    precipitation: [0.05, 0.4],
+    wind: [0.1, 0.5],
+  },
+  {
+    name: "fog",
+    keywords: ["fog", "mist"],
+    precipitation: [0, 0],
+    wind: [0, 0.15],
+  },
+  {
+    name: "wind",
+    keywords: ["blustery", "windy", "gale", "winds"],
+    precipitation: [0, 0],
+    wind: [0.6, 1],
+  },
+  {
+    name: "heat",
+    keywords: ["hot", "heat"],
+    minHigh: 28,
+    precipitation: [0, 0],
+    wind: [0, 0.4],
+  },
+  {
+    name: "cold",
+    keywords: ["cold", "chill", "cool"],
+    maxHigh: 12,
+    precipitation: [0, 0],
+    wind: [0.1, 0.5],
+  },
+  {
+    name: "clear",
+    keywords: ["sunny", "clear", "bright", "hazy"],
+    precipitation: [0, 0],
+    wind: [0, 0.4],
+  },
+];
+
+const DEFAULT_PROFILE = { name: "fair", precipitation: [0, 0], wind: [0, 0.5] };
+
+// Profile names the sheet can use, in matching order
+const CLIMATE_PROFILE_NAMES = [
+  ...CONDITION_PROFILES.map((profile) => profile.name),
+  DEFAULT_PROFILE.name,
+];
+
+const WIND_DIRECTIONS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Profile constraining the numbers for a condition: the one the sheet names
+// for it in `profiles` (lower-case condition to profile name), else the
+// first keyword match
+function getConditionProfile(condition, profiles = null) {
+  const conditionLower = condition.toLowerCase();
+  const named = profiles && profiles[conditionLower];
+  if (named) {
+    return (
+      CONDITION_PROFILES.find((profile) => profile.name === named) ||
+      DEFAULT_PROFILE
+    );
+  }
+  return (
+    CONDITION_PROFILES.find((profile) =>
+      profile.keywords.some((keyword) => conditionLower.includes(keyword))
+    ) || DEFAULT_PROFILE
+  );
+}
+
+// Linear interpolation between the two ends of a range
+function lerp([from, to], t) {
+  return from + (to - from) * t;
+}
+
+function hasNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Generate numeric weather for a day; parts without climate data are null
+function generateClimate(date, regionId, condition, climate, seed, profiles) {
+  const result = { temperature: null, wind: null, precipitation: null };
+  if (!climate) {
+    return result;
+  }
+
+  const rng = createStream(date, regionId, "climate", seed);
+  const profile = getConditionProfile(condition, profiles);
+
+  // Always draw the same number of values so parts stay independent
+  const highRoll = rng();
+  const spreadRoll = rng();
+  const windRoll = rng();
+  const directionRoll = rng();
+  const precipitationRoll = rng();
+
+  if (hasNumber(climate.minTemp) && hasNumber(climate.maxTemp)) {
+    const range = climate.maxTemp - climate.minTemp;
+    let high = climate.minTemp + range * lerp([0.35, 1], highRoll);
+    if (hasNumber(profile.maxHigh)) high = Math.min(high, profile.maxHigh);
+    if (hasNumber(profile.minHigh)) high = Math.max(high, profile.minHigh);
+    const spread = Math.max(2, range * lerp([0.2, 0.4], spreadRoll));
+
+    result.temperature = {
+      low: Math.round(high - spread),
+      high: Math.round(high),
+    };
+  }
+
+  if (hasNumber(climate.maxWind)) {
+    result.wind = {
+      speed: Math.round(climate.maxWind * lerp(profile.wind, windRoll)),
+      direction:
+        WIND_DIRECTIONS[Math.floor(directionRoll * WIND_DIRECTIONS.length)],
+    };
+  }
+
+  if (hasNumber(climate.maxPrecipitation)) {
+    const amount =
+      Math.round(
+        climate.maxPrecipitation *
+          lerp(profile.precipitation, precipitationRoll) *
+          10
+      ) / 10;
+    result.precipitation = {
+      amount,
+      type: amount > 0 ? profile.precipitationType || "rain" : "none",
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  CLIMATE_PROFILE_NAMES,
+  generateClimate,
+  getConditionProfile,
+};
@@ -0,0 +1,100 @@
+const { createStream } = require("../utils/random");
+const { addDays } = require("../utils/dates");
+
+// Multi-day weather events (storms, heat waves, ...). An event is plain data
+// (see parseWeatherEventsTable in sheets/eventsSheet):
+// { name, condition, seasons, minDays, maxDays, chance, impacts }
+//
+// Every day, each event may start with its daily chance if the day is in one
+// of its seasons. A started event lasts its rolled duration, and no new event
+// can start while one is running, so any date can be resolved by looking
+// back at most the longest event duration (recursively, for suppression).
+
+// How far back suppression checks may reach before assuming a clear history
+const MAX_EVENT_LOOKBACK_DAYS = 366;
+
+// Event triggered on a day before suppression, or null
+function rollEventStart(date, regionId, events, season, seed) {
+  const rng = createStream(date, regionId, "events", seed);
+  let triggered = null;
+
+  for (const event of events) {
+    // Always draw both values so adding an event doesn't shift earlier ones
+    const startRoll = rng();
+    const durationRoll = rng();
+
+    if (
+      !triggered &&
+      event.seasons.includes(season) &&
+      startRoll < event.chance
+    ) {
+      const duration =
+        event.minDays +
+        Math.floor(durationRoll * (event.maxDays - event.minDays + 1));
+      triggered = { event, duration };
+    }
+  }
+
+  return triggered;
+}
+
+/**
+ * Find the event in progress on a date
+ * @param {Date} date - Date to check (UTC)
+ * @param {string} regionId - Region identifier (seeds the rolls)
+ * @param {Object[]} events - Events that can happen in the region
+ * @param {function(Date): string} getSeasonForDate - Season lookup for the region
+ * @param {Object} [seed] - Campaign seeding scheme (see utils/random)
+ * @returns {{ event: Object, day: number, duration: number }|null}
+ */
+function getActiveEvent(date, regionId, events, getSeasonForDate, seed) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return null;
+  }
+
+  const maxDuration = Math.max(...events.map((event) => event.maxDays));
+  const earliest = addDays(date, -MAX_EVENT_LOOKBACK_DAYS).getTime();
+  const startCache = new Map();
+
+  // Event that actually starts on a day (not suppressed by a running one)
+  const eventStartingOn = (day) => {
+    const key = day.getTime();
+    if (startCache.has(key)) {
+      return startCache.get(key);
+    }
+
+    let start = null;
+    if (key >= earliest) {
+      start = rollEventStart(
+        day,
+        regionId,
+        events,
+        getSeasonForDate(day),
+        seed
+      );
+      if (start && activeOn(addDays(day, -1), 1)) {
+        start = null;
+      }
+    }
+
+    startCache.set(key, start);
+    return start;
+  };
+
+  // Event running on a day, `minRemaining` days including that day
+  const activeOn = (day, minRemaining = 0) => {
+    for (let offset = 0; offset < maxDuration; offset++) {
+      const start = eventStartingOn(addDays(day, -offset));
+      if (start && offset + minRemaining < start.duration) {
+        return { ...start, day: offset + 1 };
+      }
+    }
+    return null;
+  };
+
+  return activeOn(date);
+}
+
+module.exports = {
+  getActiveEvent,
+};
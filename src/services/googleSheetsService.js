@@ -1,8 +1,37 @@
 const { google } = require("googleapis");
 const { logger } = require("../utils/logger");
-
-// Cache for the configuration - fetched once per run
-let cachedConfig = null;
+const { parseIsoDate } = require("../utils/dates");
+const { SEED_VERSIONS, LATEST_SEED_VERSION } = require("../utils/random");
+const { getTerrainConditions } = require("./terrainService");
+const { CLIMATE_PROFILE_NAMES } = require("./climateService");
+const { getSeason } = require("./weatherService");
+const {
+  ConfigError,
+  reportConfigWarning,
+  toCellReference,
+} = require("../utils/configErrors");
+const {
+  parseHemisphere,
+  parseNameList,
+  normalizeSeason,
+} = require("./sheets/cells");
+const {
+  parseSeasonSettings,
+  parseCalendarSettings,
+  validateSeasonStarts,
+  resolveRegionSeasons,
+} = require("./sheets/calendarSettings");
+const { parseClimateTable } = require("./sheets/climateSheet");
+const { parseWeatherEventsTable } = require("./sheets/eventsSheet");
+const {
+  parseWeatherOverridesTable,
+  getRegionOverrides,
+} = require("./sheets/overridesSheet");
+const { parsePostingPausesTable } = require("./sheets/pausesSheet");
+const {
+  parseGroundStateTable,
+  parseGroundLookback,
+} = require("./sheets/groundSheet");
 
 /**
  * Extract the spreadsheet ID from a Google Sheets URL
@@ -22,9 +51,13 @@ function extractSpreadsheetId(sheetLink) {
 
 /**
  * Create an authenticated Google Sheets client
+ * Read-only unless asked for write access (Weather Log only), so read-only
+ * deployments never request more than they need
+ * @param {Object} [options]
+ * @param {boolean} [options.write=false] - Request the read/write scope
  * @returns {Promise<object>} - Google Sheets API client
  */
-async function getGoogleSheetsClient() {
+async function getGoogleSheetsClient({ write = false } = {}) {
   const serviceAccountKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
 
   if (!serviceAccountKey) {
@@ -42,7 +75,11 @@ async function getGoogleSheetsClient() {
 
   const auth = new google.auth.GoogleAuth({
     credentials,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"],
+    scopes: [
+      write
+        ? "https://www.googleapis.com/auth/spreadsheets"
+        : "https://www.googleapis.com/auth/spreadsheets.readonly",
+    ],
   });
 
   const sheets = google.sheets({ version: "v4", auth });
@@ -71,15 +108,80 @@ async function fetchSheetData(sheets, spreadsheetId, range) {
   }
 }
 
+/**
+ * Fetch data from a sheet that may not exist in the spreadsheet
+ * @param {object} sheets - Google Sheets API client
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} range - Sheet name and range (e.g., "Campaign Settings!A:B")
+ * @returns {Promise<string[][]>} - 2D array of cell values (empty if the sheet is missing)
+ */
+async function fetchOptionalSheetData(sheets, spreadsheetId, range) {
+  try {
+    return await fetchSheetData(sheets, spreadsheetId, range);
+  } catch (error) {
+    // The API reports a missing sheet as an unparsable range
+    if (error.message.includes("Unable to parse range")) {
+      logger.info(`Optional sheet for range "${range}" not found - skipping`);
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Delivery preferences of a webhook whose Commander Database row leaves
+// the optional columns blank: daily updates only, full format
+const DEFAULT_WEBHOOK_PREFERENCES = {
+  daily: true,
+  advance: false,
+  weekly: false,
+  mention: null,
+  format: "full",
+  impacts: true,
+};
+
+const MESSAGE_FORMATS = ["full", "compact"];
+
+/**
+ * Parse a Mention cell into Discord mention syntax
+ * @param {string} value - "<@&id>", "<@id>", "role:id", "user:id",
+ *   "@here" or "@everyone"
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {string} - e.g. "<@&123456789012345678>"
+ */
+function parseMention(value, context, location) {
+  const trimmed = value.trim();
+  if (/^<@[&!]?\d+>$/.test(trimmed)) return trimmed;
+  if (/^@(here|everyone)$/i.test(trimmed)) return trimmed.toLowerCase();
+  const match = trimmed.match(/^(role|user)\s*:\s*(\d+)$/i);
+  if (match) {
+    return match[1].toLowerCase() === "role"
+      ? `<@&${match[2]}>`
+      : `<@${match[2]}>`;
+  }
+  throw new ConfigError(
+    `Invalid mention "${trimmed}" for ${context}: expected role:<id>, user:<id>, <@&id>, <@id>, @here or @everyone`,
+    location
+  );
+}
+
 /**
  * Parse the Commander Database sheet
- * Groups webhook URLs by region
+ * Groups webhooks by region, with each webhook's delivery preferences from
+ * the optional Daily, Advance, Weekly, Mention, Format and Impacts columns
  * @param {string[][]} data - Raw sheet data
- * @returns {Object<string, string[]>} - Map of region name to webhook URLs
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {Object<string, Object[]>} - Map of region name to webhooks:
+ *   { url, daily, advance, weekly, mention, format, impacts }
  */
-function parseCommanderDatabase(data) {
+function parseCommanderDatabase(data, warnings) {
+  const sheet = "Commander Database";
   if (!data || data.length < 2) {
-    logger.warn("Commander Database sheet is empty or has no data rows");
+    reportConfigWarning(
+      warnings,
+      "Commander Database sheet is empty or has no data rows",
+      { code: "empty-sheet", sheet }
+    );
     return {};
   }
 
@@ -91,12 +193,26 @@ function parseCommanderDatabase(data) {
   const regionIndex = headers.findIndex(
     (h) => h.includes("weather") && h.includes("region")
   );
+  const preferenceIndexes = {
+    daily: headers.findIndex((h) => h.startsWith("daily")),
+    advance: headers.findIndex((h) => h.startsWith("advance")),
+    weekly: headers.findIndex((h) => h.startsWith("weekly")),
+    mention: headers.findIndex((h) => h.startsWith("mention")),
+    format: headers.findIndex((h) => h.startsWith("format")),
+    impacts: headers.findIndex((h) => h.includes("impact")),
+  };
 
   if (webhookUrlIndex === -1) {
-    throw new Error('Commander Database sheet missing "Webhook URL" column');
+    throw new ConfigError(
+      'Commander Database sheet missing "Webhook URL" column',
+      { code: "missing-column", sheet }
+    );
   }
   if (regionIndex === -1) {
-    throw new Error('Commander Database sheet missing "Weather Region" column');
+    throw new ConfigError(
+      'Commander Database sheet missing "Weather Region" column',
+      { code: "missing-column", sheet }
+    );
   }
 
   // Group webhooks by region
@@ -111,13 +227,37 @@ function parseCommanderDatabase(data) {
       continue; // Skip rows with missing data
     }
 
+    const webhook = { url: webhookUrl, ...DEFAULT_WEBHOOK_PREFERENCES };
+    for (const [preference, columnIndex] of Object.entries(preferenceIndexes)) {
+      const value = columnIndex === -1 ? "" : row[columnIndex]?.trim();
+      if (!value) continue;
+      const context = `"${data[0][
+        columnIndex
+      ].trim()}" in Commander Database cell ${toCellReference(i, columnIndex)}`;
+      const location = { sheet, row: i, column: columnIndex, region };
+      if (preference === "mention") {
+        webhook.mention = parseMention(value, context, location);
+      } else if (preference === "format") {
+        const format = value.toLowerCase();
+        if (!MESSAGE_FORMATS.includes(format)) {
+          throw new ConfigError(
+            `Invalid format "${value}" for ${context}: expected Full or Compact`,
+            location
+          );
+        }
+        webhook.format = format;
+      } else {
+        webhook[preference] = parseYesNo(value, context, location);
+      }
+    }
+
     if (!regionWebhooks[region]) {
       regionWebhooks[region] = [];
     }
 
-    // Avoid duplicate webhook URLs
-    if (!regionWebhooks[region].includes(webhookUrl)) {
-      regionWebhooks[region].push(webhookUrl);
+    // Avoid duplicate webhook URLs (the first row's preferences apply)
+    if (!regionWebhooks[region].some((w) => w.url === webhookUrl)) {
+      regionWebhooks[region].push(webhook);
     }
   }
 
@@ -133,11 +273,15 @@ function parseCommanderDatabase(data) {
 /**
  * Parse the Weather Regions sheet (contains two tables side by side)
  * @param {string[][]} data - Raw sheet data
- * @returns {{ seasonalWeather: Object, mechanicalImpacts: Object }}
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {{ seasonalWeather: Object, mechanicalImpacts: Object, mechanicalOperations: Object, scopedImpacts: Object[], emojis: Object, climateProfiles: Object, regionSettings: Object }}
  */
-function parseWeatherRegions(data) {
+function parseWeatherRegions(data, warnings) {
   if (!data || data.length < 2) {
-    throw new Error("Weather Regions sheet is empty or has no data");
+    throw new ConfigError("Weather Regions sheet is empty or has no data", {
+      code: "empty-sheet",
+      sheet: "Weather Regions",
+    });
   }
 
   // Find the header row by looking for "Region" in column A
@@ -163,23 +307,39 @@ function parseWeatherRegions(data) {
   }
 
   if (headerRowIndex === -1) {
-    throw new Error(
-      'Weather Regions sheet missing regional weather table (looking for "Region | Spring Weather | Summer Weather | ..." header)'
+    throw new ConfigError(
+      'Weather Regions sheet missing regional weather table (looking for "Region | Spring Weather | Summer Weather | ..." header)',
+      { code: "missing-column", sheet: "Weather Regions" }
     );
   }
 
   // Parse regional weather table (stops at first empty row in column A)
-  const seasonalWeather = parseRegionalWeatherTable(
+  const { seasonalWeather, regionSettings } = parseRegionalWeatherTable(
     data,
     headerRowIndex,
-    data.length
+    data.length,
+    warnings
   );
 
   // Parse mechanical impacts from columns to the right (same header row)
   // The "Condition | Mechanical Impact" columns are beside the weather columns
-  const mechanicalImpacts = parseMechanicalImpactsTable(data, headerRowIndex);
-
-  return { seasonalWeather, mechanicalImpacts };
+  const {
+    mechanicalImpacts,
+    mechanicalOperations,
+    scopedImpacts,
+    emojis,
+    climateProfiles,
+  } = parseMechanicalImpactsTable(data, headerRowIndex, warnings);
+
+  return {
+    seasonalWeather,
+    mechanicalImpacts,
+    mechanicalOperations,
+    scopedImpacts,
+    emojis,
+    climateProfiles,
+    regionSettings,
+  };
 }
 
 /**
@@ -187,9 +347,12 @@ function parseWeatherRegions(data) {
  * @param {string[][]} data - Full sheet data
  * @param {number} startRow - Row index where table starts (header row)
  * @param {number} endRow - Row index where next table starts (or end of data)
- * @returns {Object} - Map of region to seasonal weather config
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {{ seasonalWeather: Object, regionSettings: Object }} - Map of
+ *   region to seasonal weather config, and map of region to optional settings
  */
-function parseRegionalWeatherTable(data, startRow, endRow) {
+function parseRegionalWeatherTable(data, startRow, endRow, warnings) {
+  const sheet = "Weather Regions";
   const headers = data[startRow].map((h) => h?.toLowerCase().trim() || "");
 
   // Find season column indices
@@ -206,12 +369,26 @@ function parseRegionalWeatherTable(data, startRow, endRow) {
     autumnIndex === -1 ||
     winterIndex === -1
   ) {
-    throw new Error(
-      "Weather Regions table missing one or more season columns (Spring, Summer, Autumn/Fall, Winter)"
+    throw new ConfigError(
+      "Weather Regions table missing one or more season columns (Spring, Summer, Autumn/Fall, Winter)",
+      { code: "missing-column", sheet, row: startRow }
     );
   }
 
+  // Optional per-region columns
+  const persistenceIndex = headers.findIndex((h) => h.includes("persistence"));
+  const hemisphereIndex = headers.findIndex((h) => h.includes("hemisphere"));
+  const phasesIndex = headers.findIndex((h) => h.includes("phases"));
+  const latitudeIndex = headers.findIndex((h) => h.includes("latitude"));
+  const neighborsIndex = headers.findIndex((h) => h.includes("neighbo"));
+  const parentIndex = headers.findIndex((h) => h.includes("parent"));
+  const terrainIndex = headers.findIndex((h) => h.includes("terrain"));
+  const elevationIndex = headers.findIndex((h) => h.includes("elevation"));
+
   const seasonalWeather = {};
+  const regionSettings = {};
+  // Row of each region, for errors found once every row has been read
+  const regionRows = {};
 
   for (let i = startRow + 1; i < endRow && i < data.length; i++) {
     const row = data[i];
@@ -221,53 +398,830 @@ function parseRegionalWeatherTable(data, startRow, endRow) {
     }
 
     const regionName = row[0].trim();
+    const settings = {};
+    regionRows[regionName] = i;
+    const location = (column, season) => ({
+      sheet,
+      row: i,
+      column,
+      region: regionName,
+      ...(season && { season }),
+    });
 
-    // Parse comma-separated conditions for each season
-    const parseConditions = (cellValue) => {
-      if (!cellValue) return [];
-      return cellValue
-        .split(",")
-        .map((c) => c.trim())
-        .filter((c) => c.length > 0);
-    };
+    // Sub-regions take their weather from the parent region (filled in
+    // below, once every row has been read)
+    if (parentIndex !== -1 && row[parentIndex]?.trim()) {
+      settings.parent = row[parentIndex].trim();
+      if (
+        [springIndex, summerIndex, autumnIndex, winterIndex].some((index) =>
+          row[index]?.trim()
+        )
+      ) {
+        reportConfigWarning(
+          warnings,
+          `Sub-region "${regionName}" inherits the weather of "${settings.parent}" - its season columns are ignored`,
+          { code: "ignored-columns", sheet, row: i, region: regionName }
+        );
+      }
+    }
 
-    seasonalWeather[regionName] = {
-      spring: { conditions: parseConditions(row[springIndex]) },
-      summer: { conditions: parseConditions(row[summerIndex]) },
-      autumn: { conditions: parseConditions(row[autumnIndex]) },
-      winter: { conditions: parseConditions(row[winterIndex]) },
+    // Parse comma-separated (optionally weighted) conditions for each season
+    const parseSeason = (season, columnIndex) =>
+      parseConditions(
+        row[columnIndex],
+        regionName,
+        season,
+        toCellReference(i, columnIndex),
+        location(columnIndex, season)
+      );
+
+    const regionWeather = settings.parent
+      ? null
+      : {
+          spring: parseSeason("spring", springIndex),
+          summer: parseSeason("summer", summerIndex),
+          autumn: parseSeason("autumn", autumnIndex),
+          winter: parseSeason("winter", winterIndex),
+        };
+
+    if (regionWeather && persistenceIndex !== -1) {
+      const persistence = parsePersistence(
+        row[persistenceIndex],
+        regionName,
+        toCellReference(i, persistenceIndex),
+        location(persistenceIndex)
+      );
+      for (const [season, value] of Object.entries(persistence)) {
+        if (value > 0) {
+          regionWeather[season].persistence = value;
+        }
+      }
+    }
+
+    seasonalWeather[regionName] = regionWeather;
+
+    if (hemisphereIndex !== -1 && row[hemisphereIndex]?.trim()) {
+      settings.hemisphere = parseHemisphere(
+        row[hemisphereIndex],
+        `region "${regionName}" in cell ${toCellReference(i, hemisphereIndex)}`,
+        location(hemisphereIndex)
+      );
+    }
+    if (phasesIndex !== -1 && row[phasesIndex]?.trim()) {
+      settings.dayPhases = parseYesNo(
+        row[phasesIndex],
+        `"Day Phases" for region "${regionName}" in cell ${toCellReference(
+          i,
+          phasesIndex
+        )}`,
+        location(phasesIndex)
+      );
+    }
+    if (latitudeIndex !== -1 && row[latitudeIndex]?.trim()) {
+      settings.latitude = parseLatitude(
+        row[latitudeIndex],
+        `region "${regionName}" in cell ${toCellReference(i, latitudeIndex)}`,
+        location(latitudeIndex)
+      );
+    }
+    if (neighborsIndex !== -1 && row[neighborsIndex]?.trim()) {
+      settings.neighbors = parseNameList(row[neighborsIndex]);
+    }
+    if (elevationIndex !== -1 && row[elevationIndex]?.trim()) {
+      settings.elevation = parseElevation(
+        row[elevationIndex],
+        `region "${regionName}" in cell ${toCellReference(i, elevationIndex)}`,
+        location(elevationIndex)
+      );
+    }
+    if (terrainIndex !== -1 && row[terrainIndex]?.trim()) {
+      settings.terrain = parseTerrainRules(
+        row[terrainIndex],
+        `region "${regionName}" in cell ${toCellReference(i, terrainIndex)}`,
+        location(terrainIndex)
+      );
+    }
+    regionSettings[regionName] = settings;
+  }
+
+  // Sub-regions roll exactly like their parent, so they get its lists. Every
+  // row has been read by now, so the parent may be anywhere in the table
+  for (const [regionName, settings] of Object.entries(regionSettings)) {
+    if (!settings.parent) {
+      continue;
+    }
+    const location = {
+      sheet,
+      row: regionRows[regionName],
+      column: parentIndex,
+      region: regionName,
     };
+    if (!regionSettings[settings.parent]) {
+      throw new ConfigError(
+        `Sub-region "${regionName}" has unknown parent region "${settings.parent}"`,
+        { ...location, code: "unknown-region" }
+      );
+    }
+    if (regionSettings[settings.parent].parent) {
+      throw new ConfigError(
+        `Sub-region "${regionName}" has parent "${settings.parent}", which is itself a sub-region - only one level is supported`,
+        { ...location, code: "nested-sub-region" }
+      );
+    }
+    const parentWeather = seasonalWeather[settings.parent];
+    seasonalWeather[regionName] = {};
+    for (const [season, seasonData] of Object.entries(parentWeather)) {
+      seasonalWeather[regionName][season] = {
+        ...seasonData,
+        conditions: [...seasonData.conditions],
+        ...(seasonData.weights && { weights: [...seasonData.weights] }),
+      };
+    }
+  }
+
+  // Terrain rules limited to an elevation use the parent's elevation when
+  // the sub-region has none of its own
+  for (const [regionName, settings] of Object.entries(regionSettings)) {
+    if (!settings.terrain) {
+      continue;
+    }
+    const elevation =
+      settings.elevation ?? regionSettings[settings.parent]?.elevation;
+    const row = regionRows[regionName];
+    const terrain = resolveTerrainElevation(
+      settings.terrain,
+      elevation,
+      `region "${regionName}" in cell ${toCellReference(row, terrainIndex)}`,
+      { sheet, row, column: terrainIndex, region: regionName }
+    );
+    if (terrain) {
+      settings.terrain = terrain;
+    } else {
+      delete settings.terrain;
+    }
   }
 
   logger.info(
     `Parsed regional weather for ${Object.keys(seasonalWeather).length} regions`
   );
 
-  return seasonalWeather;
+  return { seasonalWeather, regionSettings };
+}
+
+/**
+ * Parse terrain rules ("Rain>Snow, Showers>Flurries, +Fog:0.3")
+ * `A>B` substitutes a word or phrase, `+Condition:chance` replaces the
+ * condition with a daily chance (0-1 or a percentage). A rule ending in
+ * "@<elevation>" ("Rain>Snow@1500") only applies to regions at least that
+ * high (see resolveTerrainElevation)
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {{ substitutions: Object[], additions: Object[] }} - Terrain rules
+ *   (see terrainService)
+ */
+function parseTerrainRules(value, context, location) {
+  const terrain = { substitutions: [], additions: [] };
+
+  for (const entry of parseNameList(value)) {
+    const [, rule, rawElevation] = entry.match(
+      /^(.*?)(?:\s*@\s*(-?\d+(?:\.\d+)?)\s*m?)?$/i
+    );
+    const substitution = rule.match(/^(.+?)\s*(?:>|→)\s*(.+)$/);
+    const addition = rule.match(/^\+\s*(.+?)\s*:\s*(\d+(?:\.\d+)?)\s*(%?)$/);
+    const chance = addition
+      ? Number(addition[2]) / (addition[3] ? 100 : 1)
+      : null;
+    const elevation =
+      rawElevation === undefined ? {} : { minElevation: Number(rawElevation) };
+
+    if (substitution) {
+      terrain.substitutions.push({
+        from: substitution[1].trim(),
+        to: substitution[2].trim(),
+        ...elevation,
+      });
+    } else if (addition && chance <= 1) {
+      terrain.additions.push({ condition: addition[1], chance, ...elevation });
+    } else {
+      throw new ConfigError(
+        `Invalid terrain rule "${entry}" for ${context}: expected "Rain>Snow", "+Fog:0.3" or a rule limited to an elevation ("Rain>Snow@1500")`,
+        location
+      );
+    }
+  }
+
+  return terrain;
+}
+
+/**
+ * Keep the terrain rules that apply at a region's elevation
+ * @param {Object} terrain - Parsed terrain rules, some with a minElevation
+ * @param {number|undefined} elevation - Region's elevation (its own or its
+ *   parent's)
+ * @param {string} context - Where the rules came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {Object|null} - Terrain rules without elevations (see
+ *   terrainService), or null if none apply
+ */
+function resolveTerrainElevation(terrain, elevation, context, location) {
+  const applies = ({ minElevation }) => {
+    if (minElevation === undefined) return true;
+    if (elevation === undefined) {
+      throw new ConfigError(
+        `Terrain rule above ${minElevation} for ${context} needs an Elevation for the region or its parent`,
+        { ...location, code: "missing-value" }
+      );
+    }
+    return elevation >= minElevation;
+  };
+  const withoutElevation = ({ minElevation, ...rule }) => rule;
+
+  const substitutions = terrain.substitutions
+    .filter(applies)
+    .map(withoutElevation);
+  const additions = terrain.additions.filter(applies).map(withoutElevation);
+  return substitutions.length > 0 || additions.length > 0
+    ? { substitutions, additions }
+    : null;
+}
+
+/**
+ * Parse a latitude ("51.5", "-33.9", "51.5N", "33.9 S")
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {number} - Degrees, north positive
+ */
+function parseLatitude(value, context, location) {
+  const match = value
+    .trim()
+    .toUpperCase()
+    .match(/^(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?$/);
+  const degrees = match ? Number(match[1]) : NaN;
+  if (!match || Math.abs(degrees) > 90 || (match[2] && degrees < 0)) {
+    throw new ConfigError(
+      `Invalid latitude "${value.trim()}" for ${context}: expected degrees from -90 to 90 (or 0-90 with N/S)`,
+      location
+    );
+  }
+  return match[2] === "S" ? -degrees : degrees;
+}
+
+/**
+ * Parse an elevation ("1500", "1500m", "-20")
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {number} - Elevation, in the sheet's units (metres suggested)
+ */
+function parseElevation(value, context, location) {
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*m?$/i);
+  if (!match) {
+    throw new ConfigError(
+      `Invalid elevation "${value.trim()}" for ${context}: expected a number such as 1500`,
+      location
+    );
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Parse a yes/no cell ("Yes", "No", "TRUE", "FALSE", "Y", "N", "1", "0")
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {boolean}
+ */
+function parseYesNo(value, context, location) {
+  const normalized = value.trim().toLowerCase();
+  if (["yes", "y", "true", "1", "on"].includes(normalized)) return true;
+  if (["no", "n", "false", "0", "off"].includes(normalized)) return false;
+  throw new ConfigError(
+    `Invalid value "${value.trim()}" for ${context}: expected Yes or No`,
+    location
+  );
+}
+
+// A condition's weight: a non-negative number after its last colon
+const CONDITION_WEIGHT = /^\d+(?:\.\d+)?$/;
+
+/**
+ * Parse a seasonal conditions cell
+ * Conditions are comma-separated and may carry an explicit weight
+ * ("Showers:3, Fog:1"). Text after an entry's last colon must be its weight,
+ * so "Showers:-1", "Showers:3x" and "Fog: thick by dawn" are errors rather
+ * than condition names. When any condition is weighted, unweighted ones
+ * count as weight 1; when none are, no weights are returned and the
+ * generator falls back to its ordering bias.
+ * @param {string} cellValue - Raw cell value
+ * @param {string} regionName - Region the cell belongs to (for errors)
+ * @param {string} season - Season the cell belongs to (for errors)
+ * @param {string} cellReference - A1 reference of the cell (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {{ conditions: string[], weights?: number[] }}
+ */
+function parseConditions(
+  cellValue,
+  regionName,
+  season,
+  cellReference,
+  location
+) {
+  const conditions = [];
+  const weights = [];
+  let hasWeights = false;
+  const where = `for region "${regionName}" (${season}) in cell ${cellReference}`;
+
+  const entries = (cellValue || "")
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => c.length > 0);
+
+  for (const entry of entries) {
+    // A bare number is a weight split off by a decimal comma ("Rain:0,5")
+    if (/^[\d.]+$/.test(entry)) {
+      throw new ConfigError(
+        `Condition "${entry}" ${where} is a number: write decimal weights with a dot ("Rain:0.5")`,
+        location
+      );
+    }
+
+    const colon = entry.lastIndexOf(":");
+    if (colon === -1) {
+      conditions.push(entry);
+      weights.push(1);
+      continue;
+    }
+
+    const condition = entry.slice(0, colon).trim();
+    const weight = entry.slice(colon + 1).trim();
+    if (!CONDITION_WEIGHT.test(weight)) {
+      throw new ConfigError(
+        `Invalid weight "${weight}" in "${entry}" ${where}: expected "Condition:weight" with a non-negative number as the weight`,
+        location
+      );
+    }
+    if (!condition) {
+      throw new ConfigError(
+        `Malformed weighted condition "${entry}" ${where}: expected "Condition:weight" with a condition before the weight`,
+        location
+      );
+    }
+
+    conditions.push(condition);
+    weights.push(Number(weight));
+    hasWeights = true;
+  }
+
+  if (hasWeights && !weights.some((w) => w > 0)) {
+    throw new ConfigError(`All condition weights are zero ${where}`, location);
+  }
+
+  return hasWeights ? { conditions, weights } : { conditions };
+}
+
+/**
+ * Parse a persistence cell into per-season probabilities
+ * Accepts a single value for all seasons ("0.6") or per-season values
+ * ("Winter: 0.8, Summer: 0.4"); seasons not listed get no persistence
+ * @param {string} cellValue - Raw cell value
+ * @param {string} regionName - Region the cell belongs to (for errors)
+ * @param {string} cellReference - A1 reference of the cell (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {Object<string, number>} - Map of season to persistence
+ */
+function parsePersistence(cellValue, regionName, cellReference, location) {
+  const seasons = ["spring", "summer", "autumn", "winter"];
+  const persistence = {};
+  const value = cellValue?.trim();
+  if (!value) {
+    return persistence;
+  }
+
+  const parseProbability = (text, season) => {
+    const probability = Number(text.trim());
+    if (!text.trim() || !Number.isFinite(probability)) {
+      throw new ConfigError(
+        `Invalid persistence "${text.trim()}" for region "${regionName}"${
+          season ? ` (${season})` : ""
+        } in cell ${cellReference}: expected a number between 0 and 1`,
+        location
+      );
+    }
+    if (probability < 0 || probability >= 1) {
+      throw new ConfigError(
+        `Persistence ${probability} for region "${regionName}"${
+          season ? ` (${season})` : ""
+        } in cell ${cellReference} must be at least 0 and below 1`,
+        location
+      );
+    }
+    return probability;
+  };
+
+  if (!value.includes(":")) {
+    const probability = parseProbability(value);
+    for (const season of seasons) {
+      persistence[season] = probability;
+    }
+    return persistence;
+  }
+
+  for (const entry of value.split(",")) {
+    if (!entry.trim()) continue;
+    const [rawSeason, rawValue = ""] = entry.split(":");
+    const season = normalizeSeason(rawSeason);
+    if (!season) {
+      throw new ConfigError(
+        `Unknown season "${rawSeason.trim()}" in persistence for region "${regionName}" in cell ${cellReference}`,
+        location
+      );
+    }
+    persistence[season] = parseProbability(rawValue, season);
+  }
+
+  return persistence;
+}
+
+/**
+ * Parse a chance campaign setting ("0.85" or "85%")
+ * @param {string} rawValue - Raw value
+ * @param {string} settingName - Setting name (for errors)
+ * @returns {number} - Chance from 0 to 1
+ */
+function parseChanceSetting(rawValue, settingName) {
+  const trimmed = rawValue.trim();
+  const percent = trimmed.endsWith("%");
+  const chance = Number(trimmed.replace(/%$/, "")) / (percent ? 100 : 1);
+  if (!Number.isFinite(chance) || chance < 0 || chance > 1) {
+    throw new ConfigError(
+      `Invalid Campaign Setting "${settingName}" "${rawValue}": expected a number from 0 to 1 (or a percentage)`,
+      { sheet: "Campaign Settings", setting: settingName }
+    );
+  }
+  return chance;
+}
+
+// Chance a region takes a neighbor's weather when no setting is given
+const DEFAULT_NEIGHBOR_INFLUENCE = 0.35;
+
+/**
+ * Read how strongly neighboring regions share weather
+ * @param {Object<string, string>} campaignSettings - Parsed campaign settings
+ * @returns {number} - Daily chance of taking a neighbor's condition (0 = off)
+ */
+function parseNeighborInfluence(campaignSettings) {
+  const rawValue = campaignSettings["neighbor influence"];
+  return rawValue
+    ? parseChanceSetting(rawValue, "Neighbor Influence")
+    : DEFAULT_NEIGHBOR_INFLUENCE;
+}
+
+/**
+ * Build the adjacency graph from the regions' Neighbors columns
+ * Adjacency is mutual: listing a neighbor on either side links both regions.
+ * Sub-regions roll as their parent, so they are linked through it: a
+ * sub-region's neighbors are its parent's, and a sub-region listed as a
+ * neighbor links its parent
+ * @param {Object<string, Object>} regionSettings - Per-region settings
+ * @param {Object<string, Object>} seasonalWeather - Regions with weather data
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {Object<string, string[]>} - Sorted neighbor names per region
+ */
+function buildNeighborGraph(regionSettings, seasonalWeather, warnings) {
+  const graph = {};
+  const link = (from, to) => {
+    graph[from] = graph[from] || new Set();
+    graph[from].add(to);
+  };
+
+  for (const [regionName, settings] of Object.entries(regionSettings)) {
+    for (const neighborName of settings.neighbors || []) {
+      if (neighborName === regionName) {
+        reportConfigWarning(
+          warnings,
+          `Region "${regionName}" lists itself as a neighbor - ignoring`,
+          {
+            code: "self-neighbor",
+            sheet: "Weather Regions",
+            region: regionName,
+          }
+        );
+      } else if (!seasonalWeather[neighborName]) {
+        reportConfigWarning(
+          warnings,
+          `Region "${regionName}" lists unknown neighbor "${neighborName}" - ignoring`,
+          {
+            code: "unknown-region",
+            sheet: "Weather Regions",
+            region: regionName,
+          }
+        );
+      } else {
+        const from = regionSettings[regionName].parent || regionName;
+        const to = regionSettings[neighborName]?.parent || neighborName;
+        if (from !== to) {
+          link(from, to);
+          link(to, from);
+        }
+      }
+    }
+  }
+
+  const sorted = {};
+  for (const [regionName, neighbors] of Object.entries(graph)) {
+    sorted[regionName] = [...neighbors].sort();
+  }
+  return sorted;
+}
+
+// Real weekdays in Date#getUTCDay order, for the forecast issue day
+const ISSUE_WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// The weekly forecast workflow runs on Saturdays
+const DEFAULT_FORECAST_ISSUE_DAY = 6;
+
+/**
+ * Read the player forecast settings from the campaign settings
+ * Without a "Forecast Accuracy" the weekly forecast shows the true weather
+ * @param {Object<string, string>} campaignSettings - Parsed campaign settings
+ * @returns {{ accuracy: number, issueDay: number }|null} - Chance a forecast
+ *   stays right per day ahead, and the weekday (0 = Sunday) it is issued on
+ */
+function parseForecastSettings(campaignSettings) {
+  const rawAccuracy = campaignSettings["forecast accuracy"];
+  if (!rawAccuracy) {
+    return null;
+  }
+
+  const accuracy = parseChanceSetting(rawAccuracy, "Forecast Accuracy");
+
+  const rawIssueDay = campaignSettings["forecast issue day"];
+  let issueDay = DEFAULT_FORECAST_ISSUE_DAY;
+  if (rawIssueDay) {
+    issueDay = ISSUE_WEEKDAYS.indexOf(rawIssueDay.trim().toLowerCase());
+    if (issueDay === -1) {
+      throw new ConfigError(
+        `Invalid Campaign Setting "Forecast Issue Day" "${rawIssueDay}": expected a weekday name such as Saturday`,
+        { sheet: "Campaign Settings", setting: "Forecast Issue Day" }
+      );
+    }
+  }
+
+  return { accuracy, issueDay };
+}
+
+/**
+ * Parse the Campaign Settings sheet (Setting | Value rows)
+ * The sheet is optional; keys are normalized to lower case
+ * @param {string[][]} data - Raw sheet data
+ * @returns {Object<string, string>} - Map of setting name to raw value
+ */
+function parseCampaignSettings(data) {
+  const settings = {};
+  if (!data || data.length === 0) {
+    return settings;
+  }
+
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    const key = row?.[0]?.trim().toLowerCase();
+    const value = row?.[1]?.trim();
+
+    if (!key || !value) continue;
+    // Skip the header row
+    if (i === 0 && key === "setting") continue;
+
+    settings[key] = value;
+  }
+
+  logger.info(
+    `Parsed Campaign Settings: ${Object.keys(settings).length} settings found`
+  );
+
+  return settings;
+}
+
+/**
+ * Read the seeding scheme from the campaign settings
+ * "Seed Version" pins a scheme; without it, campaigns with a "Campaign Seed"
+ * use the latest scheme and campaigns without one keep the original (v1)
+ * so existing sheets produce the same weather as before
+ * @param {Object<string, string>} campaignSettings - Parsed campaign settings
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {{ version: number, campaignSeed: string }} - Seeding scheme
+ */
+function parseSeedSettings(campaignSettings, warnings) {
+  const campaignSeed = campaignSettings["campaign seed"] || "";
+  const rawVersion = campaignSettings["seed version"];
+
+  let version = campaignSeed ? LATEST_SEED_VERSION : 1;
+  if (rawVersion) {
+    version = Number(rawVersion.replace(/^v/i, ""));
+    if (!SEED_VERSIONS[version]) {
+      throw new ConfigError(
+        `Invalid Campaign Setting "Seed Version" "${rawVersion}": expected one of ${Object.keys(
+          SEED_VERSIONS
+        ).join(", ")}`,
+        { sheet: "Campaign Settings", setting: "Seed Version" }
+      );
+    }
+  }
+
+  if (version === 1 && campaignSeed) {
+    reportConfigWarning(
+      warnings,
+      'Campaign Setting "Campaign Seed" is ignored by seed version 1 - set "Seed Version" to 2 or later to use it',
+      {
+        code: "ignored-setting",
+        sheet: "Campaign Settings",
+        setting: "Campaign Seed",
+      }
+    );
+  }
+
+  return { version, campaignSeed };
+}
+
+/**
+ * Copy what a region needs to resolve a neighbor's weather the way the
+ * neighbor's own posts do (see rollNeighborCondition in weatherService)
+ * Impacts, climate and display settings are left out, so the region config
+ * stays small and JSON-safe
+ * @param {string} regionName - Neighbor region
+ * @param {Object} regionWeather - Neighbor's seasonal weather
+ * @param {Object} settings - Neighbor's seasons, events and overrides, as set
+ *   up for its own posts
+ * @returns {Object} - Neighbor region config
+ */
+function getNeighborWeather(
+  regionName,
+  regionWeather,
+  { seasons, events, overrides }
+) {
+  const seasonalWeather = {};
+  for (const [season, seasonData] of Object.entries(regionWeather)) {
+    seasonalWeather[season] = {
+      conditions: [...seasonData.conditions],
+      ...(seasonData.weights && { weights: [...seasonData.weights] }),
+      ...(seasonData.persistence && { persistence: seasonData.persistence }),
+    };
+  }
+  return { id: regionName, seasons, seasonalWeather, events, overrides };
+}
+
+// Operations columns of the mechanical impacts table: structured modifiers
+// for army movement and supply, matched by header keyword
+const OPERATION_COLUMNS = {
+  marchMultiplier: "march",
+  forageMultiplier: "forage",
+  scoutingRange: "scout",
+  riverCrossing: "river",
+};
+
+/**
+ * Parse a multiplier cell ("0.5", "x0.5", "50%")
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {number} - Multiplier (0 or more)
+ */
+function parseMultiplier(value, context, location) {
+  const normalized = value
+    .trim()
+    .toLowerCase()
+    .replace(/^[x×]\s*/, "");
+  const multiplier = normalized.endsWith("%")
+    ? Number(normalized.slice(0, -1)) / 100
+    : Number(normalized);
+  if (!normalized || !Number.isFinite(multiplier) || multiplier < 0) {
+    throw new ConfigError(
+      `Invalid multiplier "${value.trim()}" for ${context}: expected e.g. 0.5, x0.5 or 50%`,
+      location
+    );
+  }
+  return multiplier;
+}
+
+/**
+ * Parse the operations columns of a mechanical impacts row
+ * @param {string[]} row - Sheet row
+ * @param {Object<string, number>} columns - Operation key to column index
+ * @param {function(number): string} context - Column index to error context
+ * @param {Object} [location] - Structured location of the row (see
+ *   ConfigError); errors add the column
+ * @returns {Object|null} - { marchMultiplier, forageMultiplier,
+ *   scoutingRange, riverCrossing } (unset values null), or null if all unset
+ */
+function parseOperations(row, columns, context, location) {
+  const operations = {};
+  let hasValue = false;
+
+  for (const [key, columnIndex] of Object.entries(columns)) {
+    const rawValue = columnIndex === -1 ? "" : row[columnIndex]?.trim();
+    operations[key] = null;
+    if (!rawValue) continue;
+
+    hasValue = true;
+    const cellLocation = { ...location, column: columnIndex };
+    if (key === "riverCrossing") {
+      operations[key] = parseYesNo(
+        rawValue,
+        context(columnIndex),
+        cellLocation
+      );
+    } else if (key === "scoutingRange") {
+      const range = Number(rawValue);
+      if (!Number.isFinite(range) || range < 0) {
+        throw new ConfigError(
+          `Invalid scouting range "${rawValue}" for ${context(
+            columnIndex
+          )}: expected a number`,
+          cellLocation
+        );
+      }
+      operations[key] = range;
+    } else {
+      operations[key] = parseMultiplier(
+        rawValue,
+        context(columnIndex),
+        cellLocation
+      );
+    }
+  }
+
+  return hasValue ? operations : null;
 }
 
 /**
  * Parse the mechanical impacts table (columns to the right of the weather table)
+ * Optional "Region" and "Season" columns scope a row to some regions and/or
+ * seasons (comma-separated, blank or "All" for any); rows without either
+ * form the global Condition -> Mechanical Impact map. Optional "March",
+ * "Forage", "Scouting" and "River Crossing" columns add operations modifiers.
+ * An optional "Emoji" column ("🏜️", or "☀️ / 🌟" for day / night) sets the
+ * condition's emoji in every region; conditions with * wildcards
+ * ("*storm*") only set emojis. An optional "Climate" column names the
+ * profile its numbers follow ("wind" for a sandstorm), instead of the one
+ * matched from the condition text
  * @param {string[][]} data - Full sheet data
  * @param {number} startRow - Row index where table starts (header row)
- * @returns {Object} - Map of condition to mechanical impact string
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {{ mechanicalImpacts: Object, mechanicalOperations: Object, scopedImpacts: Object[], emojis: Object, climateProfiles: Object }}
+ *   - Maps of condition to global impact and to global operations, the
+ *   scoped rows: { condition, impact, operations, regions, seasons }, the
+ *   emoji mapping: { exact, patterns } (see getWeatherEmoji) and the map of
+ *   lower-case condition to climate profile name
  */
-function parseMechanicalImpactsTable(data, startRow) {
+function parseMechanicalImpactsTable(data, startRow, warnings) {
+  const sheet = "Weather Regions";
   const headers = data[startRow].map((h) => h?.toLowerCase().trim() || "");
 
   const conditionIndex = headers.findIndex((h) => h === "condition");
   const impactIndex = headers.findIndex(
     (h) => h.includes("mechanical") || h.includes("impact")
   );
+  // Column A is the weather table's own "Region" column
+  const regionIndex = headers.findIndex(
+    (h, index) => index > 0 && h === "region"
+  );
+  const seasonIndex = headers.findIndex((h) => h === "season");
+  const emojiIndex = headers.findIndex((h) => h.includes("emoji"));
+  const climateIndex = headers.findIndex((h) => h.includes("climate"));
+  const operationColumns = {};
+  for (const [key, keyword] of Object.entries(OPERATION_COLUMNS)) {
+    operationColumns[key] = headers.findIndex((h) => h.includes(keyword));
+  }
 
   if (conditionIndex === -1 || impactIndex === -1) {
-    logger.warn(
-      "Mechanical impacts columns not found in header row - weather will be generated without mechanical impacts"
+    reportConfigWarning(
+      warnings,
+      "Mechanical impacts columns not found in header row - weather will be generated without mechanical impacts",
+      { code: "missing-column", sheet, row: startRow }
     );
-    return {};
+    return {
+      mechanicalImpacts: {},
+      mechanicalOperations: {},
+      scopedImpacts: [],
+      emojis: { exact: {}, patterns: [] },
+      climateProfiles: {},
+    };
   }
 
   const mechanicalImpacts = {};
+  const mechanicalOperations = {};
+  const scopedImpacts = [];
+  const emojis = { exact: {}, patterns: [] };
+  const climateProfiles = {};
 
   for (let i = startRow + 1; i < data.length; i++) {
     const row = data[i];
@@ -277,79 +1231,503 @@ function parseMechanicalImpactsTable(data, startRow) {
     }
 
     const condition = row[conditionIndex].trim();
+    const rawEmoji = emojiIndex === -1 ? "" : row[emojiIndex]?.trim();
+    if (rawEmoji) {
+      const [day, night] = rawEmoji.split("/").map((emoji) => emoji.trim());
+      if (!day) {
+        throw new ConfigError(
+          `Invalid emoji "${rawEmoji}" for condition "${condition}" in Weather Regions cell ${toCellReference(
+            i,
+            emojiIndex
+          )}: expected an emoji, or "day / night" emojis`,
+          { sheet, row: i, column: emojiIndex }
+        );
+      }
+      const entry = { day, ...(night && { night }) };
+      if (condition.includes("*")) {
+        emojis.patterns.push({ pattern: condition, ...entry });
+      } else {
+        emojis.exact[condition.toLowerCase()] = entry;
+      }
+    }
+    const rawProfile = climateIndex === -1 ? "" : row[climateIndex]?.trim();
+    if (rawProfile) {
+      const profile = rawProfile.toLowerCase();
+      if (!CLIMATE_PROFILE_NAMES.includes(profile)) {
+        throw new ConfigError(
+          `Unknown climate profile "${rawProfile}" for condition "${condition}" in Weather Regions cell ${toCellReference(
+            i,
+            climateIndex
+          )}: expected one of ${CLIMATE_PROFILE_NAMES.join(", ")}`,
+          { sheet, row: i, column: climateIndex }
+        );
+      }
+      if (condition.includes("*")) {
+        reportConfigWarning(
+          warnings,
+          `Climate profile for the pattern "${condition}" in Weather Regions cell ${toCellReference(
+            i,
+            climateIndex
+          )} ignored: profiles are set for exact conditions only`,
+          { code: "ignored-setting", sheet, row: i, column: climateIndex }
+        );
+      } else {
+        climateProfiles[condition.toLowerCase()] = profile;
+      }
+    }
+    if (condition.includes("*")) continue;
+
     const impact = row[impactIndex]?.trim() || "";
+    const operations = parseOperations(
+      row,
+      operationColumns,
+      (columnIndex) =>
+        `condition "${condition}" in Weather Regions cell ${toCellReference(
+          i,
+          columnIndex
+        )}`,
+      { sheet, row: i }
+    );
+    if (!condition || (!impact && !operations)) continue;
+
+    const rawRegions = regionIndex === -1 ? "" : row[regionIndex]?.trim();
+    const rawSeasons = seasonIndex === -1 ? "" : row[seasonIndex]?.trim();
+    const regions =
+      rawRegions && rawRegions.toLowerCase() !== "all"
+        ? parseNameList(rawRegions)
+        : null;
+    let seasons = null;
+    if (rawSeasons && rawSeasons.toLowerCase() !== "all") {
+      seasons = parseNameList(rawSeasons).map((rawSeason) => {
+        const season = normalizeSeason(rawSeason);
+        if (!season) {
+          throw new ConfigError(
+            `Unknown season "${rawSeason}" for condition "${condition}" in Weather Regions cell ${toCellReference(
+              i,
+              seasonIndex
+            )}`,
+            { sheet, row: i, column: seasonIndex }
+          );
+        }
+        return season;
+      });
+    }
 
-    if (condition && impact) {
-      mechanicalImpacts[condition] = impact;
+    if (regions || seasons) {
+      scopedImpacts.push({ condition, impact, operations, regions, seasons });
+    } else {
+      if (impact) mechanicalImpacts[condition] = impact;
+      if (operations) mechanicalOperations[condition] = operations;
     }
   }
 
   logger.info(
-    `Parsed ${Object.keys(mechanicalImpacts).length} mechanical impacts`
+    `Parsed ${Object.keys(mechanicalImpacts).length} mechanical impacts` +
+      (scopedImpacts.length > 0
+        ? ` and ${scopedImpacts.length} region/season-specific impacts`
+        : "")
   );
 
-  return mechanicalImpacts;
+  return {
+    mechanicalImpacts,
+    mechanicalOperations,
+    scopedImpacts,
+    emojis,
+    climateProfiles,
+  };
+}
+
+/**
+ * Look up the mechanical impact and operations of a condition in a region
+ * and season. The most specific row wins as a whole: region + season, then
+ * region, then season, then the global row (later rows win ties)
+ * @param {string} condition - Weather condition
+ * @param {string} regionName - Region name
+ * @param {string|null} season - Season, or null to skip season-specific rows
+ * @param {Object} mechanicalImpacts - Condition to global impact mapping
+ * @param {Object} mechanicalOperations - Condition to global operations mapping
+ * @param {Object[]} scopedImpacts - Region/season-specific rows
+ * @returns {{ impact: string|undefined, operations: Object|undefined }}
+ */
+function resolveMechanicalImpact(
+  condition,
+  regionName,
+  season,
+  mechanicalImpacts,
+  mechanicalOperations,
+  scopedImpacts
+) {
+  let best = null;
+  let bestRank = -1;
+
+  for (const entry of scopedImpacts) {
+    if (entry.condition !== condition) continue;
+    if (entry.regions && !entry.regions.includes(regionName)) continue;
+    if (entry.seasons && !entry.seasons.includes(season)) continue;
+
+    const rank = (entry.regions ? 2 : 0) + (entry.seasons ? 1 : 0);
+    if (rank >= bestRank) {
+      best = entry;
+      bestRank = rank;
+    }
+  }
+
+  if (best) {
+    return {
+      impact: best.impact || undefined,
+      operations: best.operations || undefined,
+    };
+  }
+  return {
+    impact: mechanicalImpacts[condition],
+    operations: mechanicalOperations[condition],
+  };
 }
 
 /**
  * Merge all parsed data into the final configuration format
- * @param {Object<string, string[]>} regionWebhooks - Region to webhook URLs mapping
+ * @param {Object<string, Object[]>} regionWebhooks - Region to webhooks
+ *   mapping (see parseCommanderDatabase)
  * @param {Object} seasonalWeather - Region to seasonal conditions mapping
  * @param {Object} mechanicalImpacts - Condition to impact mapping
+ * @param {Object} [options] - Optional settings
+ * @param {Object} [options.mechanicalOperations] - Condition to operations mapping
+ * @param {Object[]} [options.scopedImpacts] - Region/season-specific impacts
+ * @param {Object} [options.emojis] - Condition emojis: { exact, patterns }
+ * @param {Object} [options.climateProfiles] - Lower-case condition to
+ *   climate profile name
+ * @param {Object} [options.regionSettings] - Region to per-region settings mapping
+ * @param {Object} [options.campaignSettings] - Parsed Campaign Settings sheet
+ * @param {Object} [options.climate] - Region to season to climate parameters
+ * @param {Object[]} [options.events] - Multi-day weather events
+ * @param {Object[]} [options.overrides] - GM weather overrides
+ * @param {Object[]} [options.pauses] - Posting pauses
+ * @param {Object[]} [options.groundLevels] - Ground state levels
+ * @param {Object[]} [options.warnings] - Collects warnings instead of
+ *   logging them
  * @returns {Object} - Final regions configuration
  */
 function mergeConfiguration(
   regionWebhooks,
   seasonalWeather,
-  mechanicalImpacts
+  mechanicalImpacts,
+  {
+    mechanicalOperations = {},
+    scopedImpacts = [],
+    emojis = { exact: {}, patterns: [] },
+    climateProfiles = {},
+    regionSettings = {},
+    campaignSettings = {},
+    climate = {},
+    events = [],
+    overrides = [],
+    pauses = [],
+    groundLevels = [],
+    warnings,
+  } = {}
 ) {
   const regions = {};
+  const campaignSeasons = parseSeasonSettings(campaignSettings);
+  const calendar = parseCalendarSettings(campaignSettings);
+  const seed = parseSeedSettings(campaignSettings, warnings);
+  const groundLookbackDays = parseGroundLookback(campaignSettings);
+  const forecast = parseForecastSettings(campaignSettings);
+  const neighborInfluence = parseNeighborInfluence(campaignSettings);
+  const neighborGraph = buildNeighborGraph(
+    regionSettings,
+    seasonalWeather,
+    warnings
+  );
+  validateSeasonStarts(campaignSeasons, calendar);
+
+  // A sub-region has its parent's events and then its own, so the parent's
+  // events roll for it as they do for the parent
+  const getRegionEvents = (regionName, rollRegion) => {
+    const parentEvents = events.filter(
+      (event) => !event.regions || event.regions.includes(rollRegion)
+    );
+    return [
+      ...parentEvents,
+      ...events.filter(
+        (event) =>
+          !parentEvents.includes(event) && event.regions.includes(regionName)
+      ),
+    ].map(({ regions, ...event }) => event);
+  };
+
+  // Overrides without an Impact take the region's impact for the season of
+  // their date
+  const getOverrides = (regionName, seasons, overrideWarnings) =>
+    getRegionOverrides(
+      overrides,
+      regionName,
+      (condition, isoDate) =>
+        resolveMechanicalImpact(
+          condition,
+          regionName,
+          getSeason(parseIsoDate(isoDate), seasons, calendar),
+          mechanicalImpacts,
+          mechanicalOperations,
+          scopedImpacts
+        ).impact,
+      overrideWarnings
+    );
 
   // For each region that has webhook URLs
-  for (const [regionName, webhookUrls] of Object.entries(regionWebhooks)) {
+  for (const [regionName, webhooks] of Object.entries(regionWebhooks)) {
     // Check if we have weather data for this region
     if (!seasonalWeather[regionName]) {
-      logger.warn(
-        `Region "${regionName}" has webhooks but no weather data in Weather Regions sheet - skipping`
+      reportConfigWarning(
+        warnings,
+        `Region "${regionName}" has webhooks but no weather data in Weather Regions sheet - skipping`,
+        {
+          code: "region-without-weather",
+          sheet: "Commander Database",
+          region: regionName,
+        }
       );
       continue;
     }
 
     const regionWeather = seasonalWeather[regionName];
-
-    // Add mechanical impacts to each season's conditions
+    // Use regionName as both ID and display name (simplified)
+    const settings = regionSettings[regionName] || {};
+    // Sub-regions roll as their parent, so they share its seasons, events
+    // (adding their own) and neighbors
+    const rollRegion = settings.parent || regionName;
+    const rollSettings = regionSettings[rollRegion] || {};
+
+    // Add mechanical impacts to each season's conditions (including the
+    // ones terrain rules can turn them into)
     const enrichedSeasonalWeather = {};
     for (const [season, seasonData] of Object.entries(regionWeather)) {
       const seasonMechanicalImpacts = {};
-
-      for (const condition of seasonData.conditions) {
-        if (mechanicalImpacts[condition]) {
+      const seasonOperations = {};
+
+      for (const condition of getTerrainConditions(
+        seasonData.conditions,
+        settings.terrain
+      )) {
+        const { impact, operations } = resolveMechanicalImpact(
+          condition,
+          regionName,
+          season,
+          mechanicalImpacts,
+          mechanicalOperations,
+          scopedImpacts
+        );
+        if (impact) {
           // Store as array with single string (matching current format)
-          seasonMechanicalImpacts[condition] = [mechanicalImpacts[condition]];
+          seasonMechanicalImpacts[condition] = [impact];
+        }
+        if (operations) {
+          seasonOperations[condition] = operations;
         }
       }
 
       enrichedSeasonalWeather[season] = {
         conditions: seasonData.conditions,
+        ...(seasonData.weights && { weights: seasonData.weights }),
+        ...(seasonData.persistence && {
+          persistence: seasonData.persistence,
+        }),
+        ...((climate[regionName] || climate[rollRegion])?.[season] && {
+          climate: (climate[regionName] || climate[rollRegion])[season],
+        }),
         ...(Object.keys(seasonMechanicalImpacts).length > 0 && {
           mechanicalImpacts: seasonMechanicalImpacts,
         }),
+        ...(Object.keys(seasonOperations).length > 0 && {
+          operations: seasonOperations,
+        }),
       };
     }
 
-    // Use regionName as both ID and display name (simplified)
+    const seasons = resolveRegionSeasons(
+      campaignSeasons,
+      rollSettings.hemisphere
+    );
+    if (
+      settings.latitude !== undefined &&
+      settings.latitude !== 0 &&
+      settings.latitude > 0 !== (seasons.hemisphere === "northern")
+    ) {
+      reportConfigWarning(
+        warnings,
+        `Region "${regionName}" has latitude ${settings.latitude} but uses ${seasons.hemisphere} hemisphere seasons - check its Hemisphere setting`,
+        {
+          code: "hemisphere-mismatch",
+          sheet: "Weather Regions",
+          region: regionName,
+        }
+      );
+    }
+    const regionGroundLevels = groundLevels
+      .filter((level) => !level.regions || level.regions.includes(regionName))
+      .map(({ regions, ...level }) => level);
+
     regions[regionName] = {
       name: regionName,
-      webhookUrls,
+      webhookUrls: webhooks.map((webhook) => webhook.url),
+      webhooks,
       seasonalWeather: enrichedSeasonalWeather,
+      seasons,
+      calendar,
+      ...(settings.dayPhases && { dayPhases: true }),
+      ...(settings.latitude !== undefined && { latitude: settings.latitude }),
+      ...(settings.parent && { parent: settings.parent }),
+      ...(settings.terrain && { terrain: settings.terrain }),
+      events: getRegionEvents(regionName, rollRegion),
+      overrides: getOverrides(regionName, seasons, warnings),
+      pauses: pauses
+        .filter((pause) => !pause.regions || pause.regions.includes(regionName))
+        .map(({ regions, ...pause }) => pause),
+      ...(regionGroundLevels.length > 0 && {
+        ground: {
+          lookbackDays: groundLookbackDays,
+          levels: regionGroundLevels,
+        },
+      }),
+      ...(forecast && { forecast: { ...forecast } }),
+      ...((Object.keys(emojis.exact).length > 0 ||
+        emojis.patterns.length > 0) && {
+        emojis: {
+          exact: { ...emojis.exact },
+          patterns: emojis.patterns.map((pattern) => ({ ...pattern })),
+        },
+      }),
+      ...(Object.keys(climateProfiles).length > 0 && {
+        climateProfiles: { ...climateProfiles },
+      }),
+      ...(neighborGraph[rollRegion] &&
+        neighborInfluence > 0 && {
+          neighbors: {
+            influence: neighborInfluence,
+            regions: neighborGraph[rollRegion].map((neighborName) => {
+              const neighborSeasons = resolveRegionSeasons(
+                campaignSeasons,
+                regionSettings[neighborName]?.hemisphere
+              );
+              return getNeighborWeather(
+                neighborName,
+                seasonalWeather[neighborName],
+                {
+                  seasons: neighborSeasons,
+                  events: getRegionEvents(neighborName, neighborName),
+                  // Duplicate rows are reported for the neighbor's own posts
+                  overrides: getOverrides(neighborName, neighborSeasons, []),
+                }
+              );
+            }),
+          },
+        }),
+      seed,
     };
   }
 
+  // Climate rows must refer to regions in the Weather Regions sheet
+  for (const regionName of Object.keys(climate)) {
+    if (!seasonalWeather[regionName]) {
+      reportConfigWarning(
+        warnings,
+        `Climate sheet has parameters for unknown region "${regionName}" - ignoring`,
+        { code: "unknown-region", sheet: "Climate", region: regionName }
+      );
+    }
+  }
+
+  // Event regions must refer to regions in the Weather Regions sheet
+  for (const event of events) {
+    for (const regionName of event.regions || []) {
+      if (!seasonalWeather[regionName]) {
+        reportConfigWarning(
+          warnings,
+          `Weather event "${event.name}" refers to unknown region "${regionName}"`,
+          {
+            code: "unknown-region",
+            sheet: "Weather Events",
+            region: regionName,
+          }
+        );
+      }
+    }
+  }
+
+  // Impact rows must refer to regions in the Weather Regions sheet
+  for (const entry of scopedImpacts) {
+    for (const regionName of entry.regions || []) {
+      if (!seasonalWeather[regionName]) {
+        reportConfigWarning(
+          warnings,
+          `Mechanical impact for "${entry.condition}" refers to unknown region "${regionName}" - ignoring`,
+          {
+            code: "unknown-region",
+            sheet: "Weather Regions",
+            region: regionName,
+          }
+        );
+      }
+    }
+  }
+
+  // Override regions must refer to regions in the Weather Regions sheet
+  for (const override of overrides) {
+    for (const regionName of override.regions || []) {
+      if (!seasonalWeather[regionName]) {
+        reportConfigWarning(
+          warnings,
+          `Weather override on ${override.date} refers to unknown region "${regionName}" - ignoring`,
+          {
+            code: "unknown-region",
+            sheet: "Weather Overrides",
+            region: regionName,
+          }
+        );
+      }
+    }
+  }
+
+  // Ground levels must refer to regions in the Weather Regions sheet
+  for (const level of groundLevels) {
+    for (const regionName of level.regions || []) {
+      if (!seasonalWeather[regionName]) {
+        reportConfigWarning(
+          warnings,
+          `Ground State level "${level.level}" refers to unknown region "${regionName}" - ignoring`,
+          { code: "unknown-region", sheet: "Ground State", region: regionName }
+        );
+      }
+    }
+  }
+
+  // Pause regions must refer to regions in the Weather Regions sheet
+  for (const pause of pauses) {
+    for (const regionName of pause.regions || []) {
+      if (!seasonalWeather[regionName]) {
+        reportConfigWarning(
+          warnings,
+          `Posting pause starting ${pause.start} refers to unknown region "${regionName}" - ignoring`,
+          {
+            code: "unknown-region",
+            sheet: "Posting Pauses",
+            region: regionName,
+          }
+        );
+      }
+    }
+  }
+
   // Log any regions in Weather Regions that don't have webhooks
   for (const regionName of Object.keys(seasonalWeather)) {
     if (!regionWebhooks[regionName]) {
-      logger.warn(
-        `Region "${regionName}" has weather data but no webhooks in Commander Database - skipping`
+      reportConfigWarning(
+        warnings,
+        `Region "${regionName}" has weather data but no webhooks in Commander Database - skipping`,
+        {
+          code: "region-without-webhooks",
+          sheet: "Weather Regions",
+          region: regionName,
+        }
       );
     }
   }
@@ -359,18 +1737,72 @@ function mergeConfiguration(
   return { regions };
 }
 
+// Sheets read by the configuration, with the columns fetched from Google
+// Sheets; only the first two are required
+const CONFIG_SHEETS = [
+  { name: "Commander Database", range: "A:Z", required: true },
+  { name: "Weather Regions", range: "A:Z", required: true },
+  { name: "Campaign Settings", range: "A:B", required: false },
+  { name: "Climate", range: "A:Z", required: false },
+  { name: "Weather Events", range: "A:Z", required: false },
+  { name: "Weather Overrides", range: "A:Z", required: false },
+  { name: "Posting Pauses", range: "A:Z", required: false },
+  { name: "Ground State", range: "A:Z", required: false },
+];
+
 /**
- * Fetch and parse all configuration from Google Sheets
- * Results are cached for the duration of the run
- * @returns {Promise<Object>} - Complete regions configuration
+ * Parse and merge the configuration sheets, whatever they were read from
+ * @param {Object<string, string[][]>} sheetData - Rows of cells by sheet
+ *   name (see CONFIG_SHEETS); missing optional sheets may be left out
+ * @returns {Object} - Complete regions configuration
  */
-async function fetchConfiguration() {
-  // Return cached config if available
-  if (cachedConfig) {
-    logger.info("Using cached Google Sheets configuration");
-    return cachedConfig;
-  }
+function parseConfiguration(sheetData) {
+  const rows = (name) => sheetData[name] || [];
+
+  // Parse the data
+  const regionWebhooks = parseCommanderDatabase(rows("Commander Database"));
+  const {
+    seasonalWeather,
+    mechanicalImpacts,
+    mechanicalOperations,
+    scopedImpacts,
+    emojis,
+    climateProfiles,
+    regionSettings,
+  } = parseWeatherRegions(rows("Weather Regions"));
+  const campaignSettings = parseCampaignSettings(rows("Campaign Settings"));
+  const climate = parseClimateTable(rows("Climate"));
+  const events = parseWeatherEventsTable(rows("Weather Events"));
+  const overrides = parseWeatherOverridesTable(rows("Weather Overrides"));
+  const pauses = parsePostingPausesTable(rows("Posting Pauses"));
+  const groundLevels = parseGroundStateTable(rows("Ground State"));
 
+  // Merge into final configuration
+  return mergeConfiguration(
+    regionWebhooks,
+    seasonalWeather,
+    mechanicalImpacts,
+    {
+      mechanicalOperations,
+      scopedImpacts,
+      emojis,
+      climateProfiles,
+      regionSettings,
+      campaignSettings,
+      climate,
+      events,
+      overrides,
+      pauses,
+      groundLevels,
+    }
+  );
+}
+
+/**
+ * Fetch the rows of every configuration sheet from Google Sheets, unparsed
+ * @returns {Promise<Object<string, string[][]>>} - Rows by sheet name
+ */
+async function fetchConfigurationSheets() {
   const sheetLink = process.env.GOOGLE_SHEET_LINK;
   if (!sheetLink) {
     throw new Error("GOOGLE_SHEET_LINK environment variable not set");
@@ -381,32 +1813,67 @@ async function fetchConfiguration() {
   const spreadsheetId = extractSpreadsheetId(sheetLink);
   const sheets = await getGoogleSheetsClient();
 
-  // Fetch both sheets in parallel
-  const [commanderData, weatherData] = await Promise.all([
-    fetchSheetData(sheets, spreadsheetId, "Commander Database!A:Z"),
-    fetchSheetData(sheets, spreadsheetId, "Weather Regions!A:Z"),
-  ]);
-
-  // Parse the data
-  const regionWebhooks = parseCommanderDatabase(commanderData);
-  const { seasonalWeather, mechanicalImpacts } =
-    parseWeatherRegions(weatherData);
-
-  // Merge into final configuration
-  cachedConfig = mergeConfiguration(
-    regionWebhooks,
-    seasonalWeather,
-    mechanicalImpacts
+  // Fetch all sheets in parallel
+  const results = await Promise.all(
+    CONFIG_SHEETS.map(({ name, range, required }) =>
+      (required ? fetchSheetData : fetchOptionalSheetData)(
+        sheets,
+        spreadsheetId,
+        `${name}!${range}`
+      )
+    )
   );
 
-  return cachedConfig;
+  const sheetData = {};
+  CONFIG_SHEETS.forEach(({ name }, index) => {
+    sheetData[name] = results[index];
+  });
+  return sheetData;
 }
 
 /**
- * Clear the cached configuration (useful for testing)
+ * Append rows to a sheet of the configured spreadsheet, creating the sheet
+ * (with a header row) if it doesn't exist yet. Needs write access
+ * @param {string} sheetName - Sheet to append to
+ * @param {string[]} headers - Header row for a new sheet
+ * @param {string[][]} rows - Rows to append
+ * @returns {Promise<void>}
  */
-function clearConfigCache() {
-  cachedConfig = null;
+async function appendSheetRows(sheetName, headers, rows) {
+  const sheetLink = process.env.GOOGLE_SHEET_LINK;
+  if (!sheetLink) {
+    throw new Error("GOOGLE_SHEET_LINK environment variable not set");
+  }
+
+  const spreadsheetId = extractSpreadsheetId(sheetLink);
+  const sheets = await getGoogleSheetsClient({ write: true });
+  const append = (values) =>
+    sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: `${sheetName}!A:A`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: { values },
+    });
+
+  try {
+    await append(rows);
+  } catch (error) {
+    // The API reports a missing sheet as an unparsable range
+    if (!error.message.includes("Unable to parse range")) {
+      throw new Error(
+        `Failed to append to sheet "${sheetName}": ${error.message}`
+      );
+    }
+    logger.info(`Sheet "${sheetName}" not found - creating it`);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }],
+      },
+    });
+    await append([headers, ...rows]);
+  }
 }
 
 /**
@@ -426,12 +1893,16 @@ function getAdvanceWebhookUrls() {
 }
 
 module.exports = {
-  fetchConfiguration,
-  clearConfigCache,
+  CONFIG_SHEETS,
+  DEFAULT_WEBHOOK_PREFERENCES,
+  fetchConfigurationSheets,
+  parseConfiguration,
   getAdvanceWebhookUrls,
+  appendSheetRows,
   // Exported for testing
   extractSpreadsheetId,
   parseCommanderDatabase,
   parseWeatherRegions,
+  parseCampaignSettings,
   mergeConfiguration,
 };
@@ -0,0 +1,125 @@
+const { addDays } = require("../utils/dates");
+
+// Ground state: snow cover, mud and river level accumulated from the weather
+// of the preceding days. Rules are plain data (see parseGroundStateTable in
+// sheets/groundSheet):
+// { lookbackDays, levels: [{ ground, level, threshold, impacts }] }
+// where ground is "snow", "mud" or "river" and the highest threshold reached
+// names the current level.
+//
+// All three are measured in millimetres of water, which makes snow cover
+// roughly its depth in centimetres. The model only depends on the generated
+// weather, so it is as deterministic as the weather itself: the state for a
+// date starts from bare, dry ground `lookbackDays` days earlier.
+
+const GROUND_TYPES = ["snow", "mud", "river"];
+
+// Snow melted per day per °C above freezing (degree-day factor)
+const MELT_PER_DEGREE = 1.5;
+// Share of the mud index left after each day, and how much faster warm
+// (15°C+) days dry it out
+const MUD_RETENTION = 0.7;
+const WARM_MUD_RETENTION = 0.5;
+// Share of the river index left after each day (rivers drain slowly)
+const RIVER_RETENTION = 0.85;
+
+// Estimates for regions without climate parameters, from the condition text
+// First matching entry wins; rain and snow in mm of water, high in °C
+const CONDITION_ESTIMATES = [
+  { keywords: ["blizzard"], snow: 25, high: -8 },
+  { keywords: ["sleet", "freezing rain"], rain: 4, snow: 4, high: 1 },
+  { keywords: ["snow"], snow: 10, high: -3 },
+  { keywords: ["flurries"], snow: 3, high: -1 },
+  { keywords: ["icy", "frost", "freezing", "frozen", "bitter"], high: -3 },
+  { keywords: ["thunder", "storm", "downpour", "heavy rain"], rain: 20 },
+  { keywords: ["rain", "showers"], rain: 8 },
+  { keywords: ["drizzle"], rain: 2 },
+  { keywords: ["hot", "heat"], high: 30 },
+  { keywords: ["cold", "chill"], high: 4 },
+];
+const DEFAULT_HIGH = 12;
+
+// Rain, snowfall and daytime high of one day of weather
+function getDayInputs(weather) {
+  const conditionLower = weather.condition.toLowerCase();
+  const estimate =
+    CONDITION_ESTIMATES.find((entry) =>
+      entry.keywords.some((keyword) => conditionLower.includes(keyword))
+    ) || {};
+
+  let rain = estimate.rain || 0;
+  let snow = estimate.snow || 0;
+  if (weather.precipitation) {
+    const { amount, type } = weather.precipitation;
+    rain = type === "rain" ? amount : type === "sleet" ? amount / 2 : 0;
+    snow = type === "snow" ? amount : type === "sleet" ? amount / 2 : 0;
+  }
+
+  const high = weather.temperature
+    ? weather.temperature.high
+    : estimate.high !== undefined
+    ? estimate.high
+    : DEFAULT_HIGH;
+
+  return { rain, snow, high };
+}
+
+// Advance the ground by one day of weather
+function applyDay(ground, weather) {
+  const { rain, snow, high } = getDayInputs(weather);
+
+  const melt = Math.min(
+    ground.snow + snow,
+    Math.max(0, high) * MELT_PER_DEGREE + (high > 0 ? rain / 2 : 0)
+  );
+  const water = rain + melt;
+
+  return {
+    snow: ground.snow + snow - melt,
+    mud: ground.mud * (high >= 15 ? WARM_MUD_RETENTION : MUD_RETENTION) + water,
+    river: ground.river * RIVER_RETENTION + water,
+  };
+}
+
+/**
+ * Work out the ground state on a date
+ * @param {Date} date - Date to report (its own weather counts)
+ * @param {function(Date): Object} getDayWeather - Weather for an earlier day
+ * @param {Object} rules - { lookbackDays, levels } (see above)
+ * @returns {{ snow: number, mud: number, river: number, states: Object[] }}
+ *   - Rounded indexes and the reached levels: { ground, level, impacts }
+ */
+function getGroundState(date, getDayWeather, rules) {
+  let ground = { snow: 0, mud: 0, river: 0 };
+  for (let offset = rules.lookbackDays - 1; offset >= 0; offset--) {
+    ground = applyDay(ground, getDayWeather(addDays(date, -offset)));
+  }
+
+  const states = [];
+  for (const type of GROUND_TYPES) {
+    const reached = rules.levels
+      .filter(
+        (level) => level.ground === type && ground[type] >= level.threshold
+      )
+      .sort((a, b) => b.threshold - a.threshold)[0];
+    if (reached) {
+      states.push({
+        ground: type,
+        level: reached.level,
+        impacts: reached.impacts,
+      });
+    }
+  }
+
+  return {
+    snow: Math.round(ground.snow),
+    mud: Math.round(ground.mud),
+    river: Math.round(ground.river),
+    states,
+  };
+}
+
+module.exports = {
+  GROUND_TYPES,
+  getGroundState,
+};
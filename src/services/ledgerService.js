@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("../utils/logger");
+
+// Weather ledger: the weather of every day that has been posted, per region.
+// Published days are read back from the ledger instead of being generated
+// again, so editing the sheet never changes weather players have already
+// seen. Enabled by setting WEATHER_LEDGER_PATH to a JSON file; the workflows
+// commit the file back to the repository after each run.
+//
+// File format: { "<region id>": { "YYYY-MM-DD": <recorded fields> } }
+
+// Weather fields frozen once published (dates are formatted on every read)
+const RECORDED_FIELDS = [
+  "season",
+  "condition",
+  "impacts",
+  "operations",
+  "phases",
+  "event",
+  "temperature",
+  "wind",
+  "precipitation",
+  "ground",
+];
+
+// Cached ledger - populated on first use
+let ledger = null;
+let ledgerPath = null;
+
+/**
+ * Path of the ledger file, or null when the ledger is disabled
+ * @returns {string|null}
+ */
+function getLedgerPath() {
+  const configured = process.env.WEATHER_LEDGER_PATH;
+  return configured ? path.resolve(configured) : null;
+}
+
+/**
+ * Load the ledger file (once); a missing file is an empty ledger
+ * @returns {Object|null} - Ledger contents, or null when disabled
+ */
+function loadLedger() {
+  const filePath = getLedgerPath();
+  if (!filePath) {
+    return null;
+  }
+  if (ledger && ledgerPath === filePath) {
+    return ledger;
+  }
+
+  ledgerPath = filePath;
+  if (!fs.existsSync(filePath)) {
+    logger.info(`No weather ledger at ${filePath} - starting a new one`);
+    ledger = {};
+    return ledger;
+  }
+
+  try {
+    ledger = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    // Never overwrite a ledger we could not read: that would lose history
+    throw new Error(
+      `Failed to read weather ledger ${filePath}: ${error.message}`
+    );
+  }
+  return ledger;
+}
+
+/**
+ * Published weather of a region, keyed by ISO date
+ * @param {string} regionId - Region identifier
+ * @returns {Object<string, Object>|null} - Entries, or null when disabled
+ */
+function getRegionLedger(regionId) {
+  const entries = loadLedger();
+  if (!entries) {
+    return null;
+  }
+  return entries[regionId] || {};
+}
+
+/**
+ * Record posted weather in the ledger and write the file
+ * Days already in the ledger keep their first recorded weather
+ * @param {string} regionId - Region identifier
+ * @param {Object|Object[]} weather - Weather object(s) from getWeatherForDate
+ * @returns {number} - Number of newly recorded days
+ */
+function recordWeather(regionId, weather) {
+  const entries = loadLedger();
+  if (!entries) {
+    return 0;
+  }
+
+  const regionEntries = entries[regionId] || (entries[regionId] = {});
+  let added = 0;
+  for (const day of [].concat(weather)) {
+    if (regionEntries[day.isoDate]) {
+      continue;
+    }
+    const entry = {};
+    for (const field of RECORDED_FIELDS) {
+      entry[field] = day[field] === undefined ? null : day[field];
+    }
+    regionEntries[day.isoDate] = entry;
+    added++;
+  }
+
+  if (added > 0) {
+    fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+    fs.writeFileSync(ledgerPath, `${JSON.stringify(entries, null, 2)}\n`);
+    logger.info(
+      `Recorded ${added} day(s) of weather for ${regionId} in the ledger`
+    );
+  }
+  return added;
+}
+
+/**
+ * Reset the cached ledger (useful for testing)
+ */
+function resetLedger() {
+  ledger = null;
+  ledgerPath = null;
+}
+
+module.exports = {
+  getLedgerPath,
+  getRegionLedger,
+  recordWeather,
+  resetLedger,
+};
@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { logger } = require("../utils/logger");
+const { CONFIG_SHEETS } = require("./googleSheetsService");
+
+// Local configuration backend: the same sheets as the Google Sheet, read
+// from files in the repository instead (CONFIG_SOURCE=local). CONFIG_PATH
+// is either
+// - a directory with one file per sheet, named after the sheet:
+//   "Commander Database.csv", "Weather Regions.yaml", "Climate.json", ...
+// - a single JSON or YAML file mapping sheet names to their rows
+// JSON and YAML sheets are lists of rows, each a list of cells, laid out
+// exactly like the sheet (header rows, gaps and side-by-side tables).
+
+const DEFAULT_CONFIG_PATH = "config";
+const SHEET_EXTENSIONS = [".csv", ".json", ".yaml", ".yml"];
+
+/**
+ * Path of the local configuration (directory or workbook file)
+ * @returns {string}
+ */
+function getLocalConfigPath() {
+  return path.resolve(process.env.CONFIG_PATH || DEFAULT_CONFIG_PATH);
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields may contain
+ * commas, newlines and doubled quotes)
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} - Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("unterminated quoted field");
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// JSON and YAML cells are typed (numbers, booleans, null); the sheet
+// parsers expect the text the Sheets API returns
+function toSheetRows(value, source) {
+  if (!Array.isArray(value) || !value.every(Array.isArray)) {
+    throw new Error(`${source}: expected a list of rows, each a list of cells`);
+  }
+  return value.map((row) =>
+    row.map((cell) => (cell === null || cell === undefined ? "" : String(cell)))
+  );
+}
+
+function readStructuredFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  return path.extname(filePath).toLowerCase() === ".json"
+    ? JSON.parse(text)
+    : yaml.load(text);
+}
+
+/**
+ * Read one sheet's file
+ * @param {string} filePath - .csv, .json, .yaml or .yml file
+ * @returns {string[][]} - Rows of cells
+ */
+function readSheetFile(filePath) {
+  try {
+    if (path.extname(filePath).toLowerCase() === ".csv") {
+      return parseCsv(fs.readFileSync(filePath, "utf8"));
+    }
+    return toSheetRows(readStructuredFile(filePath), path.basename(filePath));
+  } catch (error) {
+    throw new Error(
+      `Failed to read configuration file ${filePath}: ${error.message}`
+    );
+  }
+}
+
+// Sheets from a directory with one file per sheet
+function readSheetDirectory(directory) {
+  const files = fs.readdirSync(directory);
+  const sheetData = {};
+
+  for (const { name } of CONFIG_SHEETS) {
+    const matches = files.filter((file) => {
+      const extension = path.extname(file).toLowerCase();
+      return (
+        SHEET_EXTENSIONS.includes(extension) &&
+        path.basename(file, path.extname(file)).toLowerCase() ===
+          name.toLowerCase()
+      );
+    });
+
+    if (matches.length > 1) {
+      throw new Error(
+        `Several files for the "${name}" sheet in ${directory}: ${matches.join(
+          ", "
+        )}`
+      );
+    }
+    if (matches.length === 1) {
+      sheetData[name] = readSheetFile(path.join(directory, matches[0]));
+    }
+  }
+  return sheetData;
+}
+
+// Sheets from a single JSON or YAML file mapping sheet names to rows
+function readWorkbookFile(filePath) {
+  let workbook;
+  try {
+    workbook = readStructuredFile(filePath);
+  } catch (error) {
+    throw new Error(
+      `Failed to read configuration file ${filePath}: ${error.message}`
+    );
+  }
+  if (!workbook || typeof workbook !== "object" || Array.isArray(workbook)) {
+    throw new Error(
+      `Configuration file ${filePath} must map sheet names to their rows`
+    );
+  }
+
+  const sheetData = {};
+  for (const { name } of CONFIG_SHEETS) {
+    if (workbook[name] !== undefined) {
+      sheetData[name] = toSheetRows(workbook[name], `${filePath} "${name}"`);
+    }
+  }
+  return sheetData;
+}
+
+/**
+ * Read the rows of every configuration sheet from local files, unparsed
+ * @returns {Promise<Object<string, string[][]>>} - Rows by sheet name
+ */
+async function readLocalConfigurationSheets() {
+  const configPath = getLocalConfigPath();
+  if (!fs.existsSync(configPath)) {
+    throw new Error(
+      `Local configuration not found at ${configPath} (set CONFIG_PATH)`
+    );
+  }
+
+  logger.info(`Reading configuration from ${configPath}...`);
+
+  const sheetData = fs.statSync(configPath).isDirectory()
+    ? readSheetDirectory(configPath)
+    : readWorkbookFile(configPath);
+
+  for (const { name, required } of CONFIG_SHEETS) {
+    if (sheetData[name]) continue;
+    if (required) {
+      throw new Error(
+        `Local configuration ${configPath} has no "${name}" sheet`
+      );
+    }
+    logger.info(`Optional sheet "${name}" not found - skipping`);
+  }
+  return sheetData;
+}
+
+module.exports = {
+  readLocalConfigurationSheets,
+  // Exported for testing
+  parseCsv,
+};
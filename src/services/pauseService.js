@@ -0,0 +1,30 @@
+const { toIsoDate } = require("../utils/dates");
+
+// Posting pauses (blackouts): periods when a region gets no weather posts,
+// e.g. while the campaign is on a break. A pause is plain data (see
+// parsePostingPausesTable in sheets/pausesSheet):
+// { start: "YYYY-MM-DD", end: "YYYY-MM-DD" (inclusive) or null, reason }
+// A pause without an end lasts until it is removed from the sheet.
+
+/**
+ * Find the pause covering a date
+ * @param {Object[]} pauses - Pauses that apply to the region
+ * @param {Date|string} date - Date to check (UTC date or "YYYY-MM-DD")
+ * @returns {Object|null} - The pause, or null if posting goes ahead
+ */
+function getActivePause(pauses, date) {
+  if (!Array.isArray(pauses) || pauses.length === 0) {
+    return null;
+  }
+
+  const isoDate = typeof date === "string" ? date : toIsoDate(date);
+  return (
+    pauses.find(
+      (pause) => pause.start <= isoDate && (!pause.end || isoDate <= pause.end)
+    ) || null
+  );
+}
+
+module.exports = {
+  getActivePause,
+};
@@ -0,0 +1,243 @@
+const { GREGORIAN_MONTHS, DEFAULT_WEEKDAYS } = require("../calendarService");
+const { parseIsoDate } = require("../../utils/dates");
+const { ConfigError } = require("../../utils/configErrors");
+const { parseHemisphere, parseNameList } = require("./cells");
+
+// Season boundaries and the campaign calendar, read from the Campaign
+// Settings sheet
+
+/**
+ * Parse a "MM-DD" season start date
+ * @param {string} value - Raw value
+ * @param {string} settingName - Setting the value came from (for errors)
+ * @returns {{ month: number, day: number }}
+ */
+function parseMonthDay(value, settingName) {
+  const match = value.trim().match(/^(\d{1,2})-(\d{1,2})$/);
+  const month = match ? Number(match[1]) : NaN;
+  const day = match ? Number(match[2]) : NaN;
+
+  if (!match || month < 1 || month > 12 || day < 1 || day > 31) {
+    throw new ConfigError(
+      `Invalid date "${value.trim()}" for Campaign Setting "${settingName}": expected MM-DD (e.g., 12-21)`,
+      { sheet: "Campaign Settings", setting: settingName }
+    );
+  }
+
+  return { month, day };
+}
+
+/**
+ * Read hemisphere and season start settings from the campaign settings
+ * Season starts are optional, but must be given for all four seasons if any
+ * @param {Object<string, string>} campaignSettings - Parsed campaign settings
+ * @returns {{ hemisphere: string, starts?: Object }} - Campaign season settings
+ */
+function parseSeasonSettings(campaignSettings) {
+  const hemisphere = campaignSettings.hemisphere
+    ? parseHemisphere(
+        campaignSettings.hemisphere,
+        'Campaign Setting "Hemisphere"',
+        { sheet: "Campaign Settings", setting: "Hemisphere" }
+      )
+    : "southern";
+
+  const seasons = ["spring", "summer", "autumn", "winter"];
+  const starts = {};
+  for (const season of seasons) {
+    const settingName = `${season} start`;
+    if (campaignSettings[settingName]) {
+      starts[season] = parseMonthDay(
+        campaignSettings[settingName],
+        `${season.charAt(0).toUpperCase() + season.slice(1)} Start`
+      );
+    }
+  }
+
+  const configured = Object.keys(starts).length;
+  if (configured > 0 && configured < seasons.length) {
+    throw new ConfigError(
+      'Campaign Settings must define all of "Spring Start", "Summer Start", "Autumn Start" and "Winter Start" when any season start is set',
+      { code: "missing-setting", sheet: "Campaign Settings" }
+    );
+  }
+
+  return configured > 0 ? { hemisphere, starts } : { hemisphere };
+}
+
+/**
+ * Read the campaign calendar from the campaign settings
+ * The calendar is enabled by "Calendar Start (Real)"; everything else is
+ * optional and defaults to a 1:1 Gregorian calendar starting on that date
+ * @param {Object<string, string>} campaignSettings - Parsed campaign settings
+ * @returns {Object|null} - Calendar (see calendarService) or null if not configured
+ */
+function parseCalendarSettings(campaignSettings) {
+  const realStart = campaignSettings["calendar start (real)"];
+  if (!realStart) {
+    return null;
+  }
+
+  if (!parseIsoDate(realStart)) {
+    throw new ConfigError(
+      `Invalid date "${realStart}" for Campaign Setting "Calendar Start (Real)": expected YYYY-MM-DD`,
+      { sheet: "Campaign Settings", setting: "Calendar Start (Real)" }
+    );
+  }
+
+  // Months: "Name" (30 days) or "Name:days"
+  let months = GREGORIAN_MONTHS;
+  if (campaignSettings["month names"]) {
+    months = parseNameList(campaignSettings["month names"]).map((entry) => {
+      const [name, rawDays] = entry.split(":").map((part) => part.trim());
+      const days = rawDays === undefined ? 30 : Number(rawDays);
+      if (!name || !Number.isInteger(days) || days < 1) {
+        throw new ConfigError(
+          `Invalid month "${entry}" in Campaign Setting "Month Names": expected "Name" or "Name:days"`,
+          { sheet: "Campaign Settings", setting: "Month Names" }
+        );
+      }
+      return { name, days };
+    });
+  }
+
+  let weekdays = DEFAULT_WEEKDAYS;
+  if (campaignSettings["weekday names"]) {
+    weekdays = parseNameList(campaignSettings["weekday names"]);
+  }
+
+  if (months.length === 0 || weekdays.length === 0) {
+    throw new ConfigError(
+      'Campaign Settings "Month Names" and "Weekday Names" must list at least one name',
+      { sheet: "Campaign Settings" }
+    );
+  }
+
+  // In-game start date as "year-month-day" (numbers, month is 1-based)
+  const [realYear, realMonth, realDay] = realStart.split("-").map(Number);
+  let gameStart = { year: realYear, month: realMonth, day: realDay };
+  const rawGameStart = campaignSettings["calendar start (in-game)"];
+  if (rawGameStart) {
+    const match = rawGameStart.match(/^(-?\d+)-(\d{1,2})-(\d{1,2})$/);
+    gameStart = match && {
+      year: Number(match[1]),
+      month: Number(match[2]),
+      day: Number(match[3]),
+    };
+    if (
+      !gameStart ||
+      gameStart.month < 1 ||
+      gameStart.month > months.length ||
+      gameStart.day < 1 ||
+      gameStart.day > months[gameStart.month - 1].days
+    ) {
+      throw new ConfigError(
+        `Invalid date "${rawGameStart}" for Campaign Setting "Calendar Start (In-Game)": expected year-month-day within the campaign calendar`,
+        { sheet: "Campaign Settings", setting: "Calendar Start (In-Game)" }
+      );
+    }
+  } else if (gameStart.day > months[gameStart.month - 1]?.days) {
+    throw new ConfigError(
+      'Campaign Setting "Calendar Start (In-Game)" is required when the real start date does not exist in the campaign calendar',
+      {
+        code: "missing-setting",
+        sheet: "Campaign Settings",
+        setting: "Calendar Start (In-Game)",
+      }
+    );
+  }
+
+  const timeScale = campaignSettings["time scale"]
+    ? Number(campaignSettings["time scale"])
+    : 1;
+  if (!Number.isFinite(timeScale) || timeScale <= 0) {
+    throw new ConfigError(
+      `Invalid Campaign Setting "Time Scale" "${campaignSettings["time scale"]}": expected a positive number of in-game days per real day`,
+      { sheet: "Campaign Settings", setting: "Time Scale" }
+    );
+  }
+
+  return {
+    realStart,
+    gameStart,
+    timeScale,
+    months,
+    weekdays,
+    ...(campaignSettings.era && { era: campaignSettings.era }),
+  };
+}
+
+/**
+ * Check that season start dates exist in the calendar they will be used with
+ * @param {{ hemisphere: string, starts?: Object }} campaignSeasons - Campaign season settings
+ * @param {Object|null} calendar - Campaign calendar
+ */
+function validateSeasonStarts(campaignSeasons, calendar) {
+  if (!calendar) {
+    return;
+  }
+
+  if (!campaignSeasons.starts) {
+    if (calendar.months.length < 12) {
+      throw new ConfigError(
+        `The campaign calendar has ${calendar.months.length} months: set "Spring Start", "Summer Start", "Autumn Start" and "Winter Start" in Campaign Settings`,
+        { code: "missing-setting", sheet: "Campaign Settings" }
+      );
+    }
+    return;
+  }
+
+  for (const [season, { month, day }] of Object.entries(
+    campaignSeasons.starts
+  )) {
+    const calendarMonth = calendar.months[month - 1];
+    if (!calendarMonth || day > calendarMonth.days) {
+      const settingName = `${
+        season.charAt(0).toUpperCase() + season.slice(1)
+      } Start`;
+      throw new ConfigError(
+        `Campaign Setting "${settingName}" (${month}-${day}) does not exist in the campaign calendar`,
+        { sheet: "Campaign Settings", setting: settingName }
+      );
+    }
+  }
+}
+
+/**
+ * Resolve the season settings for one region
+ * Custom season starts are written for the campaign hemisphere; a region in
+ * the other hemisphere gets them shifted by six months
+ * @param {{ hemisphere: string, starts?: Object }} campaignSeasons - Campaign season settings
+ * @param {string} [regionHemisphere] - Region hemisphere override
+ * @returns {{ hemisphere: string, starts?: Object }} - Region season settings
+ */
+function resolveRegionSeasons(campaignSeasons, regionHemisphere) {
+  const hemisphere = regionHemisphere || campaignSeasons.hemisphere;
+
+  if (!campaignSeasons.starts) {
+    return { hemisphere };
+  }
+
+  if (hemisphere === campaignSeasons.hemisphere) {
+    return { hemisphere, starts: campaignSeasons.starts };
+  }
+
+  const opposite = {
+    spring: "autumn",
+    summer: "winter",
+    autumn: "spring",
+    winter: "summer",
+  };
+  const starts = {};
+  for (const [season, start] of Object.entries(campaignSeasons.starts)) {
+    starts[opposite[season]] = start;
+  }
+  return { hemisphere, starts };
+}
+
+module.exports = {
+  parseSeasonSettings,
+  parseCalendarSettings,
+  validateSeasonStarts,
+  resolveRegionSeasons,
+};
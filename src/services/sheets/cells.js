@@ -0,0 +1,58 @@
+const { ConfigError } = require("../../utils/configErrors");
+
+// Cell parsers shared by the configuration sheets
+
+/**
+ * Parse a hemisphere value ("Northern", "South", "N", ...)
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {"northern"|"southern"} - Normalized hemisphere
+ */
+function parseHemisphere(value, context, location) {
+  const normalized = value
+    .trim()
+    .toLowerCase()
+    .replace(/\s+hemisphere$/, "");
+  if (["n", "north", "northern"].includes(normalized)) {
+    return "northern";
+  }
+  if (["s", "south", "southern"].includes(normalized)) {
+    return "southern";
+  }
+  throw new ConfigError(
+    `Invalid hemisphere "${value.trim()}" for ${context}: expected Northern or Southern`,
+    location
+  );
+}
+
+/**
+ * Parse a comma-separated list of names
+ * @param {string} value - Raw value
+ * @returns {string[]} - Trimmed, non-empty names
+ */
+function parseNameList(value) {
+  return value
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name.length > 0);
+}
+
+/**
+ * Normalize a season name from the sheet ("Fall" is accepted for autumn)
+ * @param {string} value - Raw season name
+ * @returns {string|null} - Season key, or null if not a season
+ */
+function normalizeSeason(value) {
+  const season = value?.trim().toLowerCase();
+  if (season === "fall") return "autumn";
+  return ["spring", "summer", "autumn", "winter"].includes(season)
+    ? season
+    : null;
+}
+
+module.exports = {
+  parseHemisphere,
+  parseNameList,
+  normalizeSeason,
+};
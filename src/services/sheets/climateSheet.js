@@ -0,0 +1,115 @@
+const { logger } = require("../../utils/logger");
+const { ConfigError, toCellReference } = require("../../utils/configErrors");
+const { normalizeSeason } = require("./cells");
+
+/**
+ * Parse the optional Climate sheet
+ * Columns: Region | Season | Min Temp | Max Temp | Max Wind | Max Precipitation
+ * Season may be "All" to apply the row to every season; numeric cells may be
+ * left blank to skip that part of the numeric weather
+ * @param {string[][]} data - Raw sheet data
+ * @returns {Object} - Map of region to season to climate parameters
+ */
+function parseClimateTable(data) {
+  const climate = {};
+  if (!data || data.length < 2) {
+    return climate;
+  }
+
+  const headers = data[0].map((h) => h?.toLowerCase().trim() || "");
+  const regionIndex = headers.findIndex((h) => h.includes("region"));
+  const seasonIndex = headers.findIndex((h) => h.includes("season"));
+  const columns = {
+    minTemp: headers.findIndex((h) => h.includes("min") && h.includes("temp")),
+    maxTemp: headers.findIndex((h) => h.includes("max") && h.includes("temp")),
+    maxWind: headers.findIndex((h) => h.includes("wind")),
+    maxPrecipitation: headers.findIndex((h) => h.includes("precip")),
+  };
+
+  const sheet = "Climate";
+  if (regionIndex === -1 || seasonIndex === -1) {
+    throw new ConfigError('Climate sheet missing "Region" or "Season" column', {
+      code: "missing-column",
+      sheet,
+    });
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const regionName = row?.[regionIndex]?.trim();
+    const rawSeason = row?.[seasonIndex]?.trim();
+    if (!regionName || !rawSeason) continue;
+    const location = (column) => ({
+      sheet,
+      row: i,
+      column,
+      region: regionName,
+    });
+
+    const seasons =
+      rawSeason.toLowerCase() === "all"
+        ? ["spring", "summer", "autumn", "winter"]
+        : [normalizeSeason(rawSeason)];
+    if (!seasons[0]) {
+      throw new ConfigError(
+        `Unknown season "${rawSeason}" for region "${regionName}" in Climate sheet cell ${toCellReference(
+          i,
+          seasonIndex
+        )}`,
+        location(seasonIndex)
+      );
+    }
+
+    const parameters = {};
+    for (const [key, columnIndex] of Object.entries(columns)) {
+      const rawValue = columnIndex === -1 ? "" : row[columnIndex]?.trim();
+      if (!rawValue) continue;
+
+      const value = Number(rawValue);
+      if (
+        !Number.isFinite(value) ||
+        (key !== "minTemp" && key !== "maxTemp" && value < 0)
+      ) {
+        throw new ConfigError(
+          `Invalid number "${rawValue}" for region "${regionName}" (${rawSeason}) in Climate sheet cell ${toCellReference(
+            i,
+            columnIndex
+          )}`,
+          location(columnIndex)
+        );
+      }
+      parameters[key] = value;
+    }
+
+    if (
+      parameters.minTemp !== undefined &&
+      parameters.maxTemp !== undefined &&
+      parameters.minTemp > parameters.maxTemp
+    ) {
+      throw new ConfigError(
+        `Min Temp is above Max Temp for region "${regionName}" (${rawSeason}) in Climate sheet row ${
+          i + 1
+        }`,
+        location()
+      );
+    }
+
+    climate[regionName] = climate[regionName] || {};
+    for (const season of seasons) {
+      climate[regionName][season] = {
+        ...climate[regionName][season],
+        ...parameters,
+      };
+    }
+  }
+
+  logger.info(
+    `Parsed climate parameters for ${Object.keys(climate).length} regions`
+  );
+
+  return climate;
+}
+
+module.exports = {
+  parseClimateTable,
+};
@@ -0,0 +1,146 @@
+const { logger } = require("../../utils/logger");
+const { ConfigError, toCellReference } = require("../../utils/configErrors");
+const { parseNameList, normalizeSeason } = require("./cells");
+
+// Daily start chance for the named event frequencies
+const EVENT_FREQUENCIES = {
+  "very rare": 0.01,
+  rare: 0.02,
+  uncommon: 0.05,
+  common: 0.1,
+};
+
+/**
+ * Parse an event frequency: a named frequency, a percentage ("3%") or a
+ * daily probability ("0.03")
+ * @param {string} value - Raw value
+ * @param {string} context - Where the value came from (for errors)
+ * @param {Object} [location] - Structured location (see ConfigError)
+ * @returns {number} - Daily start chance
+ */
+function parseEventFrequency(value, context, location) {
+  const normalized = value.trim().toLowerCase();
+  if (EVENT_FREQUENCIES[normalized] !== undefined) {
+    return EVENT_FREQUENCIES[normalized];
+  }
+
+  const chance = normalized.endsWith("%")
+    ? Number(normalized.slice(0, -1)) / 100
+    : Number(normalized);
+  if (!normalized || !Number.isFinite(chance) || chance <= 0 || chance > 1) {
+    throw new ConfigError(
+      `Invalid frequency "${value.trim()}" for ${context}: expected ${Object.keys(
+        EVENT_FREQUENCIES
+      ).join("/")}, a percentage or a probability`,
+      location
+    );
+  }
+  return chance;
+}
+
+/**
+ * Parse the optional Weather Events sheet
+ * Columns: Event | Condition | Seasons | Duration | Frequency | Regions | Impact
+ * Condition defaults to the event name, Seasons and Regions to all, and
+ * Duration is a number of days ("3") or a range ("2-4")
+ * @param {string[][]} data - Raw sheet data
+ * @returns {Object[]} - Events (see eventService)
+ */
+function parseWeatherEventsTable(data) {
+  const events = [];
+  if (!data || data.length < 2) {
+    return events;
+  }
+
+  const headers = data[0].map((h) => h?.toLowerCase().trim() || "");
+  const nameIndex = headers.findIndex((h) => h.includes("event"));
+  const conditionIndex = headers.findIndex((h) => h.includes("condition"));
+  const seasonsIndex = headers.findIndex((h) => h.includes("season"));
+  const durationIndex = headers.findIndex((h) => h.includes("duration"));
+  const frequencyIndex = headers.findIndex(
+    (h) => h.includes("frequency") || h.includes("chance")
+  );
+  const regionsIndex = headers.findIndex((h) => h.includes("region"));
+  const impactIndex = headers.findIndex((h) => h.includes("impact"));
+
+  if (nameIndex === -1 || durationIndex === -1 || frequencyIndex === -1) {
+    throw new ConfigError(
+      'Weather Events sheet missing "Event", "Duration" or "Frequency" column',
+      { code: "missing-column", sheet: "Weather Events" }
+    );
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const name = row?.[nameIndex]?.trim();
+    if (!name) continue;
+
+    const cell = (index) => (index === -1 ? "" : row[index]?.trim() || "");
+    const location = (column) => ({ sheet: "Weather Events", row: i, column });
+
+    const duration = cell(durationIndex).match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+    const minDays = duration ? Number(duration[1]) : NaN;
+    const maxDays = duration ? Number(duration[2] || duration[1]) : NaN;
+    if (!duration || minDays < 1 || maxDays < minDays) {
+      throw new ConfigError(
+        `Invalid duration "${cell(
+          durationIndex
+        )}" for event "${name}" in Weather Events cell ${toCellReference(
+          i,
+          durationIndex
+        )}: expected days ("3") or a range ("2-4")`,
+        location(durationIndex)
+      );
+    }
+
+    let seasons = ["spring", "summer", "autumn", "winter"];
+    const rawSeasons = cell(seasonsIndex);
+    if (rawSeasons && rawSeasons.toLowerCase() !== "all") {
+      seasons = parseNameList(rawSeasons).map((rawSeason) => {
+        const season = normalizeSeason(rawSeason);
+        if (!season) {
+          throw new ConfigError(
+            `Unknown season "${rawSeason}" for event "${name}" in Weather Events cell ${toCellReference(
+              i,
+              seasonsIndex
+            )}`,
+            location(seasonsIndex)
+          );
+        }
+        return season;
+      });
+    }
+
+    const rawRegions = cell(regionsIndex);
+    const impact = cell(impactIndex);
+
+    events.push({
+      name,
+      condition: cell(conditionIndex) || name,
+      seasons,
+      minDays,
+      maxDays,
+      chance: parseEventFrequency(
+        cell(frequencyIndex),
+        `event "${name}" in Weather Events cell ${toCellReference(
+          i,
+          frequencyIndex
+        )}`,
+        location(frequencyIndex)
+      ),
+      regions:
+        rawRegions && rawRegions.toLowerCase() !== "all"
+          ? parseNameList(rawRegions)
+          : null,
+      impacts: impact ? [impact] : [],
+    });
+  }
+
+  logger.info(`Parsed ${events.length} weather events`);
+
+  return events;
+}
+
+module.exports = {
+  parseWeatherEventsTable,
+};
@@ -0,0 +1,119 @@
+const { logger } = require("../../utils/logger");
+const { ConfigError, toCellReference } = require("../../utils/configErrors");
+const { GROUND_TYPES } = require("../groundService");
+const { parseNameList } = require("./cells");
+
+/**
+ * Parse the optional Ground State sheet
+ * Columns: Ground | Level | Threshold | Impact | Regions
+ * Ground is Snow, Mud or River; Threshold is the accumulated index (mm of
+ * water, roughly cm of snow) at which the level is reached. Regions defaults
+ * to all
+ * @param {string[][]} data - Raw sheet data
+ * @returns {Object[]} - Levels: { ground, level, threshold, impacts, regions }
+ */
+function parseGroundStateTable(data) {
+  const levels = [];
+  if (!data || data.length < 2) {
+    return levels;
+  }
+
+  const headers = data[0].map((h) => h?.toLowerCase().trim() || "");
+  const groundIndex = headers.findIndex((h) => h.includes("ground"));
+  const levelIndex = headers.findIndex((h) => h.includes("level"));
+  const thresholdIndex = headers.findIndex((h) => h.includes("threshold"));
+  const impactIndex = headers.findIndex((h) => h.includes("impact"));
+  const regionsIndex = headers.findIndex((h) => h.includes("region"));
+
+  if (groundIndex === -1 || levelIndex === -1 || thresholdIndex === -1) {
+    throw new ConfigError(
+      'Ground State sheet missing "Ground", "Level" or "Threshold" column',
+      { code: "missing-column", sheet: "Ground State" }
+    );
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const cell = (index) => (index === -1 ? "" : row?.[index]?.trim() || "");
+    const rawGround = cell(groundIndex);
+    const level = cell(levelIndex);
+    if (!rawGround && !level) continue;
+
+    const ground = GROUND_TYPES.find((type) =>
+      rawGround.toLowerCase().includes(type)
+    );
+    if (!ground) {
+      throw new ConfigError(
+        `Unknown ground "${rawGround}" in Ground State cell ${toCellReference(
+          i,
+          groundIndex
+        )}: expected ${GROUND_TYPES.join(", ")}`,
+        { sheet: "Ground State", row: i, column: groundIndex }
+      );
+    }
+
+    const threshold = Number(cell(thresholdIndex));
+    if (
+      !cell(thresholdIndex) ||
+      !Number.isFinite(threshold) ||
+      threshold <= 0
+    ) {
+      throw new ConfigError(
+        `Invalid threshold "${cell(
+          thresholdIndex
+        )}" in Ground State cell ${toCellReference(
+          i,
+          thresholdIndex
+        )}: expected a number above 0`,
+        { sheet: "Ground State", row: i, column: thresholdIndex }
+      );
+    }
+
+    const rawRegions = cell(regionsIndex);
+    const impact = cell(impactIndex);
+
+    levels.push({
+      ground,
+      level: level || rawGround,
+      threshold,
+      impacts: impact ? [impact] : [],
+      regions:
+        rawRegions && rawRegions.toLowerCase() !== "all"
+          ? parseNameList(rawRegions)
+          : null,
+    });
+  }
+
+  logger.info(`Parsed ${levels.length} ground state levels`);
+
+  return levels;
+}
+
+// Days of weather the ground state accumulates over by default
+const DEFAULT_GROUND_LOOKBACK_DAYS = 14;
+
+/**
+ * Read the ground state lookback from the campaign settings
+ * @param {Object<string, string>} campaignSettings - Parsed campaign settings
+ * @returns {number} - Days of weather to accumulate
+ */
+function parseGroundLookback(campaignSettings) {
+  const rawValue = campaignSettings["ground lookback days"];
+  if (!rawValue) {
+    return DEFAULT_GROUND_LOOKBACK_DAYS;
+  }
+
+  const days = Number(rawValue);
+  if (!Number.isInteger(days) || days < 1 || days > 60) {
+    throw new ConfigError(
+      `Invalid Campaign Setting "Ground Lookback Days" "${rawValue}": expected a whole number from 1 to 60`,
+      { sheet: "Campaign Settings", setting: "Ground Lookback Days" }
+    );
+  }
+  return days;
+}
+
+module.exports = {
+  parseGroundStateTable,
+  parseGroundLookback,
+};
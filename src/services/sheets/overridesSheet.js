@@ -0,0 +1,139 @@
+const { logger } = require("../../utils/logger");
+const { parseIsoDate } = require("../../utils/dates");
+const {
+  ConfigError,
+  reportConfigWarning,
+  toCellReference,
+} = require("../../utils/configErrors");
+const { parseNameList } = require("./cells");
+
+/**
+ * Parse the optional Weather Overrides sheet
+ * Columns: Date | Region | Condition | Impact
+ * Date is "YYYY-MM-DD"; Region may list several regions or be "All" (or
+ * blank) to force the weather everywhere
+ * @param {string[][]} data - Raw sheet data
+ * @returns {Object[]} - Overrides: { date, regions, condition, impacts }
+ */
+function parseWeatherOverridesTable(data) {
+  const overrides = [];
+  if (!data || data.length < 2) {
+    return overrides;
+  }
+
+  const headers = data[0].map((h) => h?.toLowerCase().trim() || "");
+  const dateIndex = headers.findIndex((h) => h.includes("date"));
+  const regionIndex = headers.findIndex((h) => h.includes("region"));
+  const conditionIndex = headers.findIndex((h) => h.includes("condition"));
+  const impactIndex = headers.findIndex((h) => h.includes("impact"));
+
+  if (dateIndex === -1 || conditionIndex === -1) {
+    throw new ConfigError(
+      'Weather Overrides sheet missing "Date" or "Condition" column',
+      { code: "missing-column", sheet: "Weather Overrides" }
+    );
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const cell = (index) => (index === -1 ? "" : row?.[index]?.trim() || "");
+    const rawDate = cell(dateIndex);
+    const condition = cell(conditionIndex);
+    if (!rawDate && !condition) continue;
+    const location = (column) => ({
+      sheet: "Weather Overrides",
+      row: i,
+      column,
+    });
+
+    if (!parseIsoDate(rawDate)) {
+      throw new ConfigError(
+        `Invalid date "${rawDate}" in Weather Overrides cell ${toCellReference(
+          i,
+          dateIndex
+        )}: expected YYYY-MM-DD`,
+        location(dateIndex)
+      );
+    }
+    if (!condition) {
+      throw new ConfigError(
+        `Missing condition for ${rawDate} in Weather Overrides cell ${toCellReference(
+          i,
+          conditionIndex
+        )}`,
+        { ...location(conditionIndex), code: "missing-value" }
+      );
+    }
+
+    const rawRegions = cell(regionIndex);
+    const impact = cell(impactIndex);
+
+    overrides.push({
+      date: rawDate,
+      regions:
+        rawRegions && rawRegions.toLowerCase() !== "all"
+          ? parseNameList(rawRegions)
+          : null,
+      condition,
+      impacts: impact ? [impact] : [],
+    });
+  }
+
+  logger.info(`Parsed ${overrides.length} weather overrides`);
+
+  return overrides;
+}
+
+/**
+ * Overrides for one region, keyed by ISO date
+ * A region-specific row wins over an "All" row for the same date; otherwise
+ * the last row wins
+ * Overrides without an Impact use the condition's mechanical impact, if any
+ * @param {Object[]} overrides - Parsed Weather Overrides sheet
+ * @param {string} regionName - Region to collect overrides for
+ * @param {function(string, string): string|undefined} lookupImpact -
+ *   Mechanical impact of a condition on an ISO date in the region
+ * @param {Object[]} [warnings] - Collects warnings instead of logging them
+ * @returns {Object<string, { condition: string, impacts: string[] }>}
+ */
+function getRegionOverrides(overrides, regionName, lookupImpact, warnings) {
+  const regionOverrides = {};
+  // Whether each date's override came from a region-specific row
+  const isSpecificRow = {};
+
+  for (const override of overrides) {
+    const isSpecific = Boolean(override.regions);
+    if (isSpecific && !override.regions.includes(regionName)) continue;
+
+    const previous = isSpecificRow[override.date];
+    if (previous && !isSpecific) continue;
+    if (previous === isSpecific) {
+      reportConfigWarning(
+        warnings,
+        `Weather Overrides sheet has several rows for "${regionName}" on ${override.date} - using the last one`,
+        {
+          code: "duplicate-override",
+          sheet: "Weather Overrides",
+          region: regionName,
+        }
+      );
+    }
+
+    isSpecificRow[override.date] = isSpecific;
+    const mappedImpact = lookupImpact(override.condition, override.date);
+    regionOverrides[override.date] = {
+      condition: override.condition,
+      impacts:
+        override.impacts.length === 0 && mappedImpact
+          ? [mappedImpact]
+          : override.impacts,
+    };
+  }
+
+  return regionOverrides;
+}
+
+module.exports = {
+  parseWeatherOverridesTable,
+  getRegionOverrides,
+};
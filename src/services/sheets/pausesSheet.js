@@ -0,0 +1,85 @@
+const { logger } = require("../../utils/logger");
+const { parseIsoDate } = require("../../utils/dates");
+const { ConfigError, toCellReference } = require("../../utils/configErrors");
+const { parseNameList } = require("./cells");
+
+/**
+ * Parse the optional Posting Pauses sheet
+ * Columns: Start | End | Region | Reason
+ * Dates are "YYYY-MM-DD" and inclusive; a blank End keeps the pause going
+ * until the row is removed. Region may list several regions or be "All" (or
+ * blank) to pause the whole campaign
+ * @param {string[][]} data - Raw sheet data
+ * @returns {Object[]} - Pauses: { start, end, regions, reason }
+ */
+function parsePostingPausesTable(data) {
+  const pauses = [];
+  if (!data || data.length < 2) {
+    return pauses;
+  }
+
+  const headers = data[0].map((h) => h?.toLowerCase().trim() || "");
+  const startIndex = headers.findIndex((h) => h.includes("start"));
+  const endIndex = headers.findIndex((h) => h.includes("end"));
+  const regionIndex = headers.findIndex((h) => h.includes("region"));
+  const reasonIndex = headers.findIndex((h) => h.includes("reason"));
+
+  const sheet = "Posting Pauses";
+  if (startIndex === -1) {
+    throw new ConfigError('Posting Pauses sheet missing "Start" column', {
+      code: "missing-column",
+      sheet,
+    });
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const cell = (index) => (index === -1 ? "" : row?.[index]?.trim() || "");
+    const start = cell(startIndex);
+    const end = cell(endIndex);
+    if (!start && !end) continue;
+
+    const checkDate = (value, columnIndex) => {
+      if (!parseIsoDate(value)) {
+        throw new ConfigError(
+          `Invalid date "${value}" in Posting Pauses cell ${toCellReference(
+            i,
+            columnIndex
+          )}: expected YYYY-MM-DD`,
+          { sheet, row: i, column: columnIndex }
+        );
+      }
+    };
+    checkDate(start, startIndex);
+    if (end) checkDate(end, endIndex);
+
+    if (end && end < start) {
+      throw new ConfigError(
+        `Posting pause ends (${end}) before it starts (${start}) in Posting Pauses row ${
+          i + 1
+        }`,
+        { sheet, row: i }
+      );
+    }
+
+    const rawRegions = cell(regionIndex);
+
+    pauses.push({
+      start,
+      end: end || null,
+      regions:
+        rawRegions && rawRegions.toLowerCase() !== "all"
+          ? parseNameList(rawRegions)
+          : null,
+      reason: cell(reasonIndex),
+    });
+  }
+
+  logger.info(`Parsed ${pauses.length} posting pauses`);
+
+  return pauses;
+}
+
+module.exports = {
+  parsePostingPausesTable,
+};
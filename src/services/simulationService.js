@@ -0,0 +1,126 @@
+const { getTerrainConditions } = require("./terrainService");
+const {
+  getEmojiSource,
+  getRegionalWeatherForDate,
+} = require("./weatherService");
+const { addDays, dayNumber, toIsoDate } = require("../utils/dates");
+
+// Climate simulation for tuning the sheet: runs every day of a date range
+// through the same path as the posts and counts what comes out.
+
+const SEASON_ORDER = ["spring", "summer", "autumn", "winter"];
+
+// Impacts that fire on a day, each counted once (day, phases and ground)
+function getDayImpacts(weather) {
+  const impacts = new Set(weather.impacts);
+  for (const phase of weather.phases || []) {
+    phase.impacts.forEach((impact) => impacts.add(impact));
+  }
+  for (const state of weather.ground ? weather.ground.states : []) {
+    state.impacts.forEach((impact) => impacts.add(impact));
+  }
+  return impacts;
+}
+
+// Sort a { name: count } map into [{ name, days }], most frequent first
+function toSortedCounts(counts) {
+  return Object.entries(counts)
+    .map(([name, days]) => ({ name, days }))
+    .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+}
+
+/**
+ * Simulate a region's weather over a date range as the sheet produces it
+ * (weather already posted to the ledger is ignored)
+ * @param {Object} regionConfig - Region configuration (with id)
+ * @param {Date} from - First day (UTC)
+ * @param {Date} to - Last day (UTC, inclusive)
+ * @returns {{ days: number, seasons: Object[], streaks: Object[], impacts: Object[] }}
+ *   - seasons: [{ season, days, conditions: [{ name, days }] }] in season order
+ *   - streaks: [{ name, days, start }] longest run of each condition
+ *   - impacts: [{ name, days }] days each impact fired
+ */
+function simulateRegion(regionConfig, from, to) {
+  const seasonCounts = {};
+  const impactCounts = {};
+  const longest = {};
+  let run = null;
+
+  const totalDays = dayNumber(to) - dayNumber(from) + 1;
+  for (let offset = 0; offset < totalDays; offset++) {
+    const date = addDays(from, offset);
+    const weather = getRegionalWeatherForDate(regionConfig, date, {
+      ledger: false,
+    });
+
+    if (!seasonCounts[weather.season]) {
+      seasonCounts[weather.season] = { days: 0, conditions: {} };
+    }
+    const season = seasonCounts[weather.season];
+    season.days++;
+    season.conditions[weather.condition] =
+      (season.conditions[weather.condition] || 0) + 1;
+
+    for (const impact of getDayImpacts(weather)) {
+      impactCounts[impact] = (impactCounts[impact] || 0) + 1;
+    }
+
+    if (run && run.name === weather.condition) {
+      run.days++;
+    } else {
+      run = { name: weather.condition, days: 1, start: toIsoDate(date) };
+    }
+    if (!longest[run.name] || run.days > longest[run.name].days) {
+      longest[run.name] = run;
+    }
+  }
+
+  return {
+    days: Math.max(totalDays, 0),
+    seasons: SEASON_ORDER.filter((season) => seasonCounts[season]).map(
+      (season) => ({
+        season,
+        days: seasonCounts[season].days,
+        conditions: toSortedCounts(seasonCounts[season].conditions),
+      })
+    ),
+    streaks: Object.values(longest).sort(
+      (a, b) => b.days - a.days || a.name.localeCompare(b.name)
+    ),
+    impacts: toSortedCounts(impactCounts),
+  };
+}
+
+/**
+ * Conditions a region can post whose emoji falls through to the default
+ * (neither the sheet's mapping nor the built-in heuristics know them)
+ * @param {Object} regionConfig - Region configuration
+ * @returns {string[]} - Conditions, sorted
+ */
+function findDefaultEmojiConditions(regionConfig) {
+  const rolled = [
+    ...Object.values(regionConfig.seasonalWeather || {}).flatMap(
+      (season) => season.conditions || []
+    ),
+    ...(regionConfig.events || []).map((event) => event.condition),
+  ];
+  const conditions = new Set([
+    ...getTerrainConditions(rolled, regionConfig.terrain || null),
+    // GM overrides are posted as written, without terrain
+    ...Object.values(regionConfig.overrides || {}).map(
+      (override) => override.condition
+    ),
+  ]);
+
+  return [...conditions]
+    .filter(
+      (condition) =>
+        getEmojiSource(condition, regionConfig.emojis || null) === "default"
+    )
+    .sort((a, b) => a.localeCompare(b));
+}
+
+module.exports = {
+  simulateRegion,
+  findDefaultEmojiConditions,
+};
@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { logger } = require("../utils/logger");
+const { toCellReference } = require("../utils/configErrors");
+
+// Last-known-good configuration: every configuration a posting run loads is
+// saved as a snapshot of its unparsed sheets, and a run whose live
+// configuration can't be fetched or parsed falls back to the newest one.
+// Snapshots are raw rows rather than parsed regions, so they parse with the
+// current code and can be diffed cell by cell.
+// Enabled by setting CONFIG_SNAPSHOT_DIR; the workflows keep the directory
+// in the Actions cache (snapshots hold webhook URLs - don't commit them).
+//
+// File format: config-<timestamp>.json = { savedAt, source, sheets }
+
+const DEFAULT_SNAPSHOT_KEEP = 30;
+const SNAPSHOT_FILE = /^config-.+\.json$/;
+
+/**
+ * Snapshot directory, or null when snapshots are disabled
+ * @returns {string|null}
+ */
+function getSnapshotDir() {
+  const configured = process.env.CONFIG_SNAPSHOT_DIR;
+  return configured ? path.resolve(configured) : null;
+}
+
+// Number of snapshots kept (CONFIG_SNAPSHOT_KEEP, default 30)
+function getSnapshotKeep() {
+  const raw = process.env.CONFIG_SNAPSHOT_KEEP;
+  const keep = Number(raw);
+  if (raw === undefined || raw === "") {
+    return DEFAULT_SNAPSHOT_KEEP;
+  }
+  if (!Number.isInteger(keep) || keep < 1) {
+    throw new Error(
+      `Invalid CONFIG_SNAPSHOT_KEEP "${raw}": expected a whole number of at least 1`
+    );
+  }
+  return keep;
+}
+
+// Snapshot file names, newest first (timestamps sort as text)
+function listSnapshotFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return fs
+    .readdirSync(directory)
+    .filter((file) => SNAPSHOT_FILE.test(file))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Read a snapshot file
+ * @param {string} filePath - Snapshot file
+ * @returns {{ savedAt: string, source: string, sheets: Object, path: string }}
+ */
+function readSnapshot(filePath) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read snapshot ${filePath}: ${error.message}`);
+  }
+  if (!snapshot || typeof snapshot.sheets !== "object") {
+    throw new Error(`Snapshot ${filePath} has no "sheets"`);
+  }
+  return { ...snapshot, path: filePath };
+}
+
+/**
+ * Newest snapshot
+ * @returns {Object|null} - Snapshot (see readSnapshot), or null when
+ *   snapshots are disabled or none were saved yet
+ */
+function loadLatestSnapshot() {
+  const directory = getSnapshotDir();
+  if (!directory) {
+    return null;
+  }
+  const [latest] = listSnapshotFiles(directory);
+  return latest ? readSnapshot(path.join(directory, latest)) : null;
+}
+
+/**
+ * Save the sheets of a configuration that loaded, unless they equal the
+ * newest snapshot; older snapshots beyond CONFIG_SNAPSHOT_KEEP are removed
+ * @param {Object<string, string[][]>} sheets - Unparsed rows by sheet name
+ * @param {string} source - Where the sheets came from
+ * @param {Date} [now] - Snapshot time
+ * @returns {string|null} - Path of the new snapshot, or null if none written
+ */
+function saveSnapshot(sheets, source, now = new Date()) {
+  const directory = getSnapshotDir();
+  if (!directory) {
+    return null;
+  }
+
+  const latest = loadLatestSnapshot();
+  if (latest && JSON.stringify(latest.sheets) === JSON.stringify(sheets)) {
+    logger.info(`Configuration unchanged since snapshot ${latest.savedAt}`);
+    return null;
+  }
+
+  const savedAt = now.toISOString();
+  const filePath = path.join(
+    directory,
+    `config-${savedAt.replace(/[:.]/g, "-")}.json`
+  );
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    `${JSON.stringify({ savedAt, source, sheets }, null, 2)}\n`
+  );
+  logger.info(`Configuration snapshot written to ${filePath}`);
+
+  for (const file of listSnapshotFiles(directory).slice(getSnapshotKeep())) {
+    fs.rmSync(path.join(directory, file));
+  }
+  return filePath;
+}
+
+/**
+ * Tell the GMs that a run used a snapshot (CONFIG_FALLBACK_WEBHOOK_URL)
+ * Failures are logged, never thrown: the run goes on with the snapshot
+ * @param {Object} snapshot - Snapshot in use
+ * @param {Error} error - Why the live configuration could not be used
+ * @returns {Promise<boolean>} - Whether a notice was posted
+ */
+async function sendFallbackNotice(snapshot, error) {
+  const webhookUrl = process.env.CONFIG_FALLBACK_WEBHOOK_URL;
+  if (!webhookUrl) {
+    return false;
+  }
+
+  const content =
+    `⚠️ **Weather configuration unavailable**\n` +
+    `The live configuration could not be loaded: ${error.message}\n` +
+    `This run uses the snapshot from ${snapshot.savedAt}; sheet edits made since then are not applied.`;
+  try {
+    await axios.post(
+      webhookUrl,
+      { content },
+      { headers: { "Content-Type": "application/json" } }
+    );
+    logger.info("Configuration fallback notice posted");
+    return true;
+  } catch (postError) {
+    logger.error(
+      `Failed to post configuration fallback notice: ${postError.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Compare two sets of sheets cell by cell
+ * @param {Object<string, string[][]>} before - Rows by sheet name
+ * @param {Object<string, string[][]>} after - Rows by sheet name
+ * @returns {Object[]} - Changes: { sheet, cell, before, after }, with
+ *   { sheet, added: true } or { sheet, removed: true } for whole sheets
+ */
+function diffSheets(before, after) {
+  const changes = [];
+  const sheetNames = [
+    ...new Set([...Object.keys(before), ...Object.keys(after)]),
+  ];
+
+  for (const sheet of sheetNames) {
+    // Missing optional sheets come back empty from Google Sheets
+    const oldRows = before[sheet]?.length ? before[sheet] : null;
+    const newRows = after[sheet]?.length ? after[sheet] : null;
+    if (!oldRows && !newRows) continue;
+    if (!oldRows || !newRows) {
+      changes.push({
+        sheet,
+        ...(oldRows ? { removed: true } : { added: true }),
+      });
+      continue;
+    }
+
+    const rowCount = Math.max(oldRows.length, newRows.length);
+    for (let row = 0; row < rowCount; row++) {
+      const oldRow = oldRows[row] || [];
+      const newRow = newRows[row] || [];
+      const columnCount = Math.max(oldRow.length, newRow.length);
+      for (let column = 0; column < columnCount; column++) {
+        const oldValue = (oldRow[column] || "").trim();
+        const newValue = (newRow[column] || "").trim();
+        if (oldValue !== newValue) {
+          changes.push({
+            sheet,
+            cell: toCellReference(row, column),
+            before: oldValue,
+            after: newValue,
+          });
+        }
+      }
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  getSnapshotDir,
+  loadLatestSnapshot,
+  readSnapshot,
+  saveSnapshot,
+  sendFallbackNotice,
+  diffSheets,
+};
@@ -0,0 +1,82 @@
+// Terrain modifiers for sub-regions (mountains, marshes, coasts, ...) that
+// inherit their parent region's roll. Rules are plain data (see
+// parseTerrainRules in googleSheetsService):
+// { substitutions: [{ from, to }], additions: [{ condition, chance }] }
+//
+// Substitutions replace a whole word or phrase in the inherited condition,
+// so "Rain>Snow" turns "Freezing rain" into "Freezing snow" but leaves
+// "Rainbow" and "Fall rains" alone. Additions then replace the whole
+// condition with their daily chance ("+Fog:0.3"); the first one that
+// triggers wins. Rules limited to an elevation ("Rain>Snow@1500") are
+// resolved against the region's Elevation when the sheet is parsed, so only
+// the rules that apply reach this module.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Replace `from` as a whole word or phrase, keeping the case of its first
+// letter
+function substitute(condition, { from, to }) {
+  return condition.replace(
+    new RegExp(`\\b${escapeRegExp(from)}\\b`, "gi"),
+    (match) => {
+      const first =
+        match[0] === match[0].toLowerCase()
+          ? to[0].toLowerCase()
+          : to[0].toUpperCase();
+      return first + to.slice(1);
+    }
+  );
+}
+
+/**
+ * Apply terrain rules to an inherited condition
+ * @param {string} condition - Condition rolled for the parent region
+ * @param {Object|null} terrain - Terrain rules (see above)
+ * @param {function(): number} rng - Seeded stream for the additions
+ * @returns {string} - Condition in the sub-region
+ */
+function applyTerrain(condition, terrain, rng) {
+  if (!terrain) {
+    return condition;
+  }
+
+  const result = terrain.substitutions.reduce(substitute, condition);
+
+  // Always draw once per addition so earlier rules don't shift later ones
+  let added = null;
+  for (const addition of terrain.additions) {
+    const roll = rng();
+    if (!added && roll < addition.chance) {
+      added = addition.condition;
+    }
+  }
+  return added || result;
+}
+
+/**
+ * Every condition terrain rules can produce from a list of conditions
+ * @param {string[]} conditions - Conditions of the parent region's season
+ * @param {Object|null} terrain - Terrain rules (see above)
+ * @returns {string[]} - Substituted conditions and additions, without duplicates
+ */
+function getTerrainConditions(conditions, terrain) {
+  if (!terrain) {
+    return [...conditions];
+  }
+  const substituted = conditions.map((condition) =>
+    terrain.substitutions.reduce(substitute, condition)
+  );
+  return [
+    ...new Set([
+      ...substituted,
+      ...terrain.additions.map((addition) => addition.condition),
+    ]),
+  ];
+}
+
+module.exports = {
+  applyTerrain,
+  getTerrainConditions,
+};
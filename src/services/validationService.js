@@ -0,0 +1,483 @@
+const {
+  ConfigError,
+  toCellReference,
+  formatLocation,
+} = require("../utils/configErrors");
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  parseCampaignSettings,
+  mergeConfiguration,
+} = require("./googleSheetsService");
+const { parseClimateTable } = require("./sheets/climateSheet");
+const { parseWeatherEventsTable } = require("./sheets/eventsSheet");
+const { parseWeatherOverridesTable } = require("./sheets/overridesSheet");
+const { parsePostingPausesTable } = require("./sheets/pausesSheet");
+const { parseGroundStateTable } = require("./sheets/groundSheet");
+const { getTerrainConditions } = require("./terrainService");
+
+// Configuration lint: parses and merges the sheets like a normal run, but
+// collects every problem instead of stopping at the first one. A sheet that
+// fails to parse is parsed again with the offending cell (or row) cleared,
+// so each unparsable cell is reported. Warnings the parsers and the merge
+// report become findings too, next to checks a run never makes. Parser
+// problems carry their sheet, cell and code (see ConfigError), so nothing
+// here depends on the wording of a message.
+//
+// Finding: { severity: "error" | "warning", code, sheet, location, message }
+
+const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+// Retries per sheet before giving up on finding further bad cells
+const MAX_PARSE_ATTEMPTS = 50;
+
+const DISCORD_WEBHOOK_PATH = /^\/api\/webhooks\/\d+\/[\w-]+\/?$/;
+
+function finding(severity, sheet, location, message, code = "") {
+  return { severity, code, sheet, location, message };
+}
+
+// Finding for a problem reported by a parser (ConfigError or warning)
+function problemFinding(severity, problem, fallbackSheet) {
+  return finding(
+    severity,
+    problem.sheet || fallbackSheet,
+    formatLocation(problem) || problem.region || problem.details?.region || "",
+    problem.message,
+    problem.code
+  );
+}
+
+// Add collected warnings as findings, skipping repeats of the same one
+function addWarnings(warnings, findings, sheet) {
+  const seen = new Set();
+  for (const warning of warnings) {
+    const result = problemFinding("warning", warning, sheet);
+    const key = `${result.code}:${result.location}:${result.message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      findings.push(result);
+    }
+  }
+}
+
+/**
+ * Parse a sheet, reporting each error and parsing again without the
+ * offending cell (or its row, if clearing the cell doesn't help)
+ * @param {string} sheet - Sheet name
+ * @param {string[][]} rows - Unparsed rows
+ * @param {function(string[][], Object[]): *} parse - Sheet parser, given
+ *   the rows and an array to collect its warnings in
+ * @param {Object[]} findings - Findings to add to
+ * @param {ConfigError[]} errors - Parse errors caught, to add to
+ * @returns {*} - Parsed sheet without the bad cells, or null if it could not
+ *   be parsed at all
+ */
+function parseWithRecovery(sheet, rows, parse, findings, errors) {
+  let data = rows.map((row) => [...(row || [])]);
+  const cleared = new Set();
+
+  for (let attempt = 0; attempt < MAX_PARSE_ATTEMPTS; attempt++) {
+    const warnings = [];
+    try {
+      const result = parse(data, warnings);
+      addWarnings(warnings, findings, sheet);
+      return result;
+    } catch (error) {
+      if (!(error instanceof ConfigError)) {
+        findings.push(finding("error", sheet, "", error.message));
+        return null;
+      }
+      errors.push(error);
+
+      // Clearing a cell can surface the same problem again; report it once
+      const result = problemFinding("error", error, sheet);
+      if (
+        !findings.some(
+          (f) =>
+            f.sheet === result.sheet &&
+            f.code === result.code &&
+            f.location === result.location &&
+            f.severity === "error"
+        )
+      ) {
+        findings.push(result);
+      }
+      if (error.row === undefined) {
+        return null;
+      }
+
+      // Clear the cell first, then the whole row
+      const cell = formatLocation(error);
+      const clearRow = error.column === undefined || cleared.has(cell);
+      const key = clearRow ? formatLocation({ row: error.row }) : cell;
+      if (cleared.has(key)) {
+        return null;
+      }
+      cleared.add(key);
+      data = data.map((row, index) => {
+        if (index !== error.row) return row;
+        if (clearRow) return [];
+        const copy = [...row];
+        copy[error.column] = "";
+        return copy;
+      });
+    }
+  }
+  return null;
+}
+
+// Merge the parsed sheets, dropping Campaign Settings the merge rejects
+function mergeWithRecovery(sheetData, parsed, findings) {
+  const campaignSettings = { ...parsed.campaignSettings };
+  const settingRows = sheetData["Campaign Settings"] || [];
+
+  for (let attempt = 0; attempt < MAX_PARSE_ATTEMPTS; attempt++) {
+    const warnings = [];
+    try {
+      const config = mergeConfiguration(
+        parsed.regionWebhooks,
+        parsed.seasonalWeather,
+        parsed.mechanicalImpacts,
+        {
+          mechanicalOperations: parsed.mechanicalOperations,
+          scopedImpacts: parsed.scopedImpacts,
+          emojis: parsed.emojis,
+          climateProfiles: parsed.climateProfiles,
+          regionSettings: parsed.regionSettings,
+          campaignSettings,
+          climate: parsed.climate,
+          events: parsed.events,
+          overrides: parsed.overrides,
+          pauses: parsed.pauses,
+          groundLevels: parsed.groundLevels,
+          warnings,
+        }
+      );
+      addWarnings(warnings, findings, "");
+      return config;
+    } catch (error) {
+      if (!(error instanceof ConfigError)) {
+        findings.push(finding("error", "", "", error.message));
+        return null;
+      }
+      const key = error.details.setting?.toLowerCase();
+      const row = key
+        ? settingRows.findIndex((r) => r && r[0]?.trim().toLowerCase() === key)
+        : -1;
+      findings.push(
+        finding(
+          "error",
+          error.sheet,
+          row !== -1 ? toCellReference(row, 1) : "",
+          error.message,
+          error.code
+        )
+      );
+      if (!key || !(key in campaignSettings)) {
+        return null;
+      }
+      delete campaignSettings[key];
+    }
+  }
+  return null;
+}
+
+// Edit distance between two names (case-insensitive)
+function editDistance(a, b) {
+  const s = a.toLowerCase();
+  const t = b.toLowerCase();
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[t.length];
+}
+
+// Closest name within a couple of typos, or null
+function findNearMiss(name, candidates) {
+  const tolerance = Math.max(1, Math.floor(name.length / 6));
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.trim(), candidate);
+    if (distance <= tolerance && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+  return best ? best.candidate : null;
+}
+
+// Webhook URLs in the Commander Database: malformed and repeated ones
+function checkWebhookUrls(rows, findings) {
+  const sheet = "Commander Database";
+  if (!rows || rows.length < 2) return;
+
+  const headers = rows[0].map((h) => (h || "").toLowerCase().trim());
+  const urlIndex = headers.findIndex(
+    (h) => h.includes("webhook") && h.includes("url")
+  );
+  const regionIndex = headers.findIndex(
+    (h) => h.includes("weather") && h.includes("region")
+  );
+  if (urlIndex === -1) return;
+
+  const seen = {};
+  for (let i = 1; i < rows.length; i++) {
+    const url = rows[i]?.[urlIndex]?.trim();
+    if (!url) continue;
+    const region = regionIndex === -1 ? "" : rows[i][regionIndex]?.trim();
+    const location = toCellReference(i, urlIndex);
+
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      // Reported below
+    }
+    if (
+      !parsedUrl ||
+      parsedUrl.protocol !== "https:" ||
+      !DISCORD_WEBHOOK_PATH.test(parsedUrl.pathname)
+    ) {
+      findings.push(
+        finding(
+          "error",
+          sheet,
+          location,
+          `Malformed webhook URL "${url}": expected https://discord.com/api/webhooks/<id>/<token>`,
+          "malformed-url"
+        )
+      );
+    }
+
+    if (seen[url]) {
+      findings.push(
+        finding(
+          "warning",
+          sheet,
+          location,
+          seen[url].region === region
+            ? `Duplicate webhook URL (also in ${seen[url].location}) - the channel gets one post`
+            : `Webhook URL also used for "${seen[url].region}" in ${seen[url].location} - the channel gets both regions' posts`,
+          "duplicate-url"
+        )
+      );
+    } else {
+      seen[url] = { region, location };
+    }
+  }
+}
+
+// Regions with webhooks that would be skipped, and seasons with no weather
+function checkRegions(parsed, findings, errors) {
+  for (const regionName of Object.keys(parsed.regionWebhooks)) {
+    if (!parsed.seasonalWeather[regionName]) {
+      findings.push(
+        finding(
+          "error",
+          "Commander Database",
+          regionName,
+          `Region "${regionName}" has webhooks but no weather in the Weather Regions sheet - its channels get no posts`,
+          "region-without-weather"
+        )
+      );
+    }
+  }
+
+  for (const [regionName, weather] of Object.entries(parsed.seasonalWeather)) {
+    if (parsed.regionSettings[regionName]?.parent) continue;
+    for (const season of SEASONS) {
+      // A cell that failed to parse was cleared and is already reported
+      const unparsable = errors.some(
+        (error) =>
+          error.details.region === regionName && error.details.season === season
+      );
+      if (
+        !unparsable &&
+        (!weather[season] || weather[season].conditions.length === 0)
+      ) {
+        findings.push(
+          finding(
+            "error",
+            "Weather Regions",
+            regionName,
+            `Region "${regionName}" has no ${season} conditions - posting fails on ${season} days`,
+            "empty-season"
+          )
+        );
+      }
+    }
+  }
+}
+
+// Impact, operations, emoji and climate profile rows for conditions no
+// region can roll
+function checkImpactConditions(parsed, findings) {
+  const possible = new Set();
+  for (const [regionName, weather] of Object.entries(parsed.seasonalWeather)) {
+    const terrain = parsed.regionSettings[regionName]?.terrain || null;
+    for (const season of SEASONS) {
+      const conditions = weather[season]?.conditions || [];
+      getTerrainConditions(conditions, terrain).forEach((c) => possible.add(c));
+    }
+  }
+  parsed.events.forEach((event) => possible.add(event.condition));
+  parsed.overrides.forEach((override) => possible.add(override.condition));
+
+  const possibleLower = new Set([...possible].map((c) => c.toLowerCase()));
+  const mapped = new Set([
+    ...Object.keys(parsed.mechanicalImpacts),
+    ...Object.keys(parsed.mechanicalOperations),
+    ...parsed.scopedImpacts.map((entry) => entry.condition),
+  ]);
+
+  const report = (condition, what) => {
+    const nearMiss = findNearMiss(condition, possible);
+    findings.push(
+      finding(
+        "warning",
+        "Weather Regions",
+        condition,
+        `${what} for "${condition}" matches no condition in any region${
+          nearMiss ? ` - did you mean "${nearMiss}"?` : ""
+        }`,
+        "unknown-condition"
+      )
+    );
+  };
+  for (const condition of mapped) {
+    if (!possible.has(condition)) report(condition, "Mechanical impact");
+  }
+  for (const condition of Object.keys(parsed.emojis.exact)) {
+    if (!possibleLower.has(condition)) report(condition, "Emoji");
+  }
+  for (const condition of Object.keys(parsed.climateProfiles)) {
+    if (!possibleLower.has(condition)) report(condition, "Climate profile");
+  }
+}
+
+// Region names that look like typos of a region in Weather Regions
+function checkRegionNames(parsed, findings) {
+  const defined = Object.keys(parsed.seasonalWeather);
+  const references = [
+    ...Object.keys(parsed.regionWebhooks).map((name) => [
+      name,
+      "Commander Database",
+    ]),
+    ...Object.keys(parsed.climate).map((name) => [name, "Climate"]),
+    ...parsed.events.flatMap((e) =>
+      (e.regions || []).map((name) => [name, "Weather Events"])
+    ),
+    ...parsed.overrides.flatMap((o) =>
+      (o.regions || []).map((name) => [name, "Weather Overrides"])
+    ),
+    ...parsed.pauses.flatMap((p) =>
+      (p.regions || []).map((name) => [name, "Posting Pauses"])
+    ),
+    ...parsed.groundLevels.flatMap((l) =>
+      (l.regions || []).map((name) => [name, "Ground State"])
+    ),
+    ...parsed.scopedImpacts.flatMap((entry) =>
+      (entry.regions || []).map((name) => [name, "Weather Regions"])
+    ),
+    ...Object.values(parsed.regionSettings).flatMap((settings) =>
+      (settings.neighbors || []).map((name) => [name, "Weather Regions"])
+    ),
+  ];
+
+  const reported = new Set();
+  for (const [name, sheet] of references) {
+    if (defined.includes(name) || reported.has(`${sheet}:${name}`)) continue;
+    const nearMiss = findNearMiss(name, defined);
+    if (nearMiss) {
+      reported.add(`${sheet}:${name}`);
+      findings.push(
+        finding(
+          "warning",
+          sheet,
+          name,
+          `Region "${name}" is not in the Weather Regions sheet - did you mean "${nearMiss}"?`,
+          "unknown-region"
+        )
+      );
+    }
+  }
+}
+
+/**
+ * Check the configuration sheets and report every problem found
+ * @param {Object<string, string[][]>} sheetData - Unparsed rows by sheet
+ *   name (see CONFIG_SHEETS)
+ * @returns {Object[]} - Findings, errors first
+ */
+function validateSheets(sheetData) {
+  const findings = [];
+  const errors = [];
+  const rows = (name) => sheetData[name] || [];
+  const parse = (name, parser, fallback) => {
+    const result = parseWithRecovery(
+      name,
+      rows(name),
+      parser,
+      findings,
+      errors
+    );
+    return result === null ? fallback : result;
+  };
+
+  const regionWebhooks = parse(
+    "Commander Database",
+    parseCommanderDatabase,
+    null
+  );
+  const weather = parse("Weather Regions", parseWeatherRegions, null);
+  const parsed = {
+    regionWebhooks: regionWebhooks || {},
+    ...(weather || {
+      seasonalWeather: {},
+      mechanicalImpacts: {},
+      mechanicalOperations: {},
+      scopedImpacts: [],
+      emojis: { exact: {}, patterns: [] },
+      climateProfiles: {},
+      regionSettings: {},
+    }),
+    campaignSettings: parseCampaignSettings(rows("Campaign Settings")),
+    climate: parse("Climate", parseClimateTable, {}),
+    events: parse("Weather Events", parseWeatherEventsTable, []),
+    overrides: parse("Weather Overrides", parseWeatherOverridesTable, []),
+    pauses: parse("Posting Pauses", parsePostingPausesTable, []),
+    groundLevels: parse("Ground State", parseGroundStateTable, []),
+  };
+
+  checkWebhookUrls(sheetData["Commander Database"], findings);
+  if (regionWebhooks && weather) {
+    mergeWithRecovery(sheetData, parsed, findings);
+    checkRegions(parsed, findings, errors);
+  }
+  if (weather) {
+    checkImpactConditions(parsed, findings);
+    checkRegionNames(parsed, findings);
+  }
+
+  // The explicit check above reports skipped regions as errors
+  const unique = findings.filter(
+    (f) => !(f.severity === "warning" && f.code === "region-without-weather")
+  );
+  return [
+    ...unique.filter((f) => f.severity === "error"),
+    ...unique.filter((f) => f.severity !== "error"),
+  ];
+}
+
+module.exports = {
+  validateSheets,
+};
@@ -0,0 +1,112 @@
+const { logger } = require("../utils/logger");
+const { appendSheetRows } = require("./googleSheetsService");
+
+// Weather Log: a row per region per post appended to the "Weather Log" sheet
+// of the configuration spreadsheet, as a record the GMs can read next to the
+// configuration. Enabled by setting WEATHER_LOG_ENABLED; only then is the
+// read/write scope requested, so read-only deployments keep working. The
+// sheet is created on first use. Logging never fails a post.
+
+const WEATHER_LOG_SHEET = "Weather Log";
+const WEATHER_LOG_HEADERS = [
+  "Posted At",
+  "Date",
+  "Region",
+  "Condition",
+  "Impacts",
+  "Report",
+  "Result",
+];
+
+/**
+ * Whether posted weather is written to the Weather Log sheet
+ * @returns {boolean}
+ */
+function isWeatherLogEnabled() {
+  return /^(true|yes|1)$/i.test((process.env.WEATHER_LOG_ENABLED || "").trim());
+}
+
+/**
+ * Describe how a post went
+ * @param {number} successful - Webhook posts that went through
+ * @param {number} total - Webhook posts attempted
+ * @returns {string} - "success", "failure" or "partial (n/total)"
+ */
+function formatPostResult(successful, total) {
+  if (total > 0 && successful === total) return "success";
+  if (successful === 0) return "failure";
+  return `partial (${successful}/${total})`;
+}
+
+/**
+ * Weather Log rows for a post, one per region and day
+ * @param {Object[]} posts - Posted weather: [{ regionId, weather }], where
+ *   weather is a day or a list of days
+ * @param {string} report - Report that posted it ("daily", "advance", "weekly")
+ * @param {string} result - How the post went (see formatPostResult)
+ * @param {Date} [postedAt] - Time of the post
+ * @returns {string[][]} - Rows in WEATHER_LOG_HEADERS order
+ */
+function buildWeatherLogRows(posts, report, result, postedAt = new Date()) {
+  const rows = [];
+  for (const { regionId, weather } of posts) {
+    for (const day of [].concat(weather)) {
+      rows.push([
+        postedAt.toISOString(),
+        day.isoDate,
+        regionId,
+        day.condition,
+        (day.impacts || []).join("; "),
+        report,
+        result,
+      ]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Append posted weather to the Weather Log sheet, when enabled
+ * Failures are logged, never thrown: the weather is already posted
+ * @param {Object[]} posts - Posted weather (see buildWeatherLogRows)
+ * @param {string} report - Report that posted it
+ * @param {number} successful - Webhook posts that went through
+ * @param {number} total - Webhook posts attempted
+ * @returns {Promise<number>} - Rows appended
+ */
+async function logPostedWeather(posts, report, successful, total) {
+  if (!isWeatherLogEnabled()) {
+    return 0;
+  }
+
+  const rows = buildWeatherLogRows(
+    posts,
+    report,
+    formatPostResult(successful, total)
+  );
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  try {
+    await appendSheetRows(WEATHER_LOG_SHEET, WEATHER_LOG_HEADERS, rows);
+    logger.info(
+      `Wrote ${rows.length} row(s) to the ${WEATHER_LOG_SHEET} sheet`
+    );
+    return rows.length;
+  } catch (error) {
+    logger.error(
+      `Failed to write to the ${WEATHER_LOG_SHEET} sheet: ${error.message}`
+    );
+    return 0;
+  }
+}
+
+module.exports = {
+  WEATHER_LOG_SHEET,
+  WEATHER_LOG_HEADERS,
+  isWeatherLogEnabled,
+  formatPostResult,
+  buildWeatherLogRows,
+  logPostedWeather,
+};
@@ -1,41 +1,70 @@
-// Simple seeded random number generator (Mulberry32)
-// This ensures deterministic weather based on date and region
-function seededRandom(seed) {
-  let a = seed ^ 0xdeadbeef; // Change the initial seed to be offset by a constant
-  return function () {
-    a |= 0;
-    a = (a + 0x7f4a7c15) | 0; // Change the increment constant
-    let t = Math.imul(a ^ (a >>> 13), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 9), 61 | t)) ^ t; // Change the shift values
-    return ((t ^ (t >>> 11)) >>> 0) / 4294967296; // Change the final shift
-  };
-}
-
-// Generate a seed from a date and region (YYYY-MM-DD format)
-function dateToSeed(date, regionId = "default") {
-  const year = date.getUTCFullYear();
-  const month = date.getUTCMonth() + 1; // 0-based to 1-based
-  const day = date.getUTCDate();
+const { toGameDate } = require("./calendarService");
+const { seededRandom, dateToSeed, createStream } = require("../utils/random");
+const {
+  dayNumber,
+  addDays,
+  toIsoDate,
+  parseIsoDate,
+} = require("../utils/dates");
+const { generateClimate } = require("./climateService");
+const { getActiveEvent } = require("./eventService");
+const { getRegionLedger } = require("./ledgerService");
+const { getGroundState } = require("./groundService");
+const { getDaylight, getMoonPhase } = require("./astronomyService");
+const { applyTerrain } = require("./terrainService");
+const { logger } = require("../utils/logger");
+
+// Default season start dates (month/day) per hemisphere: three-month blocks
+const DEFAULT_SEASON_STARTS = {
+  southern: {
+    autumn: { month: 3, day: 1 },
+    winter: { month: 6, day: 1 },
+    spring: { month: 9, day: 1 },
+    summer: { month: 12, day: 1 },
+  },
+  northern: {
+    spring: { month: 3, day: 1 },
+    summer: { month: 6, day: 1 },
+    autumn: { month: 9, day: 1 },
+    winter: { month: 12, day: 1 },
+  },
+};
 
-  // Create a unique seed by combining year, month, day, and region
-  // Use simple string hash for region to ensure different regions have different weather
-  let regionHash = 0;
-  for (let i = 0; i < regionId.length; i++) {
-    regionHash =
-      ((regionHash << 5) - regionHash + regionId.charCodeAt(i)) & 0xffffffff;
+// Season start dates from region settings (defaults to Southern Hemisphere)
+function getSeasonStarts(seasons = {}) {
+  if (seasons.starts) {
+    return seasons.starts;
   }
-
-  return year * 10000 + month * 100 + day + (regionHash % 1000);
+  return (
+    DEFAULT_SEASON_STARTS[seasons.hemisphere] || DEFAULT_SEASON_STARTS.southern
+  );
 }
 
-// Determine current season based on date (Southern Hemisphere)
-const getSeason = (date) => {
-  const month = date.getUTCMonth() + 1; // getUTCMonth() returns 0-11
+// Determine current season based on date and the region's season settings
+// With a campaign calendar, seasons follow the in-game month and day
+const getSeason = (date, seasons = {}, calendar = null) => {
+  let key;
+  if (calendar) {
+    const gameDate = toGameDate(date, calendar);
+    key = gameDate.month * 100 + gameDate.day;
+  } else {
+    const month = date.getUTCMonth() + 1; // getUTCMonth() returns 0-11
+    key = month * 100 + date.getUTCDate();
+  }
+
+  // Latest season start on or before the date; wraps to the last start of
+  // the year for dates before the first one
+  const starts = Object.entries(getSeasonStarts(seasons))
+    .map(([season, start]) => ({ season, key: start.month * 100 + start.day }))
+    .sort((a, b) => a.key - b.key);
 
-  if (month >= 3 && month <= 5) return "autumn";
-  if (month >= 6 && month <= 8) return "winter";
-  if (month >= 9 && month <= 11) return "spring";
-  return "summer"; // December, January, February
+  let current = starts[starts.length - 1].season;
+  for (const start of starts) {
+    if (start.key <= key) {
+      current = start.season;
+    }
+  }
+  return current;
 };
 
 // Helper: bias selection so earlier items are more likely
@@ -47,49 +76,128 @@ function weightedIndex(rng, n, power = 2) {
   return Math.min(Math.max(idx, 0), n - 1);
 }
 
-// No derived impacts function
+// Helper: pick an index proportionally to explicit weights
+function explicitWeightedIndex(rng, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let target = rng() * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  // Floating point leftovers: last index with a positive weight
+  for (let i = weights.length - 1; i >= 0; i--) {
+    if (weights[i] > 0) return i;
+  }
+  return 0;
+}
 
-const getWeatherForDate = (
-  date,
-  seasonalWeatherConfig,
-  regionId = "default"
-) => {
-  const season = getSeason(date);
+// Persistence: every day either keeps the previous day's condition (with the
+// season's persistence probability) or rolls a fresh one. The chain is forced
+// to roll fresh at season changes and on fixed reset days, so any date can be
+// resolved by walking back a bounded number of days without stored state.
+const PERSISTENCE_RESET_DAYS = 28;
+
+// Pick a condition from the season's list
+function pickCondition(rng, seasonData) {
+  // Explicit weights from the sheet, otherwise earlier items more likely
+  const conditionIdx =
+    Array.isArray(seasonData.weights) &&
+    seasonData.weights.length === seasonData.conditions.length
+      ? explicitWeightedIndex(rng, seasonData.weights)
+      : weightedIndex(rng, seasonData.conditions.length, 2);
+  return seasonData.conditions[conditionIdx];
+}
 
-  // Require seasonal weather config - no fallback to default
-  if (!seasonalWeatherConfig) {
-    throw new Error(
-      `Seasonal weather configuration is required for region: ${regionId}`
-    );
-  }
+// Independent roll for a single day: fresh condition + whether it persists
+// Regions with neighbors may take a neighbor's condition instead
+function rollDay(date, seasonData, regionId, options = {}) {
+  const rng = seededRandom(dateToSeed(date, regionId, options.seed));
+  const condition = pickCondition(rng, seasonData);
 
-  const seasonData = seasonalWeatherConfig[season];
+  const persistence = seasonData.persistence || 0;
+  const persists = persistence > 0 && rng() < persistence;
 
-  if (!seasonData) {
-    throw new Error(
-      `No weather data found for season '${season}' in region: ${regionId}`
-    );
+  const shared = options.neighbors
+    ? rollNeighborCondition(date, seasonData, regionId, options)
+    : null;
+
+  return { condition: shared || condition, persists };
+}
+
+// Weather systems shared with or drifting in from neighboring regions: with
+// the influence chance, the day takes a random neighbor's condition from the
+// same day or the day before, if that condition is in this region's list
+// too. The neighbor's condition is the one its own posts show (posted
+// weather, overrides, events and its persistence), except that the
+// neighbor's own neighbors are left out, so mutual neighbors never have to be
+// resolved in a loop.
+function rollNeighborCondition(date, seasonData, regionId, options) {
+  const { influence, regions } = options.neighbors;
+  const rng = createStream(date, regionId, "neighbors", options.seed);
+
+  // Always draw all three values so the rolls don't depend on each other
+  const influenceRoll = rng();
+  const neighborRoll = rng();
+  const driftRoll = rng();
+  if (influenceRoll >= influence) {
+    return null;
   }
 
-  // Create a seeded random generator based on the date and region
-  const seed = dateToSeed(date, regionId);
-  const rng = seededRandom(seed);
+  const neighbor = regions[Math.floor(neighborRoll * regions.length)];
+  const day = driftRoll < 0.5 ? date : addDays(date, -1);
+  const neighborSeasonData =
+    neighbor.seasonalWeather[
+      getSeason(day, neighbor.seasons, options.calendar)
+    ];
+  if (!neighborSeasonData || neighborSeasonData.conditions.length === 0) {
+    return null;
+  }
 
-  // Require a single 'conditions' array only
-  if (
-    !Array.isArray(seasonData.conditions) ||
-    seasonData.conditions.length === 0
-  ) {
-    throw new Error(
-      `No weather conditions defined for season '${season}' in region: ${regionId}`
-    );
+  const { condition } = getWeatherForDate(
+    day,
+    neighbor.seasonalWeather,
+    neighbor.id,
+    {
+      seasons: neighbor.seasons,
+      calendar: options.calendar,
+      events: neighbor.events,
+      overrides: neighbor.overrides,
+      seed: options.seed,
+      ledger: neighbor.ledger,
+    }
+  );
+  return seasonData.conditions.includes(condition) ? condition : null;
+}
+
+// Resolve the day's condition, following the persistence chain backwards
+function resolveCondition(date, seasonData, season, regionId, options) {
+  let day = date;
+  for (let i = 0; i <= PERSISTENCE_RESET_DAYS; i++) {
+    const { condition, persists } = rollDay(day, seasonData, regionId, options);
+    if (!persists || dayNumber(day) % PERSISTENCE_RESET_DAYS === 0) {
+      return condition;
+    }
+
+    const previousDay = addDays(day, -1);
+    if (getSeason(previousDay, options.seasons, options.calendar) !== season) {
+      return condition;
+    }
+
+    // A published previous day carries over as it was posted (event days
+    // don't: an event overrides the day without ending the chain)
+    const published = options.ledger && options.ledger[toIsoDate(previousDay)];
+    if (published && !published.event) {
+      return published.condition;
+    }
+    day = previousDay;
   }
 
-  // Weighted pick: earlier items more likely
-  const conditionIdx = weightedIndex(rng, seasonData.conditions.length, 2);
-  const condition = seasonData.conditions[conditionIdx];
+  // Unreachable: a reset day is always found within the window
+  return rollDay(day, seasonData, regionId, options).condition;
+}
 
-  // Impacts: explicit mapping only (no derived fallback)
+// Impacts: explicit mapping only (no derived fallback)
+function getImpacts(seasonData, condition) {
   let impacts = [];
   if (
     seasonData.mechanicalImpacts &&
@@ -103,6 +211,75 @@ const getWeatherForDate = (
     }
   }
   // impacts may be empty if not mapped
+  return impacts;
+}
+
+// Operations modifiers (march, forage, scouting, river crossing) mapped to
+// the condition, or null
+function getOperations(seasonData, condition) {
+  return (seasonData.operations && seasonData.operations[condition]) || null;
+}
+
+// Day phases: the morning is the day's condition; each later phase keeps
+// the previous phase's condition with this probability, otherwise it rolls
+// again from the season's list
+const DAY_PHASES = ["morning", "afternoon", "night"];
+const PHASE_PERSISTENCE = 0.6;
+
+function generatePhases(date, seasonData, regionId, condition, seed) {
+  const rng = createStream(date, regionId, "phases", seed);
+  const phases = [];
+  let current = condition;
+
+  DAY_PHASES.forEach((phase, index) => {
+    if (index > 0) {
+      // Always draw both values so one phase doesn't shift the next
+      const keeps = rng() < PHASE_PERSISTENCE;
+      const fresh = pickCondition(rng, seasonData);
+      current = keeps ? current : fresh;
+    }
+    phases.push({
+      phase,
+      condition: current,
+      impacts: getImpacts(seasonData, current),
+      operations: getOperations(seasonData, current),
+    });
+  });
+
+  return phases;
+}
+
+// Overrides of posted days already warned about, by "region/date" (the same
+// day is looked up again for the ground state and the forecasts)
+const ignoredOverrides = new Set();
+
+// Options carry region-level settings (see getRegionOptions):
+// - seasons: { hemisphere, starts } season boundaries
+// - calendar: campaign calendar (see calendarService)
+// - dayPhases: also return morning/afternoon/night conditions
+// - events: multi-day weather events that can happen in the region
+// - seed: { version, campaignSeed } seeding scheme (see utils/random)
+// - ledger: published weather by ISO date, returned as posted (see
+//   ledgerService); false ignores published weather, the parent's included
+// - overrides: GM-forced { condition, impacts } by ISO date (not for days in
+//   the ledger)
+// - ground: { lookbackDays, levels } ground state rules (see groundService)
+// - latitude: degrees north, adds daylight and moon phase (see astronomyService)
+// - forecast: { accuracy, issueDay } player forecast settings (see getPlayerForecast)
+// - neighbors: { influence, regions } weather shared with adjacent regions,
+//   each { id, seasons, seasonalWeather, events, overrides, ledger } (see
+//   rollNeighborCondition)
+// - parent: { id, ledger } of a sub-region's parent, whose roll it inherits
+// - terrain: terrain rules applied to the inherited roll (see terrainService)
+// - climateProfiles: climate profile names by lower-case condition, set in
+//   the sheet (see climateService)
+const getWeatherForDate = (
+  date,
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {}
+) => {
+  const isoDate = toIsoDate(date);
 
   // Format date (using UTC timezone)
   const formattedDate = date.toLocaleDateString("en-US", {
@@ -117,16 +294,274 @@ const getWeatherForDate = (
     timeZone: "UTC",
   });
 
+  // In-game date when the campaign uses its own calendar
+  const gameDate = options.calendar ? toGameDate(date, options.calendar) : null;
+
+  // Daylight and moon for regions with a latitude (null otherwise)
+  const hasLatitude = typeof options.latitude === "number";
+  const daylight = hasLatitude
+    ? getDaylight(date, options.latitude, options.calendar)
+    : null;
+  const moon = hasLatitude ? getMoonPhase(date, options.calendar) : null;
+
+  // GM overrides win over events and the daily roll
+  const override = options.overrides && options.overrides[isoDate];
+
+  // Already-published days never change, whatever happened to the sheet
+  // since - overrides included, as the players have seen the day
+  const published = options.ledger && options.ledger[isoDate];
+  if (published) {
+    if (
+      override &&
+      override.condition !== published.condition &&
+      !ignoredOverrides.has(`${regionId}/${isoDate}`)
+    ) {
+      ignoredOverrides.add(`${regionId}/${isoDate}`);
+      logger.warn(
+        `Weather override "${override.condition}" for ${regionId} on ${isoDate} ignored: the day was already posted as "${published.condition}"`
+      );
+    }
+    return {
+      isoDate,
+      date: formattedDate,
+      dayOfWeek,
+      gameDate,
+      ...published,
+      daylight,
+      moon,
+    };
+  }
+
+  const season = getSeason(date, options.seasons, options.calendar);
+
+  // Require seasonal weather config - no fallback to default
+  if (!seasonalWeatherConfig) {
+    throw new Error(
+      `Seasonal weather configuration is required for region: ${regionId}`
+    );
+  }
+
+  const seasonData = seasonalWeatherConfig[season];
+
+  if (!seasonData) {
+    throw new Error(
+      `No weather data found for season '${season}' in region: ${regionId}`
+    );
+  }
+
+  // Require a single 'conditions' array only
+  if (
+    !Array.isArray(seasonData.conditions) ||
+    seasonData.conditions.length === 0
+  ) {
+    throw new Error(
+      `No weather conditions defined for season '${season}' in region: ${regionId}`
+    );
+  }
+
+  // Sub-regions roll as their parent (including the weather it has already
+  // posted) and apply their terrain on top
+  const rollId = options.parent ? options.parent.id : regionId;
+  const rollOptions = options.parent
+    ? { ...options, ledger: options.ledger !== false && options.parent.ledger }
+    : options;
+  const terrainFor = (baseCondition, stream) =>
+    applyTerrain(
+      baseCondition,
+      options.terrain,
+      createStream(date, regionId, stream, options.seed)
+    );
+
+  // Multi-day events override the daily roll for their whole duration
+  const activeEvent = override
+    ? null
+    : getActiveEvent(
+        date,
+        rollId,
+        options.events,
+        (day) => getSeason(day, options.seasons, options.calendar),
+        options.seed
+      );
+
+  // Forced weather (override or event) replaces the day's roll
+  const forced = override || (activeEvent && activeEvent.event);
+
+  // Seeded by date and region; persistence may carry over earlier days
+  const baseCondition = forced
+    ? forced.condition
+    : resolveCondition(date, seasonData, season, rollId, rollOptions);
+  // GM overrides are taken as written, without terrain
+  const condition = override
+    ? baseCondition
+    : terrainFor(baseCondition, "terrain");
+
+  // Forced impacts take precedence over the condition's mapped impacts
+  const impacts =
+    forced && forced.impacts.length > 0
+      ? forced.impacts
+      : getImpacts(seasonData, condition);
+
+  // Structured modifiers for the condition (null if the sheet sets none)
+  const operations = getOperations(seasonData, condition);
+
+  // Optional morning / afternoon / night breakdown (null for single-condition
+  // regions); forced weather holds all day
+  let phases = null;
+  if (options.dayPhases) {
+    phases = forced
+      ? DAY_PHASES.map((phase) => ({ phase, condition, impacts, operations }))
+      : generatePhases(date, seasonData, rollId, baseCondition, options.seed);
+  }
+  if (phases && options.terrain && !forced) {
+    // The morning is the day's condition; later phases get their own rolls
+    phases = phases.map(({ phase, condition: phaseCondition }, index) => {
+      const terrainCondition =
+        index === 0
+          ? condition
+          : terrainFor(phaseCondition, `terrain-${phase}`);
+      return {
+        phase,
+        condition: terrainCondition,
+        impacts: getImpacts(seasonData, terrainCondition),
+        operations: getOperations(seasonData, terrainCondition),
+      };
+    });
+  }
+
+  // Numeric values from the season's climate parameters (null if not set)
+  const { temperature, wind, precipitation } = generateClimate(
+    date,
+    regionId,
+    condition,
+    seasonData.climate,
+    options.seed,
+    options.climateProfiles
+  );
+
+  // Snow cover, mud and river level from the preceding days' weather
+  const ground = options.ground
+    ? getGroundState(
+        date,
+        (day) =>
+          getWeatherForDate(day, seasonalWeatherConfig, regionId, {
+            ...options,
+            dayPhases: false,
+            ground: null,
+          }),
+        options.ground
+      )
+    : null;
+
   return {
+    isoDate,
     date: formattedDate,
     dayOfWeek,
+    gameDate,
     season,
     condition,
     impacts,
+    operations,
+    phases,
+    event: activeEvent
+      ? {
+          name: activeEvent.event.name,
+          day: activeEvent.day,
+          duration: activeEvent.duration,
+        }
+      : null,
+    temperature,
+    wind,
+    precipitation,
+    ground,
+    daylight,
+    moon,
   };
 };
 
-const getWeeklyForecast = (seasonalWeatherConfig, regionId = "default") => {
+// Most recent forecast issue weekday (0 = Sunday) on or before a date: the
+// scheduled weekly forecast that covers the date
+const getForecastIssueDate = (date, issueDay) =>
+  new Date(
+    Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate() - ((date.getUTCDay() - issueDay + 7) % 7)
+    )
+  );
+
+// Whole days from a forecast's issue date to the forecast day
+const getForecastLead = (date, issueDate) =>
+  Math.round((date.getTime() - issueDate.getTime()) / 86400000);
+
+// Player-facing forecast of a day: what the in-fiction forecasters predicted
+// in the weekly forecast issued on `issueDate` ("YYYY-MM-DD"; the weekly post
+// passes the day it runs). Without one, as for the advance post, the forecast
+// is the scheduled one issued on the most recent issue weekday (0 = Sunday).
+// Each day ahead of the issue date, the forecast stays right with chance
+// `accuracy` (so 0.9 is right 90% of the time a day out and 53% six days
+// out); a wrong forecast names another condition from the season's list,
+// with its impacts, phases and numbers. The miss is seeded by region and date,
+// so the weekly post and the GM's advance post agree on what was forecast.
+const getPlayerForecast = (
+  weather,
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {},
+  issueDate = null
+) => {
+  if (!options.forecast) {
+    return weather;
+  }
+
+  const date = parseIsoDate(weather.isoDate);
+  const lead = getForecastLead(
+    date,
+    issueDate
+      ? parseIsoDate(issueDate)
+      : getForecastIssueDate(date, options.forecast.issueDay)
+  );
+  const seasonData = seasonalWeatherConfig[weather.season];
+  if (lead <= 0 || !seasonData) {
+    return weather;
+  }
+
+  const rng = createStream(date, regionId, "forecast", options.seed);
+  const correct = rng() < Math.pow(options.forecast.accuracy, lead);
+  const { conditions } = seasonData;
+  let condition = pickCondition(rng, seasonData);
+  if (condition === weather.condition) {
+    condition =
+      conditions[(conditions.indexOf(condition) + 1) % conditions.length];
+  }
+  if (correct || condition === weather.condition) {
+    return weather;
+  }
+
+  return {
+    ...weather,
+    condition,
+    impacts: getImpacts(seasonData, condition),
+    operations: getOperations(seasonData, condition),
+    phases: options.dayPhases
+      ? generatePhases(date, seasonData, regionId, condition, options.seed)
+      : null,
+    event: null,
+    ...generateClimate(
+      date,
+      regionId,
+      condition,
+      seasonData.climate,
+      options.seed,
+      options.climateProfiles
+    ),
+  };
+};
+
+const getWeeklyForecast = (
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {}
+) => {
   const today = new Date();
   const forecast = [];
 
@@ -140,25 +575,99 @@ const getWeeklyForecast = (seasonalWeatherConfig, regionId = "default") => {
       )
     );
     forecast.push(
-      getWeatherForDate(forecastDate, seasonalWeatherConfig, regionId)
+      getWeatherForDate(forecastDate, seasonalWeatherConfig, regionId, options)
     );
   }
 
   return forecast;
 };
 
-const getWeatherUpdate = (seasonalWeatherConfig, regionId = "default") => {
+const getWeatherUpdate = (
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {}
+) => {
   const currentDate = new Date();
-  return getWeatherForDate(currentDate, seasonalWeatherConfig, regionId);
+  return getWeatherForDate(
+    currentDate,
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
+};
+
+// Region-level settings passed to getWeatherForDate; `ledger: false` leaves
+// out the weather already posted
+const getRegionOptions = (regionConfig, { ledger = true } = {}) => {
+  return {
+    seasons: regionConfig.seasons,
+    calendar: regionConfig.calendar || null,
+    dayPhases: Boolean(regionConfig.dayPhases),
+    events: regionConfig.events || [],
+    overrides: regionConfig.overrides || {},
+    ground: regionConfig.ground || null,
+    latitude: regionConfig.latitude,
+    forecast: regionConfig.forecast || null,
+    neighbors: regionConfig.neighbors
+      ? {
+          ...regionConfig.neighbors,
+          regions: regionConfig.neighbors.regions.map((neighbor) => ({
+            ...neighbor,
+            ledger: ledger && getRegionLedger(neighbor.id),
+          })),
+        }
+      : null,
+    parent: regionConfig.parent
+      ? {
+          id: regionConfig.parent,
+          ledger: ledger && getRegionLedger(regionConfig.parent),
+        }
+      : null,
+    terrain: regionConfig.terrain || null,
+    climateProfiles: regionConfig.climateProfiles || null,
+    seed: regionConfig.seed,
+    ledger: ledger && getRegionLedger(regionConfig.id),
+  };
 };
 
 // Regional weather functions for easier usage
 const getRegionalWeatherUpdate = (regionConfig) => {
-  return getWeatherUpdate(regionConfig.seasonalWeather, regionConfig.id);
+  return getWeatherUpdate(
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    getRegionOptions(regionConfig)
+  );
 };
 
 const getRegionalWeeklyForecast = (regionConfig) => {
-  return getWeeklyForecast(regionConfig.seasonalWeather, regionConfig.id);
+  return getWeeklyForecast(
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    getRegionOptions(regionConfig)
+  );
+};
+
+// Player-facing forecast of a region's day (the day itself without a
+// forecast accuracy setting), as forecast on issueDate (see getPlayerForecast)
+const getRegionalPlayerForecast = (regionConfig, weather, issueDate = null) => {
+  return getPlayerForecast(
+    weather,
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    getRegionOptions(regionConfig),
+    issueDate
+  );
+};
+
+// Weather of a region on any date; `ledger: false` gives the weather the
+// sheet produces, ignoring what was already posted
+const getRegionalWeatherForDate = (regionConfig, date, options = {}) => {
+  return getWeatherForDate(
+    date,
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    getRegionOptions(regionConfig, options)
+  );
 };
 
 // Get weather for tomorrow (advance forecast)
@@ -170,12 +679,14 @@ const getRegionalAdvanceForecast = (regionConfig) => {
   return getWeatherForDate(
     tomorrow,
     regionConfig.seasonalWeather,
-    regionConfig.id
+    regionConfig.id,
+    getRegionOptions(regionConfig)
   );
 };
 
-// Map weather conditions to appropriate emojis
-const getWeatherEmoji = (condition, isNight = false) => {
+// Built-in emoji heuristics: English keywords in the condition, or null if
+// none match
+const getBuiltInEmoji = (condition, isNight) => {
   const conditionLower = condition.toLowerCase();
 
   // Snow and ice conditions
@@ -269,16 +780,68 @@ const getWeatherEmoji = (condition, isNight = false) => {
     return "🔥";
   }
 
-  // Default emoji
-  return isNight ? "🌙" : "🌤️";
+  return null;
+};
+
+// Case-insensitive whole-text match for a pattern with * wildcards
+const wildcardToRegExp = (pattern) => {
+  const parts = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${parts.join(".*")}$`, "i");
+};
+
+// Emojis from the sheet (see parseMechanicalImpactsTable):
+// { exact: { "<condition, lower case>": { day, night? } },
+//   patterns: [{ pattern, day, night? }] }
+// Patterns use * as a wildcard ("*storm*"); exact matches win, then the
+// first matching pattern in sheet order
+const getSheetEmoji = (condition, isNight, emojis) => {
+  if (!emojis) {
+    return null;
+  }
+
+  const conditionLower = condition.toLowerCase();
+  const entry =
+    emojis.exact[conditionLower] ||
+    emojis.patterns.find(({ pattern }) =>
+      wildcardToRegExp(pattern).test(conditionLower)
+    );
+  if (!entry) {
+    return null;
+  }
+  return (isNight && entry.night) || entry.day;
+};
+
+// Map weather conditions to appropriate emojis: the sheet's mapping first,
+// then the built-in heuristics, then a default
+const getWeatherEmoji = (condition, isNight = false, emojis = null) => {
+  return (
+    getSheetEmoji(condition, isNight, emojis) ||
+    getBuiltInEmoji(condition, isNight) ||
+    (isNight ? "🌙" : "🌤️")
+  );
+};
+
+// Where a condition's emoji comes from: "sheet", "built-in" or "default"
+const getEmojiSource = (condition, emojis = null) => {
+  if (getSheetEmoji(condition, false, emojis)) {
+    return "sheet";
+  }
+  return getBuiltInEmoji(condition, false) ? "built-in" : "default";
 };
 
 module.exports = {
+  getSeason,
   getWeatherUpdate,
   getWeeklyForecast,
   getWeatherForDate,
+  getPlayerForecast,
   getWeatherEmoji,
+  getEmojiSource,
   getRegionalWeatherUpdate,
   getRegionalWeeklyForecast,
   getRegionalAdvanceForecast,
+  getRegionalPlayerForecast,
+  getRegionalWeatherForDate,
 };
@@ -0,0 +1,97 @@
+const { logger } = require("./logger");
+
+// Configuration problems with a structured location: the sheet, the
+// zero-based row and column of the cell (when there is one) and a code, plus
+// whatever the problem is about (region, season, setting). Parsers throw
+// ConfigError and report warnings through reportConfigWarning, so callers
+// such as the validation can act on a problem without reading its message.
+
+// A1-style reference ("C4") for zero-based row/column indices
+function toCellReference(rowIndex, columnIndex) {
+  let column = "";
+  let n = columnIndex + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    column = String.fromCharCode(65 + remainder) + column;
+    n = Math.floor((n - 1) / 26);
+  }
+  return `${column}${rowIndex + 1}`;
+}
+
+// Cell reference, "row N" or "" for a location
+function formatLocation({ row, column } = {}) {
+  if (row === undefined) return "";
+  return column === undefined ? `row ${row + 1}` : toCellReference(row, column);
+}
+
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Problem, naming the sheet and cell for people
+   * @param {Object} [location]
+   * @param {string} [location.code="invalid-value"] - Kind of problem
+   * @param {string} [location.sheet] - Sheet the problem is in
+   * @param {number} [location.row] - Zero-based row
+   * @param {number} [location.column] - Zero-based column
+   * @param {string} [location.region] - Region the problem is about
+   * @param {string} [location.season] - Season the problem is about
+   * @param {string} [location.setting] - Campaign Setting the problem is about
+   */
+  constructor(
+    message,
+    { code = "invalid-value", sheet = "", row, column, ...details } = {}
+  ) {
+    super(message);
+    this.name = "ConfigError";
+    this.code = code;
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.details = details;
+  }
+
+  // A1 reference of the offending cell, "" when the problem has none
+  get cell() {
+    return this.row === undefined || this.column === undefined
+      ? ""
+      : toCellReference(this.row, this.column);
+  }
+}
+
+/**
+ * Report a configuration warning: added to `warnings` when the caller
+ * collects them, logged otherwise
+ * @param {Object[]|null|undefined} warnings - Collected warnings:
+ *   { severity: "warning", code, sheet, row, column, cell, message, ...details }
+ * @param {string} message - Problem, for people
+ * @param {Object} location - Same fields as a ConfigError location
+ */
+function reportConfigWarning(
+  warnings,
+  message,
+  { code, sheet = "", row, column, ...details }
+) {
+  if (!warnings) {
+    logger.warn(message);
+    return;
+  }
+  warnings.push({
+    severity: "warning",
+    code,
+    sheet,
+    row,
+    column,
+    cell:
+      row === undefined || column === undefined
+        ? ""
+        : toCellReference(row, column),
+    message,
+    ...details,
+  });
+}
+
+module.exports = {
+  ConfigError,
+  reportConfigWarning,
+  toCellReference,
+  formatLocation,
+};
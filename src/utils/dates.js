@@ -0,0 +1,44 @@
+// UTC calendar-day helpers shared by the weather services
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Whole days since the Unix epoch for a UTC date
+function dayNumber(date) {
+  return Math.floor(date.getTime() / MS_PER_DAY);
+}
+
+// Same UTC calendar day shifted by a number of days (time of day dropped)
+function addDays(date, days) {
+  return new Date(
+    Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate() + days
+    )
+  );
+}
+
+// "YYYY-MM-DD" for a UTC date
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Parse a "YYYY-MM-DD" string as a UTC date (null if invalid)
+function parseIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    return null;
+  }
+  const date = new Date(`${value.trim()}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || toIsoDate(date) !== value.trim()) {
+    return null;
+  }
+  return date;
+}
+
+module.exports = {
+  MS_PER_DAY,
+  dayNumber,
+  addDays,
+  toIsoDate,
+  parseIsoDate,
+};
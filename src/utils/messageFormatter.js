@@ -0,0 +1,479 @@
+const { getWeatherEmoji } = require("../services/weatherService");
+const { getActivePause } = require("../services/pauseService");
+
+const SECTION_SEPARATOR = "─────────────────────────────\n\n";
+
+/**
+ * Capitalize a season name for display
+ * @param {string} season - Season name (e.g., "winter")
+ * @returns {string} - Display name (e.g., "Winter")
+ */
+function formatSeason(season) {
+  return season.charAt(0).toUpperCase() + season.slice(1);
+}
+
+/**
+ * Format the date of a weather entry
+ * Shows the in-game date first when the campaign uses its own calendar
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @returns {string} - Display date
+ */
+function formatWeatherDate(weather) {
+  if (weather.gameDate) {
+    return `${weather.gameDate.formatted} (${weather.date})`;
+  }
+  return weather.date;
+}
+
+/**
+ * Day-of-week label for a weather entry (in-game weekday when available)
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @returns {string} - Weekday name
+ */
+function formatDayOfWeek(weather) {
+  return weather.gameDate ? weather.gameDate.dayOfWeek : weather.dayOfWeek;
+}
+
+/**
+ * Format the line for a multi-day weather event in progress
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @param {boolean} [bold=true] - Bold the label (daily/advance style)
+ * @returns {string} - e.g. "🌀 **Event:** Great Storm (day 2 of 3)", or empty
+ */
+function formatEvent(weather, bold = true) {
+  if (!weather.event) {
+    return "";
+  }
+  const { name, day, duration } = weather.event;
+  return `🌀 ${
+    bold ? "**Event:**" : "Event:"
+  } ${name} (day ${day} of ${duration})\n`;
+}
+
+/**
+ * Format the numeric weather line (temperature, wind, precipitation)
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @returns {string} - One line, or empty if the region has no climate data
+ */
+function formatClimate(weather) {
+  const parts = [];
+  if (weather.temperature) {
+    parts.push(`🌡️ ${weather.temperature.low}–${weather.temperature.high}°C`);
+  }
+  if (weather.wind) {
+    parts.push(`💨 ${weather.wind.speed} km/h ${weather.wind.direction}`);
+  }
+  if (weather.precipitation) {
+    parts.push(
+      weather.precipitation.amount > 0
+        ? `💧 ${weather.precipitation.amount} mm ${weather.precipitation.type}`
+        : "💧 Dry"
+    );
+  }
+  return parts.length > 0 ? `${parts.join(" · ")}\n` : "";
+}
+
+/**
+ * Format mechanical impact lines
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @returns {string} - One "⚠️" line per impact (empty if none)
+ */
+function formatImpacts(weather) {
+  if (!Array.isArray(weather.impacts) || weather.impacts.length === 0) {
+    return "";
+  }
+  return weather.impacts.map((impact) => `⚠️ ${impact}\n`).join("");
+}
+
+/**
+ * Format the operations modifiers of a day as one compact line
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @param {boolean} [bold=true] - Bold the label (daily/advance style)
+ * @returns {string} - e.g. "🧭 **Operations:** March ×0.5 · Forage ×0.75 ·
+ *   Scouting range 2 · River crossing: No", or empty if none are set
+ */
+function formatOperations(weather, bold = true) {
+  const operations = weather.operations;
+  if (!operations) {
+    return "";
+  }
+
+  const parts = [];
+  if (operations.marchMultiplier !== null) {
+    parts.push(`March ×${operations.marchMultiplier}`);
+  }
+  if (operations.forageMultiplier !== null) {
+    parts.push(`Forage ×${operations.forageMultiplier}`);
+  }
+  if (operations.scoutingRange !== null) {
+    parts.push(`Scouting range ${operations.scoutingRange}`);
+  }
+  if (operations.riverCrossing !== null) {
+    parts.push(`River crossing: ${operations.riverCrossing ? "Yes" : "No"}`);
+  }
+  return `🧭 ${bold ? "**Operations:**" : "Operations:"} ${parts.join(
+    " · "
+  )}\n`;
+}
+
+/**
+ * Format the accumulated ground state (snow cover, mud, river level)
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @returns {string} - e.g. "🏞️ **Ground:** Deep snow · Fords flooded"
+ *   followed by one "⚠️" line per impact, or empty if no level is reached
+ */
+function formatGround(weather) {
+  if (!weather.ground || weather.ground.states.length === 0) {
+    return "";
+  }
+  const { states } = weather.ground;
+  return (
+    `🏞️ **Ground:** ${states.map((state) => state.level).join(" · ")}\n` +
+    states
+      .flatMap((state) => state.impacts)
+      .map((impact) => `⚠️ ${impact}\n`)
+      .join("")
+  );
+}
+
+/**
+ * Format daylight and moon phase as one line
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @param {boolean} [bold=true] - Bold the label (daily style)
+ * @returns {string} - e.g. "☀️ **Daylight:** 10.5 h (06:45–17:15) ·
+ *   🌔 Waxing Gibbous", or empty if the region has no latitude
+ */
+function formatSky(weather, bold = true) {
+  if (!weather.daylight || !weather.moon) {
+    return "";
+  }
+  const { hours, sunrise, sunset } = weather.daylight;
+  const daylight = sunrise
+    ? `${hours} h (${sunrise}–${sunset})`
+    : hours > 0
+    ? "24 h (midnight sun)"
+    : "None (polar night)";
+  return `☀️ ${bold ? "**Daylight:**" : "Daylight:"} ${daylight} · ${
+    weather.moon.emoji
+  } ${weather.moon.phase}\n`;
+}
+
+const PHASE_LABELS = {
+  morning: "Morning",
+  afternoon: "Afternoon",
+  night: "Night",
+};
+
+/**
+ * Format the condition line(s), numeric weather, impacts and operations of
+ * a day. Regions with day phases get one line per phase (night uses night
+ * emojis), each followed by that phase's impacts; operations are the day's
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @param {boolean} [bold=true] - Bold the labels (daily/advance style)
+ * @param {Object} [emojis] - Region's emoji mapping from the sheet
+ * @param {boolean} [compact=false] - Conditions and impacts only, without
+ *   numeric weather and operations
+ * @returns {string} - Message lines
+ */
+function formatWeatherLines(
+  weather,
+  bold = true,
+  emojis = null,
+  compact = false
+) {
+  const label = (text) => (bold ? `**${text}:**` : `${text}:`);
+  const climate = compact ? "" : formatClimate(weather);
+  const operations = compact ? "" : formatOperations(weather, bold);
+
+  if (!Array.isArray(weather.phases) || weather.phases.length === 0) {
+    return (
+      `${getWeatherEmoji(weather.condition, false, emojis)} ${label(
+        "Weather"
+      )} ${weather.condition}\n` +
+      climate +
+      formatImpacts(weather) +
+      operations
+    );
+  }
+
+  const phaseLines = weather.phases
+    .map(
+      (phase) =>
+        `${getWeatherEmoji(
+          phase.condition,
+          phase.phase === "night",
+          emojis
+        )} ${label(PHASE_LABELS[phase.phase] || phase.phase)} ${
+          phase.condition
+        }\n` + formatImpacts(phase)
+    )
+    .join("");
+
+  return phaseLines + climate + operations;
+}
+
+/**
+ * Copy of a weather object without mechanical impacts (impact lines,
+ * operations and ground impacts), for channels that don't show them
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @returns {Object} - Weather object
+ */
+function withoutImpacts(weather) {
+  return {
+    ...weather,
+    impacts: [],
+    operations: null,
+    phases:
+      weather.phases &&
+      weather.phases.map((phase) => ({
+        ...phase,
+        impacts: [],
+        operations: null,
+      })),
+    ground: weather.ground && {
+      ...weather.ground,
+      states: weather.ground.states.map((state) => ({
+        ...state,
+        impacts: [],
+      })),
+    },
+  };
+}
+
+/**
+ * Format the mention a webhook asked for, on its own line
+ * @param {Object} preferences - Webhook delivery preferences
+ * @returns {string} - e.g. "<@&123456789012345678>", or empty
+ */
+function formatMention(preferences) {
+  return preferences.mention ? `${preferences.mention}\n` : "";
+}
+
+/**
+ * Build a single-day message for one region (daily update or a commander's
+ * advance forecast) the way its webhook wants it
+ * @param {string} title - First line, e.g. "📅 **Weather Update**"
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @param {Object} preferences - Webhook delivery preferences
+ * @returns {string} - Discord message content
+ */
+function buildDayMessage(title, regionConfig, weather, preferences) {
+  const { format = "full", impacts = true } = preferences;
+  const day = impacts ? weather : withoutImpacts(weather);
+  if (format === "compact") {
+    return (
+      formatMention(preferences) +
+      `${title}\n` +
+      `**Date:** ${formatWeatherDate(day)}\n` +
+      formatWeatherLines(day, true, regionConfig.emojis, true)
+    );
+  }
+  return (
+    formatMention(preferences) +
+    `${title}\n` +
+    `**Date:** ${formatWeatherDate(day)}\n` +
+    `**Season:** ${formatSeason(day.season)}\n` +
+    formatEvent(day) +
+    formatWeatherLines(day, true, regionConfig.emojis) +
+    formatGround(day) +
+    formatSky(day)
+  );
+}
+
+/**
+ * Flag a day the players' weekly forecast got wrong (GM-facing posts)
+ * @param {Object} weather - True weather object from getWeatherForDate
+ * @param {Object} [playerForecast] - What the players were told (see
+ *   getPlayerForecast)
+ * @returns {string} - e.g. "🔮 **Players were told:** Clear skies", or empty
+ *   if the forecast was right
+ */
+function formatForecastMiss(weather, playerForecast) {
+  if (!playerForecast || playerForecast.condition === weather.condition) {
+    return "";
+  }
+  return `🔮 **Players were told:** ${playerForecast.condition}\n`;
+}
+
+/**
+ * Format the line shown instead of the weather on a paused day
+ * @param {Object} pause - Posting pause (see pauseService)
+ * @returns {string} - e.g. "⏸️ Posting paused - Summer break"
+ */
+function formatPause(pause) {
+  return `⏸️ Posting paused${pause.reason ? ` - ${pause.reason}` : ""}\n`;
+}
+
+/**
+ * Build the daily weather update message for a region
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object} weather - Weather object from getWeatherForDate
+ * @param {Object} [preferences] - Webhook delivery preferences (format,
+ *   impacts, mention; see parseCommanderDatabase)
+ * @returns {string} - Discord message content
+ */
+function buildDailyWeatherMessage(regionConfig, weather, preferences = {}) {
+  return buildDayMessage(
+    `📅 **Weather Update${
+      regionConfig.name ? ` - ${regionConfig.name}` : ""
+    }**`,
+    regionConfig,
+    weather,
+    preferences
+  );
+}
+
+/**
+ * Build the advance forecast message a commander's webhook gets for its
+ * region - the players' forecast for tomorrow, not the GM-facing truth
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object} playerForecast - Tomorrow as the players' forecast shows it
+ * @param {Object} [preferences] - Webhook delivery preferences
+ * @returns {string} - Discord message content
+ */
+function buildAdvanceForecastMessage(
+  regionConfig,
+  playerForecast,
+  preferences = {}
+) {
+  return buildDayMessage(
+    `📅 **Tomorrow's Weather Forecast - ${regionConfig.name}**`,
+    regionConfig,
+    playerForecast,
+    preferences
+  );
+}
+
+/**
+ * Format the days of a region's weekly forecast
+ * Days in a posting pause are marked instead of forecast
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object[]} weeklyForecast - Weather objects, starting today
+ * @param {Object} [preferences] - Webhook delivery preferences
+ * @returns {string} - One block per day
+ */
+function formatWeeklyDays(regionConfig, weeklyForecast, preferences = {}) {
+  const { format = "full", impacts = true } = preferences;
+
+  return weeklyForecast
+    .map((dayWeather, index) => {
+      const isToday = index === 0;
+      const dayLabel = isToday ? "Today" : formatDayOfWeek(dayWeather);
+      const heading = `**${dayLabel} - ${formatWeatherDate(dayWeather)}**\n`;
+
+      const pause = getActivePause(regionConfig.pauses, dayWeather.isoDate);
+      if (pause) {
+        return heading + formatPause(pause) + `\n`;
+      }
+
+      const day = impacts ? dayWeather : withoutImpacts(dayWeather);
+      if (format === "compact") {
+        return (
+          heading +
+          formatWeatherLines(day, false, regionConfig.emojis, true) +
+          `\n`
+        );
+      }
+      return (
+        heading +
+        `Season: ${formatSeason(day.season)}\n` +
+        formatEvent(day, false) +
+        formatWeatherLines(day, false, regionConfig.emojis) +
+        formatSky(day, false) +
+        `\n`
+      );
+    })
+    .join("");
+}
+
+/**
+ * Build one region's section of the consolidated weekly forecast
+ * Days in a posting pause are marked instead of forecast
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object[]} weeklyForecast - Weather objects, starting today
+ * @returns {string} - Message section, ending with a separator
+ */
+function buildWeeklyForecastSection(regionConfig, weeklyForecast) {
+  return (
+    (regionConfig.name ? `🌍 **${regionConfig.name}**\n\n` : "") +
+    formatWeeklyDays(regionConfig, weeklyForecast) +
+    SECTION_SEPARATOR
+  );
+}
+
+/**
+ * Build the weekly forecast message a commander's webhook gets for its
+ * region (the players' forecast)
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object[]} weeklyForecast - Player forecast days, starting today
+ * @param {Object} [preferences] - Webhook delivery preferences
+ * @returns {string} - Discord message content
+ */
+function buildWeeklyForecastMessage(
+  regionConfig,
+  weeklyForecast,
+  preferences = {}
+) {
+  return (
+    formatMention(preferences) +
+    `📅 **Weekly Weather Forecast - ${regionConfig.name}**\n\n` +
+    formatWeeklyDays(regionConfig, weeklyForecast, preferences)
+  ).trimEnd();
+}
+
+/**
+ * Build one region's section of the consolidated advance forecast
+ * The advance channel always shows the true weather
+ * @param {Object} regionConfig - Region configuration
+ * @param {Object} weather - Tomorrow's weather object
+ * @param {Object} [playerForecast] - Tomorrow in the players' weekly
+ *   forecast, flagged when it differs
+ * @returns {string} - Message section, ending with a separator
+ */
+function buildAdvanceForecastSection(regionConfig, weather, playerForecast) {
+  return (
+    `🌍 **${regionConfig.name}**\n` +
+    `**Date:** ${formatWeatherDate(weather)}\n` +
+    `**Season:** ${formatSeason(weather.season)}\n` +
+    formatEvent(weather) +
+    formatWeatherLines(weather, true, regionConfig.emojis) +
+    formatGround(weather) +
+    formatForecastMiss(weather, playerForecast) +
+    `\n${SECTION_SEPARATOR}`
+  );
+}
+
+/**
+ * Build the section shown when a region's forecast could not be generated
+ * @param {Object} region - Region configuration (or at least its id)
+ * @returns {string} - Message section, ending with a separator
+ */
+function buildForecastErrorSection(region) {
+  return (
+    `🌍 **${region.name || region.id}**\n` +
+    `❌ *Error generating forecast for this region*\n\n` +
+    SECTION_SEPARATOR
+  );
+}
+
+module.exports = {
+  formatSeason,
+  formatWeatherDate,
+  formatDayOfWeek,
+  formatEvent,
+  formatClimate,
+  formatOperations,
+  formatGround,
+  formatSky,
+  formatWeatherLines,
+  formatPause,
+  formatForecastMiss,
+  withoutImpacts,
+  buildDailyWeatherMessage,
+  buildAdvanceForecastMessage,
+  buildWeeklyForecastSection,
+  buildWeeklyForecastMessage,
+  buildAdvanceForecastSection,
+  buildForecastErrorSection,
+};
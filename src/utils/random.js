@@ -0,0 +1,87 @@
+const { toIsoDate } = require("./dates");
+
+// Simple seeded random number generator (Mulberry32)
+// This ensures deterministic weather based on date and region
+function seededRandom(seed) {
+  let a = seed ^ 0xdeadbeef; // Change the initial seed to be offset by a constant
+  return function () {
+    a |= 0;
+    a = (a + 0x7f4a7c15) | 0; // Change the increment constant
+    let t = Math.imul(a ^ (a >>> 13), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 9), 61 | t)) ^ t; // Change the shift values
+    return ((t ^ (t >>> 11)) >>> 0) / 4294967296; // Change the final shift
+  };
+}
+
+// Simple 32-bit string hash (Java-style)
+function hashString(value) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) - hash + value.charCodeAt(i)) & 0xffffffff;
+  }
+  return hash;
+}
+
+// FNV-1a string hash with a final avalanche mix (murmur3 fmix32)
+function mixHash(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// Seeding schemes. Never change an existing version: campaigns pin a version
+// to keep their historical weather (see test-seed.js); add a new one instead.
+const SEED_VERSIONS = {
+  // v1: date digits plus a region hash modulo 1000. Regions can collide and
+  // every campaign shares the same weather; the campaign seed is ignored.
+  1: (date, regionId) => {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1; // 0-based to 1-based
+    const day = date.getUTCDate();
+
+    // Create a unique seed by combining year, month, day, and region
+    // Use simple string hash for region to ensure different regions have different weather
+    const regionHash = hashString(regionId);
+
+    return year * 10000 + month * 100 + day + (regionHash % 1000);
+  },
+  // v2: full hash of campaign seed, region and date
+  2: (date, regionId, campaignSeed = "") =>
+    mixHash(`${campaignSeed}|${regionId}|${toIsoDate(date)}`),
+};
+
+const LATEST_SEED_VERSION = 2;
+
+// Generate a seed from a date and region (YYYY-MM-DD format)
+// `seed` is the campaign's { version, campaignSeed }; defaults to v1
+function dateToSeed(date, regionId = "default", seed = {}) {
+  const version = seed.version || 1;
+  const scheme = SEED_VERSIONS[version];
+  if (!scheme) {
+    throw new Error(`Unknown seed version: ${version}`);
+  }
+  return scheme(date, regionId, seed.campaignSeed);
+}
+
+// Independent generator for a named stream (e.g. "climate") of a day's
+// randomness, so new features don't shift the rolls of existing ones
+function createStream(date, regionId, stream, seed = {}) {
+  return seededRandom(dateToSeed(date, regionId, seed) ^ hashString(stream));
+}
+
+module.exports = {
+  seededRandom,
+  hashString,
+  SEED_VERSIONS,
+  LATEST_SEED_VERSION,
+  dateToSeed,
+  createStream,
+};
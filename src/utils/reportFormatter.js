@@ -0,0 +1,246 @@
+const { formatSeason } = require("./messageFormatter");
+
+// Simulation reports (see simulationService) as Markdown or CSV, the
+// configuration validation report (see validationService) and the
+// snapshot diff (see snapshotService)
+
+function formatShare(days, total) {
+  return total > 0 ? `${((days / total) * 100).toFixed(1)}%` : "0.0%";
+}
+
+// Markdown table cell (pipes would split the cell)
+function markdownCell(value) {
+  return String(value).replace(/\|/g, "\\|");
+}
+
+function markdownTable(headers, rows) {
+  return (
+    `| ${headers.join(" | ")} |\n` +
+    `| ${headers.map(() => "---").join(" | ")} |\n` +
+    rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |\n`).join("")
+  );
+}
+
+/**
+ * Build the Markdown simulation report
+ * @param {Object[]} results - [{ name, ...simulateRegion result }]
+ * @param {string} from - First simulated day ("YYYY-MM-DD")
+ * @param {string} to - Last simulated day ("YYYY-MM-DD")
+ * @returns {string} - Report
+ */
+function buildMarkdownReport(results, from, to) {
+  let report = `# Weather simulation: ${from} to ${to}\n`;
+
+  for (const result of results) {
+    report += `\n## ${result.name}\n`;
+
+    for (const season of result.seasons) {
+      report +=
+        `\n### ${formatSeason(season.season)} (${season.days} days)\n\n` +
+        markdownTable(
+          ["Condition", "Days", "Share"],
+          season.conditions.map(({ name, days }) => [
+            name,
+            days,
+            formatShare(days, season.days),
+          ])
+        );
+    }
+
+    report +=
+      `\n### Longest streaks\n\n` +
+      markdownTable(
+        ["Condition", "Days", "From"],
+        result.streaks.map(({ name, days, start }) => [name, days, start])
+      );
+
+    report += `\n### Impacts\n\n`;
+    report +=
+      result.impacts.length > 0
+        ? markdownTable(
+            ["Impact", "Days", "Share"],
+            result.impacts.map(({ name, days }) => [
+              name,
+              days,
+              formatShare(days, result.days),
+            ])
+          )
+        : "*No impacts fired*\n";
+  }
+
+  return report;
+}
+
+// CSV field, quoted when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV simulation report: one row per condition per season, per
+ * streak and per impact
+ * @param {Object[]} results - [{ name, ...simulateRegion result }]
+ * @returns {string} - Report with a header row
+ */
+function buildCsvReport(results) {
+  const rows = [
+    ["region", "section", "season", "name", "days", "share", "start"],
+  ];
+
+  for (const result of results) {
+    for (const season of result.seasons) {
+      for (const { name, days } of season.conditions) {
+        rows.push([
+          result.name,
+          "condition",
+          season.season,
+          name,
+          days,
+          formatShare(days, season.days),
+          "",
+        ]);
+      }
+    }
+    for (const { name, days, start } of result.streaks) {
+      rows.push([result.name, "streak", "", name, days, "", start]);
+    }
+    for (const { name, days } of result.impacts) {
+      rows.push([
+        result.name,
+        "impact",
+        "",
+        name,
+        days,
+        formatShare(days, result.days),
+        "",
+      ]);
+    }
+  }
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Build the report of conditions that resolve to the default emoji
+ * @param {Object[]} results - [{ name, conditions }]
+ * @param {string} format - "md" or "csv"
+ * @returns {string} - Report
+ */
+function buildDefaultEmojiReport(results, format) {
+  if (format === "csv") {
+    const rows = [["region", "condition"]];
+    for (const result of results) {
+      result.conditions.forEach((condition) =>
+        rows.push([result.name, condition])
+      );
+    }
+    return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+  }
+
+  let report = "# Conditions using the default emoji\n";
+  for (const result of results) {
+    report += `\n## ${result.name}\n\n`;
+    report +=
+      result.conditions.length > 0
+        ? result.conditions.map((condition) => `- ${condition}\n`).join("")
+        : "*Every condition has an emoji*\n";
+  }
+  return report;
+}
+
+// Plain-text column, padded to width
+function pad(text, width) {
+  return text + " ".repeat(Math.max(width - [...text].length, 0));
+}
+
+/**
+ * Build the configuration validation report: a table of findings and a
+ * summary line
+ * @param {Object[]} findings - [{ severity, sheet, location, message }]
+ * @returns {string} - Report
+ */
+function buildFindingsTable(findings) {
+  const errors = findings.filter((f) => f.severity === "error").length;
+  const warnings = findings.length - errors;
+  const summary = `${errors} error(s), ${warnings} warning(s)\n`;
+  if (findings.length === 0) {
+    return `✅ No problems found\n`;
+  }
+
+  const headers = ["Severity", "Sheet", "Location", "Problem"];
+  const rows = findings.map((f) => [
+    f.severity === "error" ? "❌ error" : "⚠️ warning",
+    f.sheet || "-",
+    f.location || "-",
+    f.message,
+  ]);
+  const widths = headers
+    .slice(0, 3)
+    .map((header, column) =>
+      Math.max(header.length, ...rows.map((row) => [...row[column]].length))
+    );
+  const line = (cells) =>
+    cells
+      .map((cell, column) => (column < 3 ? pad(cell, widths[column]) : cell))
+      .join("  ")
+      .trimEnd() + "\n";
+
+  return (
+    line(headers) +
+    line(widths.map((width) => "-".repeat(width)).concat("-".repeat(7))) +
+    rows.map(line).join("") +
+    `\n${summary}`
+  );
+}
+
+// Webhook tokens are secrets; keep the id so the channel is recognisable
+function maskWebhookTokens(text) {
+  return text.replace(/(\/api\/webhooks\/\d+\/)[\w-]+/g, "$1…");
+}
+
+function formatDiffValue(value) {
+  return value ? `"${maskWebhookTokens(value)}"` : "(empty)";
+}
+
+/**
+ * Build the report of changes between a configuration snapshot and the
+ * live sheets, grouped by sheet
+ * @param {Object[]} changes - From diffSheets (see snapshotService)
+ * @param {Object} snapshot - Snapshot compared against ({ savedAt, source })
+ * @returns {string} - Report
+ */
+function buildSheetDiffReport(changes, snapshot) {
+  const since = `snapshot ${snapshot.savedAt} (${snapshot.source})`;
+  if (changes.length === 0) {
+    return `No changes since ${since}\n`;
+  }
+
+  let report = `${changes.length} change(s) since ${since}\n`;
+  let sheet = null;
+  for (const change of changes) {
+    if (change.added || change.removed) {
+      report += `\n${change.sheet}: sheet ${
+        change.added ? "added" : "removed"
+      }\n`;
+      sheet = null;
+      continue;
+    }
+    if (change.sheet !== sheet) {
+      sheet = change.sheet;
+      report += `\n${sheet}\n`;
+    }
+    report += `  ${change.cell}: ${formatDiffValue(
+      change.before
+    )} → ${formatDiffValue(change.after)}\n`;
+  }
+  return report;
+}
+
+module.exports = {
+  buildMarkdownReport,
+  buildCsvReport,
+  buildDefaultEmojiReport,
+  buildFindingsTable,
+  buildSheetDiffReport,
+};
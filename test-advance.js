@@ -1,9 +1,15 @@
 const {
   getRegionalAdvanceForecast,
-  getWeatherEmoji,
+  getRegionalPlayerForecast,
 } = require("./src/services/weatherService");
 const { logger } = require("./src/utils/logger");
+const {
+  buildAdvanceForecastSection,
+  buildForecastErrorSection,
+} = require("./src/utils/messageFormatter");
 const { mockRegionsConfig } = require("./test-webhook");
+const { getActivePause } = require("./src/services/pauseService");
+const { addDays } = require("./src/utils/dates");
 
 // Mock webhook function for testing
 async function mockSendWebhook(webhookUrl, content) {
@@ -25,7 +31,12 @@ async function testAllRegionalAdvanceForecasts() {
       "https://discord.com/api/webhooks/EXAMPLE_ADVANCE_2/test",
     ];
 
-    const regionNames = Object.keys(mockRegionsConfig);
+    // Regions in a posting pause tomorrow are left out of the forecast
+    const tomorrow = addDays(new Date(), 1);
+    const regionNames = Object.keys(mockRegionsConfig).filter(
+      (regionName) =>
+        !getActivePause(mockRegionsConfig[regionName].pauses, tomorrow)
+    );
 
     logger.info(
       `Testing advance forecasts for ${regionNames.length} regions to ${mockAdvanceWebhookUrls.length} webhook(s)`
@@ -44,31 +55,16 @@ async function testAllRegionalAdvanceForecasts() {
 
         const weather = getRegionalAdvanceForecast(regionConfig);
 
-        consolidatedMessage += `🌍 **${regionConfig.name}**\n`;
-        consolidatedMessage += `**Date:** ${weather.date}\n`;
-        consolidatedMessage += `**Season:** ${
-          weather.season.charAt(0).toUpperCase() + weather.season.slice(1)
-        }\n`;
-        consolidatedMessage += `${getWeatherEmoji(
-          weather.condition,
-          false
-        )} **Weather:** ${weather.condition}\n`;
-
-        // Add mechanical impacts if any
-        if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
-          weather.impacts.forEach((impact) => {
-            consolidatedMessage += `⚠️ ${impact}\n`;
-          });
-        }
-
-        consolidatedMessage += "\n─────────────────────────────\n\n";
+        consolidatedMessage += buildAdvanceForecastSection(
+          regionConfig,
+          weather,
+          getRegionalPlayerForecast(regionConfig, weather)
+        );
       } catch (error) {
         logger.error(
           `Failed to generate advance forecast for region ${regionName}: ${error.message}`
         );
-        consolidatedMessage += `🌍 **${regionName}**\n`;
-        consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
-        consolidatedMessage += "─────────────────────────────\n\n";
+        consolidatedMessage += buildForecastErrorSection({ id: regionName });
       }
     }
 
@@ -0,0 +1,148 @@
+const {
+  getDaylight,
+  getMoonPhase,
+} = require("./src/services/astronomyService");
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { formatSky } = require("./src/utils/messageFormatter");
+const { createChecks } = require("./test-helpers");
+
+// Almanac daylight in hours: [date, latitude, hours]
+const DAYLIGHT = [
+  ["2026-06-21", 51.5, 16.6], // London, midsummer
+  ["2026-12-21", 51.5, 7.8], // London, midwinter
+  ["2026-03-20", 51.5, 12.1], // London, equinox
+  ["2026-03-20", 0, 12.1], // Equator
+  ["2026-06-21", -33.9, 9.9], // Sydney, midwinter
+  ["2026-12-21", -33.9, 14.4], // Sydney, midsummer
+];
+
+// Almanac moon phases
+const MOON = [
+  ["2026-01-03", "Full Moon"],
+  ["2026-01-10", "Last Quarter"],
+  ["2026-01-18", "New Moon"],
+  ["2026-01-26", "First Quarter"],
+  ["2026-10-10", "New Moon"],
+  ["2026-10-26", "Full Moon"],
+];
+
+function testAstronomy() {
+  logger.info("🧪 Testing daylight and moon phases...");
+  const { check, finish } = createChecks("daylight and moon");
+
+  // Daylight within 0.2 h of the almanac, centred on solar noon
+  for (const [isoDate, latitude, hours] of DAYLIGHT) {
+    const daylight = getDaylight(parseIsoDate(isoDate), latitude);
+    const [riseH, riseM] = daylight.sunrise.split(":").map(Number);
+    const [setH, setM] = daylight.sunset.split(":").map(Number);
+    check(
+      Math.abs(daylight.hours - hours) <= 0.2 &&
+        Math.abs(riseH * 60 + riseM + setH * 60 + setM - 24 * 60) <= 1,
+      `Daylight at ${latitude}° on ${isoDate}: ${JSON.stringify(
+        daylight
+      )}, expected about ${hours} h`
+    );
+  }
+
+  // Polar day and night have no sunrise or sunset
+  const midsummer = getDaylight(parseIsoDate("2026-06-21"), 70);
+  const midwinter = getDaylight(parseIsoDate("2026-12-21"), 70);
+  check(
+    midsummer.hours === 24 &&
+      midsummer.sunrise === null &&
+      midwinter.hours === 0 &&
+      midwinter.sunset === null,
+    `Polar daylight ${JSON.stringify({ midsummer, midwinter })}`
+  );
+
+  for (const [isoDate, phase] of MOON) {
+    const moon = getMoonPhase(parseIsoDate(isoDate));
+    check(
+      moon.phase === phase,
+      `Moon on ${isoDate} is ${moon.phase}, expected ${phase}`
+    );
+  }
+  const full = getMoonPhase(parseIsoDate("2026-10-26"));
+  const fresh = getMoonPhase(parseIsoDate("2026-10-10"));
+  check(
+    full.emoji === "🌕" &&
+      full.illumination >= 0.95 &&
+      fresh.emoji === "🌑" &&
+      fresh.illumination <= 0.05,
+    `Illumination ${JSON.stringify({ full, fresh })}`
+  );
+
+  // Regions with a latitude get both in their weather and posts; regions
+  // without one get neither
+  const weather = parseWeatherRegions([
+    [
+      "Region",
+      "Spring",
+      "Summer",
+      "Autumn",
+      "Winter",
+      "Latitude",
+      "",
+      "Condition",
+      "Mechanical Impact",
+    ],
+    ["Northern Eparchia", "Rain", "Sun", "Fog", "Snow", "51.5"],
+    ["Southern Highlands", "Mist", "Sun", "Frost", "Snow"],
+  ]);
+  const { regions } = mergeConfiguration(
+    parseCommanderDatabase([
+      ["Webhook URL", "Weather Region"],
+      ["https://discord.com/api/webhooks/9101/sky", "Northern Eparchia"],
+      ["https://discord.com/api/webhooks/9102/sky", "Southern Highlands"],
+    ]),
+    weather.seasonalWeather,
+    weather.mechanicalImpacts,
+    { regionSettings: weather.regionSettings }
+  );
+  const date = parseIsoDate("2026-12-21");
+  const weatherIn = (regionName) =>
+    getWeatherForDate(date, regions[regionName].seasonalWeather, regionName, {
+      seasons: regions[regionName].seasons,
+      latitude: regions[regionName].latitude,
+    });
+  const north = weatherIn("Northern Eparchia");
+  check(
+    JSON.stringify(north.daylight) ===
+      JSON.stringify(getDaylight(date, 51.5)) &&
+      JSON.stringify(north.moon) === JSON.stringify(getMoonPhase(date)),
+    `Northern Eparchia sky ${JSON.stringify([north.daylight, north.moon])}`
+  );
+  check(
+    formatSky(north) ===
+      `☀️ **Daylight:** 7.8 h (08:05–15:55) · ${north.moon.emoji} ${north.moon.phase}\n`,
+    `Sky line "${formatSky(north)}"`
+  );
+  const south = weatherIn("Southern Highlands");
+  check(
+    south.daylight === null && south.moon === null && formatSky(south) === "",
+    "Region without a latitude got daylight or a moon"
+  );
+  const moon = getMoonPhase(date);
+  check(
+    formatSky({ daylight: midsummer, moon }, false).startsWith(
+      "☀️ Daylight: 24 h (midnight sun) ·"
+    ) &&
+      formatSky({ daylight: midwinter, moon }).startsWith(
+        "☀️ **Daylight:** None (polar night) ·"
+      ),
+    "Polar days not spelled out in the sky line"
+  );
+
+  finish("Daylight and moon phases match the almanac");
+}
+
+if (require.main === module) {
+  testAstronomy();
+}
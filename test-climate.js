@@ -0,0 +1,234 @@
+const { parseWeatherRegions } = require("./src/services/googleSheetsService");
+const { parseClimateTable } = require("./src/services/sheets/climateSheet");
+const { generateClimate } = require("./src/services/climateService");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+// A climate wide enough for every profile to show: frost to heat, calm to
+// gale, dry to soaking
+const CLIMATE = {
+  minTemp: -10,
+  maxTemp: 35,
+  maxWind: 80,
+  maxPrecipitation: 40,
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const START = new Date(Date.UTC(2026, 2, 1));
+
+// Weather Regions sheet with a Climate column in the impacts table
+function parseProfiles(profileRows, warnings = []) {
+  return parseWeatherRegions(
+    [
+      [
+        "Region",
+        "Spring",
+        "Summer",
+        "Autumn",
+        "Winter",
+        "",
+        "Condition",
+        "Mechanical Impact",
+        "Climate",
+      ],
+      ["Test Region", "Sandstorm", "Sun", "Rain", "Snow"],
+      ...profileRows.map(([condition, profile]) => [
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        condition,
+        "",
+        profile,
+      ]),
+    ],
+    warnings
+  );
+}
+
+// Numbers of a condition over two months of days
+function sampleClimate(condition, profiles = null) {
+  const days = [];
+  for (let i = 0; i < 60; i++) {
+    days.push(
+      generateClimate(
+        new Date(START.getTime() + i * MS_PER_DAY),
+        "Test Region",
+        condition,
+        CLIMATE,
+        undefined,
+        profiles
+      )
+    );
+  }
+  return days;
+}
+
+function testClimate() {
+  logger.info("🧪 Testing numeric weather...");
+  const { check, finish } = createChecks("numeric weather");
+
+  // The numbers agree with the condition
+  const consistent = [
+    [
+      "Blizzard",
+      (d) => d.temperature.high <= -2 && d.precipitation.type === "snow",
+    ],
+    ["Light snow", (d) => d.temperature.high <= 1],
+    ["Clear skies", (d) => d.precipitation.amount === 0],
+    ["Thick fog", (d) => d.precipitation.amount === 0 && d.wind.speed <= 12],
+    [
+      "Raging thunderstorm",
+      (d) => d.temperature.high >= 5 && d.wind.speed >= 40,
+    ],
+    ["Scorching heat", (d) => d.temperature.high >= 28],
+  ];
+  for (const [condition, agrees] of consistent) {
+    const days = sampleClimate(condition);
+    const bad = days.find(
+      (day) => !agrees(day) || day.temperature.low >= day.temperature.high
+    );
+    check(!bad, `"${condition}" got ${JSON.stringify(bad)}`);
+  }
+
+  // Climate sheet: "All" rows fill every season, season rows refine them
+  const climate = parseClimateTable([
+    [
+      "Region",
+      "Season",
+      "Min Temp",
+      "Max Temp",
+      "Max Wind",
+      "Max Precipitation",
+    ],
+    ["Test Region", "All", "-10", "35", "80", "40"],
+    ["Test Region", "Summer", "15", "", "", ""],
+  ]);
+  check(
+    JSON.stringify(climate["Test Region"].winter) === JSON.stringify(CLIMATE) &&
+      climate["Test Region"].summer.minTemp === 15 &&
+      climate["Test Region"].summer.maxTemp === 35,
+    `Climate sheet parsed as ${JSON.stringify(climate)}`
+  );
+
+  // Seasons with climate parameters get numbers, seasons without get none
+  const seasonalWeather = {
+    spring: { conditions: ["Blizzard"], climate: CLIMATE },
+    summer: { conditions: ["Blizzard"] },
+    autumn: { conditions: ["Blizzard"] },
+    winter: { conditions: ["Blizzard"] },
+  };
+  const seasons = { hemisphere: "northern" };
+  const spring = getWeatherForDate(START, seasonalWeather, "Test Region", {
+    seasons,
+  });
+  const summer = getWeatherForDate(
+    new Date(Date.UTC(2026, 6, 1)),
+    seasonalWeather,
+    "Test Region",
+    { seasons }
+  );
+  check(
+    spring.temperature?.high <= -2 && spring.precipitation?.type === "snow",
+    `Spring blizzard got ${JSON.stringify(spring)}`
+  );
+  check(
+    summer.temperature === null &&
+      summer.wind === null &&
+      summer.precipitation === null,
+    `Season without climate got ${JSON.stringify(summer)}`
+  );
+
+  // Bad numbers name their cell
+  let message = "";
+  try {
+    parseClimateTable([
+      ["Region", "Season", "Min Temp", "Max Temp"],
+      ["Test Region", "All", "cold", "35"],
+    ]);
+  } catch (error) {
+    message = error.message;
+  }
+  check(message.includes("C2"), `Bad Min Temp gave "${message}"`);
+
+  // Keywords alone pick the wrong profile for some conditions...
+  const isWet = (days) => days.some((day) => day.precipitation.amount > 0);
+  check(
+    isWet(sampleClimate("Sandstorm")) &&
+      sampleClimate("Snowmelt floods").every(
+        (day) => day.temperature.high <= 1
+      ),
+    "Keyword fallback changed: Sandstorm should rain, Snowmelt floods freeze"
+  );
+
+  // ...so the sheet can name the profile
+  const { climateProfiles } = parseProfiles([
+    ["Sandstorm", "Wind"],
+    ["Snowmelt floods", "downpour"],
+  ]);
+  check(
+    JSON.stringify(climateProfiles) ===
+      JSON.stringify({ sandstorm: "wind", "snowmelt floods": "downpour" }),
+    `Climate profiles parsed as ${JSON.stringify(climateProfiles)}`
+  );
+  const sandstorm = sampleClimate("Sandstorm", climateProfiles);
+  check(
+    !isWet(sandstorm) && sandstorm.every((day) => day.wind.speed >= 48),
+    `Sandstorm with the wind profile got ${JSON.stringify(sandstorm[0])}`
+  );
+  const floods = sampleClimate("Snowmelt floods", climateProfiles);
+  check(
+    floods.every(
+      (day) =>
+        day.temperature.high >= 3 &&
+        day.precipitation.type === "rain" &&
+        day.precipitation.amount >= 24
+    ),
+    `Snowmelt floods with the downpour profile got ${JSON.stringify(floods[0])}`
+  );
+
+  // The profiles reach the generated weather through the region options
+  const sandstormWeather = {
+    spring: { conditions: ["Sandstorm"], climate: CLIMATE },
+    summer: { conditions: ["Sandstorm"], climate: CLIMATE },
+    autumn: { conditions: ["Sandstorm"], climate: CLIMATE },
+    winter: { conditions: ["Sandstorm"], climate: CLIMATE },
+  };
+  const weather = getWeatherForDate(START, sandstormWeather, "Test Region", {
+    seasons,
+    climateProfiles,
+  });
+  check(
+    weather.precipitation.type === "none" && weather.wind.speed >= 48,
+    `Region's Sandstorm got ${JSON.stringify(weather)}`
+  );
+
+  // Unknown profiles name their cell; patterns can't set one
+  let error = null;
+  try {
+    parseProfiles([["Sandstorm", "Dusty"]]);
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    error?.cell === "I3" && error.message.includes("wind"),
+    `Unknown profile gave ${error ? error.message : "no error"}`
+  );
+  const warnings = [];
+  parseProfiles([["*sand*", "wind"]], warnings);
+  check(
+    warnings.some(
+      (warning) => warning.code === "ignored-setting" && warning.cell === "I3"
+    ),
+    `Pattern profile gave ${JSON.stringify(warnings)}`
+  );
+
+  finish("Numeric weather follows each condition's climate profile");
+}
+
+if (require.main === module) {
+  testClimate();
+}
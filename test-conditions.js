@@ -0,0 +1,69 @@
+const { parseWeatherRegions } = require("./src/services/googleSheetsService");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+const HEADER = ["Region", "Spring", "Summer", "Autumn", "Winter"];
+
+// Spring conditions of a one-region Weather Regions sheet
+function parseSpring(cell) {
+  const { seasonalWeather } = parseWeatherRegions(
+    [HEADER, ["Test Region", cell, "Sun", "Rain", "Snow"]],
+    [] // No impacts table: collect the warning instead of logging it
+  );
+  return seasonalWeather["Test Region"].spring;
+}
+
+function testConditions() {
+  logger.info("🧪 Testing seasonal condition cells...");
+  const { check, finish } = createChecks("condition cell");
+
+  // A number after a colon is a weight; unweighted conditions count as 1
+  for (const [cell, expected] of [
+    ["Showers:3, Fog:1", { conditions: ["Showers", "Fog"], weights: [3, 1] }],
+    [
+      "Showers : 2.5, Fog",
+      { conditions: ["Showers", "Fog"], weights: [2.5, 1] },
+    ],
+    ["Showers, Fog", { conditions: ["Showers", "Fog"] }],
+    // Only the last colon separates the weight
+    [
+      "Fog: thick by dawn:2, Rain",
+      { conditions: ["Fog: thick by dawn", "Rain"], weights: [2, 1] },
+    ],
+  ]) {
+    const actual = parseSpring(cell);
+    check(
+      JSON.stringify(actual) === JSON.stringify(expected),
+      `"${cell}" parsed as ${JSON.stringify(actual)}`
+    );
+  }
+
+  // Anything but a non-negative number after the last colon, a weight
+  // without a condition, a decimal comma or only zero weights is an error
+  for (const cell of [
+    "Showers:-1",
+    "Showers:",
+    "Showers:3x",
+    "Rain:0,5",
+    "Fog: thick by dawn",
+    ":3, Fog",
+    "Showers:0, Fog:0",
+  ]) {
+    let error = null;
+    try {
+      parseSpring(cell);
+    } catch (caught) {
+      error = caught;
+    }
+    check(
+      error && error.cell === "B2" && error.details.season === "spring",
+      `"${cell}" gave ${error ? error.message : "no error"}`
+    );
+  }
+
+  finish("Condition weights are non-negative numbers after a colon");
+}
+
+if (require.main === module) {
+  testConditions();
+}
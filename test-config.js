@@ -0,0 +1,186 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadConfiguration,
+  getConfigurationDump,
+  resetConfiguration,
+} = require("./src/config/config");
+const { parseConfiguration } = require("./src/services/googleSheetsService");
+const { parseCsv } = require("./src/services/localConfigService");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+// The same sheets as the Google Sheets API returns them (text cells)
+const SHEETS = {
+  "Commander Database": [
+    ["Webhook URL", "Weather Region"],
+    ["https://discord.com/api/webhooks/1001/local-test", "Northern Eparchia"],
+    ["https://discord.com/api/webhooks/1002/local-test", "Southern Highlands"],
+  ],
+  "Weather Regions": [
+    [
+      "Region",
+      "Spring Weather",
+      "Summer Weather",
+      "Autumn Weather",
+      "Winter Weather",
+      "Latitude",
+      "",
+      "Condition",
+      "Mechanical Impact",
+      "March",
+    ],
+    [
+      "Northern Eparchia",
+      "Mild day:3, Showers:1",
+      "Hot and sunny, Storms",
+      "Crisp day, Rain",
+      "Snow, Blizzard",
+      "51.5",
+      "",
+      "Blizzard",
+      "Blinded beyond 15ft, extreme cold",
+      "0.5",
+    ],
+    [
+      "Southern Highlands",
+      "Mountain mist, Cool mornings",
+      "Alpine summer",
+      "Early frost",
+      "Deep snow",
+      "",
+      "",
+      "Storms",
+      "Disadvantage on Perception, no river crossings",
+      "",
+    ],
+  ],
+  "Campaign Settings": [
+    ["Setting", "Value"],
+    ["Hemisphere", "Northern"],
+    ["Forecast Accuracy", "0.8"],
+  ],
+};
+
+function toCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((cell) =>
+          /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+        )
+        .join(",")
+    )
+    .join("\n");
+}
+
+// JSON and YAML cells may be typed; numbers must read back as the same text
+function toTypedRows(rows) {
+  return rows.map((row) =>
+    row.map((cell) => (/^\d+(\.\d+)?$/.test(cell) ? Number(cell) : cell))
+  );
+}
+
+async function loadLocal(configPath) {
+  process.env.CONFIG_SOURCE = "local";
+  process.env.CONFIG_PATH = configPath;
+  resetConfiguration();
+  await loadConfiguration();
+  return getConfigurationDump();
+}
+
+async function testLocalConfiguration() {
+  logger.info("🧪 Testing the local configuration backend...");
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "weather-config-"));
+  const { check, finish } = createChecks("local configuration");
+
+  try {
+    const expected = JSON.stringify(parseConfiguration(SHEETS));
+
+    // One file per sheet, in all three formats
+    const sheetDir = path.join(workDir, "sheets");
+    fs.mkdirSync(sheetDir);
+    fs.writeFileSync(
+      path.join(sheetDir, "Commander Database.csv"),
+      toCsv(SHEETS["Commander Database"]) + "\r\n"
+    );
+    fs.writeFileSync(
+      path.join(sheetDir, "Weather Regions.yaml"),
+      toTypedRows(SHEETS["Weather Regions"])
+        .map(
+          (row) => `- [${row.map((cell) => JSON.stringify(cell)).join(", ")}]`
+        )
+        .join("\n")
+    );
+    fs.writeFileSync(
+      path.join(sheetDir, "Campaign Settings.json"),
+      JSON.stringify(toTypedRows(SHEETS["Campaign Settings"]))
+    );
+    check(
+      JSON.stringify(await loadLocal(sheetDir)) === expected,
+      "Sheet files produce a different configuration than Google Sheets"
+    );
+
+    // A single workbook file
+    const workbookPath = path.join(workDir, "workbook.json");
+    fs.writeFileSync(workbookPath, JSON.stringify(SHEETS));
+    check(
+      JSON.stringify(await loadLocal(workbookPath)) === expected,
+      "Workbook file produces a different configuration than Google Sheets"
+    );
+
+    // Quoted CSV fields keep their commas, quotes and newlines
+    const csvRows = parseCsv('a,"b, c","say ""hi""","two\nlines"\n,x\n');
+    check(
+      JSON.stringify(csvRows) ===
+        JSON.stringify([
+          ["a", "b, c", 'say "hi"', "two\nlines"],
+          ["", "x"],
+        ]),
+      `Unexpected CSV rows ${JSON.stringify(csvRows)}`
+    );
+
+    // Missing required sheets and unknown sources are rejected
+    const incompleteDir = path.join(workDir, "incomplete");
+    fs.mkdirSync(incompleteDir);
+    fs.writeFileSync(
+      path.join(incompleteDir, "Commander Database.csv"),
+      toCsv(SHEETS["Commander Database"])
+    );
+    for (const [label, load] of [
+      ["missing Weather Regions sheet", () => loadLocal(incompleteDir)],
+      [
+        "unknown CONFIG_SOURCE",
+        () => {
+          process.env.CONFIG_SOURCE = "ftp";
+          resetConfiguration();
+          return loadConfiguration();
+        },
+      ],
+    ]) {
+      let rejected = false;
+      try {
+        await load();
+      } catch (error) {
+        rejected = true;
+      }
+      check(rejected, `Configuration with ${label} was accepted`);
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    delete process.env.CONFIG_SOURCE;
+    delete process.env.CONFIG_PATH;
+    resetConfiguration();
+  }
+
+  finish("Local files produce the same configuration as the sheet");
+}
+
+if (require.main === module) {
+  testLocalConfiguration();
+}
+
+module.exports = {
+  mockSheets: SHEETS,
+};
@@ -0,0 +1,272 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { google } = require("googleapis");
+const {
+  loadConfiguration,
+  resetConfiguration,
+  getRegionConfig,
+} = require("./src/config/config");
+const {
+  parseCommanderDatabase,
+} = require("./src/services/googleSheetsService");
+const { getRegionalAdvanceForecast } = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { buildDailyWeatherMessage } = require("./src/utils/messageFormatter");
+const { sendRegionalWeatherWebhook } = require("./webhook");
+const { sendAllRegionalAdvanceForecasts } = require("./advance-webhook");
+const { sendAllRegionalWeeklyForecasts } = require("./weekly-webhook");
+const { mockSheets } = require("./test-config");
+const { createChecks } = require("./test-helpers");
+
+const WEBHOOK = "https://discord.com/api/webhooks";
+
+// The test-config sheets with the optional delivery preference columns
+const COMMANDER_DATABASE = [
+  [
+    "Webhook URL",
+    "Weather Region",
+    "Daily",
+    "Advance",
+    "Weekly",
+    "Mention",
+    "Format",
+    "Impacts",
+  ],
+  [`${WEBHOOK}/2001/full`, "Northern Eparchia"],
+  [
+    `${WEBHOOK}/2002/compact`,
+    "Northern Eparchia",
+    "No",
+    "Yes",
+    "Yes",
+    "role:123456789012345678",
+    "Compact",
+    "No",
+  ],
+  [`${WEBHOOK}/2003/mention`, "Southern Highlands", "", "", "", "<@42>"],
+];
+
+// A day with everything the preferences can leave out
+const WEATHER = {
+  isoDate: "2026-01-14",
+  date: "Wednesday, January 14, 2026",
+  season: "winter",
+  condition: "Blizzard",
+  impacts: ["Blinded beyond 15ft, extreme cold"],
+  operations: {
+    marchMultiplier: 0.5,
+    forageMultiplier: null,
+    scoutingRange: null,
+    riverCrossing: false,
+  },
+  phases: null,
+  event: null,
+  temperature: { low: -12, high: -4 },
+  wind: { speed: 40, direction: "N" },
+  precipitation: { amount: 12, type: "snow" },
+  ground: null,
+  daylight: null,
+  moon: null,
+};
+
+async function testDeliveryPreferences() {
+  logger.info("🧪 Testing per-webhook delivery preferences...");
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "weather-delivery-"));
+  const workbookPath = path.join(workDir, "workbook.json");
+  // Forecasters who are never right a day ahead, issuing today
+  const issueDay = new Date().toLocaleDateString("en-US", {
+    weekday: "long",
+    timeZone: "UTC",
+  });
+  fs.writeFileSync(
+    workbookPath,
+    JSON.stringify({
+      ...mockSheets,
+      "Commander Database": COMMANDER_DATABASE,
+      "Campaign Settings": [
+        ["Setting", "Value"],
+        ["Hemisphere", "Northern"],
+        ["Forecast Accuracy", "0"],
+        ["Forecast Issue Day", issueDay],
+      ],
+    })
+  );
+  process.env.CONFIG_SOURCE = "local";
+  process.env.CONFIG_PATH = workbookPath;
+
+  // Capture the posts instead of sending them
+  const posts = [];
+  const post = axios.post;
+  axios.post = async (url, body) => {
+    posts.push({ url, content: body.content });
+    return { status: 204 };
+  };
+  const postsTo = (id) => posts.filter((p) => p.url.includes(`/${id}/`));
+
+  // Capture the Weather Log rows instead of writing them
+  const loggedRows = [];
+  const { GoogleAuth } = google.auth;
+  const { sheets } = google;
+  google.auth.GoogleAuth = function MockAuth() {};
+  google.sheets = () => ({
+    spreadsheets: {
+      values: {
+        append: async (request) => {
+          loggedRows.push(...request.requestBody.values);
+          return { status: 200 };
+        },
+      },
+    },
+  });
+
+  const { check, finish } = createChecks("delivery preference");
+
+  try {
+    // Preferences: blank cells keep the defaults
+    const webhooks = parseCommanderDatabase(COMMANDER_DATABASE);
+    const [full, compact] = webhooks["Northern Eparchia"];
+    check(
+      full.daily && !full.advance && !full.weekly && full.format === "full",
+      `Unexpected default preferences ${JSON.stringify(full)}`
+    );
+    check(
+      !compact.daily &&
+        compact.advance &&
+        compact.weekly &&
+        compact.mention === "<@&123456789012345678>" &&
+        compact.format === "compact" &&
+        !compact.impacts,
+      `Unexpected preferences ${JSON.stringify(compact)}`
+    );
+    check(
+      webhooks["Southern Highlands"][0].mention === "<@42>",
+      "User mention not kept"
+    );
+
+    // Bad cells name their cell
+    for (const [column, value] of [
+      [2, "Sometimes"],
+      [5, "everyone"],
+      [6, "Tiny"],
+    ]) {
+      const rows = COMMANDER_DATABASE.map((row) => [...row]);
+      rows[2][column] = value;
+      let message = "";
+      try {
+        parseCommanderDatabase(rows);
+      } catch (error) {
+        message = error.message;
+      }
+      check(
+        message.includes("cell"),
+        `"${value}" in column ${column + 1} gave "${message}"`
+      );
+    }
+
+    // Formatting: compact leaves out season and numbers, impacts can go
+    const region = { name: "Northern Eparchia" };
+    const fullMessage = buildDailyWeatherMessage(region, WEATHER);
+    const compactMessage = buildDailyWeatherMessage(region, WEATHER, compact);
+    check(
+      fullMessage.includes("**Season:**") &&
+        fullMessage.includes("⚠️ Blinded") &&
+        fullMessage.includes("🧭"),
+      `Full message missing details:\n${fullMessage}`
+    );
+    check(
+      compactMessage.startsWith("<@&123456789012345678>\n📅") &&
+        !compactMessage.includes("**Season:**") &&
+        !compactMessage.includes("🌡️") &&
+        !compactMessage.includes("⚠️") &&
+        !compactMessage.includes("🧭"),
+      `Compact message without impacts shows too much:\n${compactMessage}`
+    );
+    check(
+      buildDailyWeatherMessage(region, WEATHER, {
+        format: "compact",
+        impacts: true,
+      }).includes("⚠️ Blinded"),
+      "Compact message dropped the impacts"
+    );
+
+    // Senders: each webhook gets the reports it asked for, its own way
+    resetConfiguration();
+    await loadConfiguration();
+    await sendRegionalWeatherWebhook("Northern Eparchia");
+    await sendRegionalWeatherWebhook("Southern Highlands");
+    check(
+      postsTo(2001).length === 1 && postsTo(2002).length === 0,
+      "Daily update not limited to webhooks with Daily on"
+    );
+    check(
+      postsTo(2003)[0]?.content.startsWith("<@42>\n📅 **Weather Update"),
+      "Daily update missing the webhook's mention"
+    );
+
+    posts.length = 0;
+    process.env.WEATHER_LOG_ENABLED = "true";
+    process.env.GOOGLE_SERVICE_ACCOUNT_KEY = JSON.stringify({});
+    process.env.GOOGLE_SHEET_LINK =
+      "https://docs.google.com/spreadsheets/d/delivery-test/edit";
+    await sendAllRegionalAdvanceForecasts();
+    delete process.env.WEATHER_LOG_ENABLED;
+    const advance = postsTo(2002);
+    check(
+      posts.length === 1 &&
+        advance.length === 1 &&
+        advance[0].content.includes("Tomorrow's Weather Forecast") &&
+        !advance[0].content.includes("**Season:**"),
+      `Unexpected advance posts ${JSON.stringify(posts)}`
+    );
+
+    // The Weather Log records the players' forecast the commander was shown
+    const truth = getRegionalAdvanceForecast(
+      getRegionConfig("Northern Eparchia")
+    );
+    check(
+      loggedRows.length === 1 &&
+        loggedRows[0][2] === "Northern Eparchia" &&
+        loggedRows[0][3] !== truth.condition &&
+        advance[0].content.includes(loggedRows[0][3]),
+      `Commander advance post logged as ${JSON.stringify(
+        loggedRows
+      )}, the truth is "${truth.condition}"`
+    );
+
+    posts.length = 0;
+    await sendAllRegionalWeeklyForecasts();
+    const weekly = postsTo(2002);
+    check(
+      posts.length === 1 &&
+        weekly.length === 1 &&
+        weekly[0].content.startsWith(
+          "<@&123456789012345678>\n📅 **Weekly Weather Forecast - Northern Eparchia**"
+        ) &&
+        !weekly[0].content.includes("Season:"),
+      `Unexpected weekly posts ${JSON.stringify(posts)}`
+    );
+  } finally {
+    axios.post = post;
+    google.auth.GoogleAuth = GoogleAuth;
+    google.sheets = sheets;
+    fs.rmSync(workDir, { recursive: true, force: true });
+    delete process.env.CONFIG_SOURCE;
+    delete process.env.CONFIG_PATH;
+    delete process.env.WEATHER_LOG_ENABLED;
+    delete process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+    delete process.env.GOOGLE_SHEET_LINK;
+    resetConfiguration();
+  }
+
+  finish("Every webhook gets its reports the way it asked for them");
+}
+
+if (require.main === module) {
+  testDeliveryPreferences();
+}
+
+module.exports = {
+  mockCommanderDatabase: COMMANDER_DATABASE,
+};
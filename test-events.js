@@ -0,0 +1,99 @@
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { addDays, parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { formatEvent } = require("./src/utils/messageFormatter");
+const { createChecks } = require("./test-helpers");
+
+const SEASON = { conditions: ["Clear skies", "Overcast", "Light rain"] };
+
+const SEASONAL_WEATHER = {
+  spring: SEASON,
+  summer: SEASON,
+  autumn: SEASON,
+  winter: SEASON,
+};
+
+const OPTIONS = {
+  seasons: { hemisphere: "northern" },
+  events: [
+    {
+      name: "Great Storm",
+      condition: "Raging thunderstorm",
+      seasons: ["autumn", "winter"],
+      minDays: 2,
+      maxDays: 4,
+      chance: 0.1,
+      impacts: ["No river crossings"],
+    },
+  ],
+};
+
+function testEvents() {
+  logger.info("🧪 Testing weather events...");
+  const { check, finish } = createChecks("weather event");
+
+  // A year of days from spring to spring (so no event is cut off), split
+  // into runs of event days
+  const start = parseIsoDate("2026-03-05");
+  const runs = [];
+  for (let i = 0; i < 371; i++) {
+    const weather = getWeatherForDate(
+      addDays(start, i),
+      SEASONAL_WEATHER,
+      "Test Region",
+      OPTIONS
+    );
+    if (weather.event) {
+      if (weather.event.day === 1) {
+        runs.push([]);
+        check(
+          ["autumn", "winter"].includes(weather.season),
+          `Event started on ${weather.date} in ${weather.season}`
+        );
+      }
+      check(
+        weather.condition === "Raging thunderstorm" &&
+          weather.impacts[0] === "No river crossings",
+        `${weather.date}: event day has ${JSON.stringify(weather)}`
+      );
+      runs[runs.length - 1].push(weather);
+    } else {
+      check(
+        SEASON.conditions.includes(weather.condition),
+        `${weather.date}: "${weather.condition}" outside an event`
+      );
+    }
+  }
+
+  // Days count up from 1 to the event's duration, then the event ends
+  check(runs.length > 2, `Only ${runs.length} events in a year at 10%`);
+  for (const run of runs) {
+    const { duration } = run[0].event;
+    check(
+      duration >= 2 &&
+        duration <= 4 &&
+        run.length === duration &&
+        run.every(
+          (day, index) =>
+            day.event.day === index + 1 && day.event.duration === duration
+        ),
+      `Event from ${run[0].date} ran ${run
+        .map((day) => `${day.event.day}/${day.event.duration}`)
+        .join(", ")}`
+    );
+  }
+
+  // Posts number the days
+  const second = runs.find((run) => run.length > 1)[1];
+  const line = formatEvent(second);
+  check(
+    line === `🌀 **Event:** Great Storm (day 2 of ${second.event.duration})\n`,
+    `Event line "${line}"`
+  );
+
+  finish("Weather events count their days and end on time");
+}
+
+if (require.main === module) {
+  testEvents();
+}
@@ -0,0 +1,124 @@
+const {
+  getRegionalWeatherForDate,
+  getRegionalPlayerForecast,
+} = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { addDays, parseIsoDate, toIsoDate } = require("./src/utils/dates");
+const {
+  buildAdvanceForecastMessage,
+  buildAdvanceForecastSection,
+  buildWeeklyForecastMessage,
+} = require("./src/utils/messageFormatter");
+const { mockRegionsConfig } = require("./test-webhook");
+const { createChecks } = require("./test-helpers");
+
+// A Saturday, the mock region's forecast issue day
+const ISSUE_DATE = "2026-03-07";
+
+function testPlayerForecast() {
+  logger.info("🧪 Testing player forecasts...");
+  const { check, finish } = createChecks("player forecast");
+
+  const region = {
+    id: "Northern Eparchia",
+    ...mockRegionsConfig["Northern Eparchia"],
+  };
+  const dayAfter = toIsoDate(addDays(parseIsoDate(ISSUE_DATE), 1));
+  const weather = getRegionalWeatherForDate(region, parseIsoDate(dayAfter));
+
+  // Forecasters who are never right a day ahead: only the lead decides
+  const neverRight = {
+    ...region,
+    forecast: { accuracy: 0, issueDay: 6 },
+  };
+  const isMiss = (forecast) => forecast.condition !== weather.condition;
+  check(
+    isMiss(getRegionalPlayerForecast(neverRight, weather, ISSUE_DATE)),
+    "Forecast a day ahead of its issue date was right"
+  );
+  check(
+    !isMiss(getRegionalPlayerForecast(neverRight, weather, dayAfter)) &&
+      !isMiss(
+        getRegionalPlayerForecast(
+          neverRight,
+          weather,
+          toIsoDate(addDays(parseIsoDate(dayAfter), 1))
+        )
+      ),
+    "Forecast issued on or after the day was not the truth"
+  );
+
+  // The lead comes from the actual issue date, not the issue weekday: a
+  // weekly post run on a Sunday forecasts that Sunday as it is
+  check(
+    !isMiss(
+      getRegionalPlayerForecast(
+        { ...neverRight, forecast: { accuracy: 0, issueDay: 3 } },
+        weather,
+        dayAfter
+      )
+    ),
+    "Issue weekday overrode the actual issue date"
+  );
+  check(
+    isMiss(getRegionalPlayerForecast(neverRight, weather)) &&
+      !isMiss(
+        getRegionalPlayerForecast(
+          { ...neverRight, forecast: { accuracy: 0, issueDay: 0 } },
+          weather
+        )
+      ),
+    "Without an issue date, the lead does not come from the issue weekday"
+  );
+
+  // The weekly post (issued on its run date) and the advance post (the
+  // scheduled forecast) agree on every day, misses included: commanders
+  // get the weekly post's condition again, and the GMs' post flags exactly
+  // the days the weekly post got wrong
+  let misses = 0;
+  for (let week = 0; week < 8; week++) {
+    const issued = toIsoDate(addDays(parseIsoDate(ISSUE_DATE), week * 7));
+    const days = [...Array(7).keys()].map((i) =>
+      getRegionalWeatherForDate(region, addDays(parseIsoDate(issued), i))
+    );
+    const weeklyForecast = days.map((day) =>
+      getRegionalPlayerForecast(region, day, issued)
+    );
+    const weeklyPost = buildWeeklyForecastMessage(region, weeklyForecast);
+    days.forEach((day, i) => {
+      const weekly = weeklyForecast[i];
+      const advance = getRegionalPlayerForecast(region, day);
+      const missed = weekly.condition !== day.condition;
+      if (missed) misses++;
+      check(
+        JSON.stringify(weekly) === JSON.stringify(advance),
+        `Weekly and advance forecasts of ${day.isoDate} disagree: "${weekly.condition}" vs "${advance.condition}"`
+      );
+      check(
+        weeklyPost.includes(weekly.condition) &&
+          buildAdvanceForecastMessage(region, advance).includes(
+            weekly.condition
+          ),
+        `Posts of ${day.isoDate} do not both show "${weekly.condition}"`
+      );
+      const gmSection = buildAdvanceForecastSection(region, day, advance);
+      check(
+        missed
+          ? gmSection.includes(
+              `🔮 **Players were told:** ${weekly.condition}\n`
+            )
+          : !gmSection.includes("🔮"),
+        `GM advance post of ${day.isoDate} ${
+          missed ? "does not flag" : "flags"
+        } the weekly forecast "${weekly.condition}" (truth "${day.condition}")`
+      );
+    });
+  }
+  check(misses > 0, "No forecast misses in eight weeks at 50% accuracy");
+
+  finish("Player forecasts miss by their lead from the issue date");
+}
+
+if (require.main === module) {
+  testPlayerForecast();
+}
@@ -0,0 +1,190 @@
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  parseCampaignSettings,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const { parseGroundStateTable } = require("./src/services/sheets/groundSheet");
+const { getGroundState } = require("./src/services/groundService");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { addDays, parseIsoDate, toIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { formatGround } = require("./src/utils/messageFormatter");
+const { createChecks } = require("./test-helpers");
+
+const LEVELS = [
+  { ground: "snow", level: "Light snow cover", threshold: 5, impacts: [] },
+  {
+    ground: "snow",
+    level: "Deep snow",
+    threshold: 30,
+    impacts: ["March distance halved off roads"],
+  },
+  {
+    ground: "mud",
+    level: "Muddy roads",
+    threshold: 15,
+    impacts: ["Wagons move at half speed"],
+  },
+  {
+    ground: "river",
+    level: "Fords flooded",
+    threshold: 40,
+    impacts: ["Rivers can only be crossed at bridges"],
+  },
+];
+
+const DATE = parseIsoDate("2026-01-20");
+
+// Ground on DATE after the given conditions, oldest first and ending on
+// DATE; earlier days of the lookback are clear
+function groundAfter(conditions, lookbackDays = 14) {
+  const byDate = {};
+  conditions.forEach((condition, index) => {
+    byDate[toIsoDate(addDays(DATE, index - conditions.length + 1))] = condition;
+  });
+  return getGroundState(
+    DATE,
+    (day) => ({ condition: byDate[toIsoDate(day)] || "Clear skies" }),
+    { lookbackDays, levels: LEVELS }
+  );
+}
+
+const levelsOf = (ground) => ground.states.map((state) => state.level).join();
+
+function testGround() {
+  logger.info("🧪 Testing ground state...");
+  const { check, finish } = createChecks("ground state");
+
+  // Snow (10 mm a day, below freezing) builds up through each threshold,
+  // reaching a level on the day it equals the threshold
+  for (const [days, expected] of [
+    [0, ""],
+    [1, "Light snow cover"],
+    [2, "Light snow cover"],
+    [3, "Deep snow"],
+    [14, "Deep snow"],
+  ]) {
+    const ground = groundAfter(Array(days).fill("Snow"));
+    check(
+      ground.snow === days * 10 && levelsOf(ground) === expected,
+      `${days} day(s) of snow gave ${JSON.stringify(ground)}`
+    );
+  }
+
+  // Only the lookback counts: older snow is forgotten
+  check(
+    levelsOf(groundAfter(Array(20).fill("Snow"), 2)) === "Light snow cover",
+    "Snow from before the lookback counted"
+  );
+
+  // Heavy rain (20 mm a day) muddies the roads at once and floods the fords
+  // on the third day; they stay flooded on a dry day while the mud dries
+  check(
+    levelsOf(groundAfter(["Heavy rain"])) === "Muddy roads",
+    "A day of heavy rain left the roads dry"
+  );
+  check(
+    levelsOf(groundAfter(["Heavy rain", "Heavy rain"])) === "Muddy roads",
+    "Two days of heavy rain flooded the fords"
+  );
+  const rain = groundAfter(["Heavy rain", "Heavy rain", "Heavy rain"]);
+  check(
+    levelsOf(rain) === "Muddy roads,Fords flooded",
+    `Three days of heavy rain gave ${JSON.stringify(rain)}`
+  );
+  const afterRain = groundAfter([
+    "Heavy rain",
+    "Heavy rain",
+    "Heavy rain",
+    "Clear skies",
+  ]);
+  check(
+    afterRain.river >= 40 && afterRain.mud < rain.mud,
+    `Dry day after the rain gave ${JSON.stringify(afterRain)}`
+  );
+  check(
+    levelsOf(groundAfter(["Heavy rain", "Clear skies"])) === "",
+    "Mud did not dry out below its threshold"
+  );
+
+  // A hot day melts the snow into mud and the rivers
+  const thaw = groundAfter(["Snow", "Snow", "Snow", "Hot and sunny"]);
+  check(
+    thaw.snow === 0 && thaw.mud === 30 && thaw.river === 30,
+    `Thaw gave ${JSON.stringify(thaw)}`
+  );
+  check(levelsOf(thaw) === "Muddy roads", `Thaw reached ${levelsOf(thaw)}`);
+
+  // From the sheet: the levels reach the region's weather and posts, and
+  // regions without rows have no ground state
+  const weather = parseWeatherRegions([
+    [
+      "Region",
+      "Spring",
+      "Summer",
+      "Autumn",
+      "Winter",
+      "",
+      "Condition",
+      "Mechanical Impact",
+    ],
+    ["Northern Eparchia", "Snow", "Snow", "Snow", "Snow"],
+    ["Southern Highlands", "Snow", "Snow", "Snow", "Snow"],
+  ]);
+  const { regions } = mergeConfiguration(
+    parseCommanderDatabase([
+      ["Webhook URL", "Weather Region"],
+      ["https://discord.com/api/webhooks/8001/ground", "Northern Eparchia"],
+      ["https://discord.com/api/webhooks/8002/ground", "Southern Highlands"],
+    ]),
+    weather.seasonalWeather,
+    weather.mechanicalImpacts,
+    {
+      regionSettings: weather.regionSettings,
+      campaignSettings: parseCampaignSettings([
+        ["Setting", "Value"],
+        ["Hemisphere", "Northern"],
+        ["Ground Lookback Days", "2"],
+      ]),
+      groundLevels: parseGroundStateTable([
+        ["Ground", "Level", "Threshold", "Impact", "Regions"],
+        ["Snow", "Light snow cover", "5", "", "Northern Eparchia"],
+        [
+          "Snow",
+          "Deep snow",
+          "30",
+          "March distance halved off roads",
+          "Northern Eparchia",
+        ],
+      ]),
+    }
+  );
+  const weatherIn = (regionName) =>
+    getWeatherForDate(DATE, regions[regionName].seasonalWeather, regionName, {
+      seasons: regions[regionName].seasons,
+      ground: regions[regionName].ground,
+    });
+  const snowy = weatherIn("Northern Eparchia");
+  check(
+    snowy.ground?.snow === 20 && levelsOf(snowy.ground) === "Light snow cover",
+    `Two-day lookback gave ${JSON.stringify(snowy.ground)}`
+  );
+  check(
+    formatGround({ ground: groundAfter(Array(3).fill("Snow")) }) ===
+      "🏞️ **Ground:** Deep snow\n⚠️ March distance halved off roads\n" &&
+      formatGround(snowy) === "🏞️ **Ground:** Light snow cover\n" &&
+      formatGround({ ground: null }) === "",
+    `Ground line "${formatGround(snowy)}"`
+  );
+  check(
+    weatherIn("Southern Highlands").ground === null,
+    "Region without Ground State rows got a ground state"
+  );
+
+  finish("Ground levels are reached and left at their thresholds");
+}
+
+if (require.main === module) {
+  testGround();
+}
@@ -0,0 +1,35 @@
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Collect the checks of one test script
+ * Failed checks are logged as they happen; finish() reports how many failed
+ * and exits with status 1 if any did, so npm test stops on them
+ * @param {string} suite - What the script checks, e.g. "ground state"
+ * @returns {{ check: function(boolean, string): void, fail: function(string): void, finish: function(string): void }}
+ */
+function createChecks(suite) {
+  let failures = 0;
+
+  const fail = (message) => {
+    failures++;
+    logger.error(`❌ ${message}`);
+  };
+
+  return {
+    check: (ok, message) => {
+      if (!ok) fail(message);
+    },
+    fail,
+    finish: (message) => {
+      if (failures > 0) {
+        logger.error(`💥 ${failures} ${suite} check(s) failed`);
+        process.exit(1);
+      }
+      logger.info(`✅ ${message}`);
+    },
+  };
+}
+
+module.exports = {
+  createChecks,
+};
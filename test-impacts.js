@@ -0,0 +1,167 @@
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  parseCampaignSettings,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const {
+  parseWeatherOverridesTable,
+} = require("./src/services/sheets/overridesSheet");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+// Snow every day, with an impact row at every scope. The most specific rows
+// come first, so the order of the rows can't be what picks them
+const SHEETS = {
+  "Commander Database": [
+    ["Webhook URL", "Weather Region"],
+    ["https://discord.com/api/webhooks/6001/impacts", "Northern Eparchia"],
+    ["https://discord.com/api/webhooks/6002/impacts", "Southern Highlands"],
+  ],
+  "Weather Regions": [
+    [
+      "Region",
+      "Spring",
+      "Summer",
+      "Autumn",
+      "Winter",
+      "",
+      "Condition",
+      "Mechanical Impact",
+      "Region",
+      "Season",
+    ],
+    [
+      "Northern Eparchia",
+      "Heavy snowfall",
+      "Heavy snowfall",
+      "Heavy snowfall",
+      "Heavy snowfall",
+      "",
+      "Heavy snowfall",
+      "Passes closed, avalanche risk",
+      "Southern Highlands",
+      "Spring",
+    ],
+    [
+      "Southern Highlands",
+      "Heavy snowfall",
+      "Heavy snowfall",
+      "Heavy snowfall",
+      "Heavy snowfall",
+      "",
+      "Heavy snowfall",
+      "Passes closed",
+      "Southern Highlands",
+      "",
+    ],
+    [
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "Heavy snowfall",
+      "Roads snowed under",
+      "",
+      "Autumn, Winter",
+    ],
+    [
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "Heavy snowfall",
+      "Difficult terrain outdoors",
+      "All",
+      "",
+    ],
+  ],
+  "Campaign Settings": [
+    ["Setting", "Value"],
+    ["Hemisphere", "Northern"],
+  ],
+  // Overrides without an Impact take the impact of their date's season
+  "Weather Overrides": [
+    ["Date", "Region", "Condition", "Impact"],
+    ["2026-04-20", "Southern Highlands", "Heavy snowfall", ""],
+    ["2026-10-20", "Northern Eparchia", "Heavy snowfall", ""],
+  ],
+};
+
+// Impact posted in each region on a day of each season
+const EXPECTED = [
+  [
+    "2026-04-15",
+    "Southern Highlands",
+    "Passes closed, avalanche risk",
+    "region and season",
+  ],
+  ["2026-07-15", "Southern Highlands", "Passes closed", "region"],
+  ["2026-10-15", "Southern Highlands", "Passes closed", "region over season"],
+  ["2026-10-15", "Northern Eparchia", "Roads snowed under", "season"],
+  ["2027-01-15", "Northern Eparchia", "Roads snowed under", "season"],
+  ["2026-04-15", "Northern Eparchia", "Difficult terrain outdoors", "global"],
+  ["2026-07-15", "Northern Eparchia", "Difficult terrain outdoors", "global"],
+  [
+    "2026-04-20",
+    "Southern Highlands",
+    "Passes closed, avalanche risk",
+    "override's region and season",
+  ],
+  [
+    "2026-10-20",
+    "Northern Eparchia",
+    "Roads snowed under",
+    "override's season",
+  ],
+];
+
+function testImpactScopes() {
+  logger.info("🧪 Testing region and season impact scopes...");
+  const { check, finish } = createChecks("impact scope");
+
+  const { seasonalWeather, mechanicalImpacts, scopedImpacts, regionSettings } =
+    parseWeatherRegions(SHEETS["Weather Regions"]);
+  const { regions } = mergeConfiguration(
+    parseCommanderDatabase(SHEETS["Commander Database"]),
+    seasonalWeather,
+    mechanicalImpacts,
+    {
+      scopedImpacts,
+      regionSettings,
+      campaignSettings: parseCampaignSettings(SHEETS["Campaign Settings"]),
+      overrides: parseWeatherOverridesTable(SHEETS["Weather Overrides"]),
+    }
+  );
+  for (const [isoDate, regionName, impact, scope] of EXPECTED) {
+    const region = regions[regionName];
+    const weather = getWeatherForDate(
+      parseIsoDate(isoDate),
+      region.seasonalWeather,
+      regionName,
+      { seasons: region.seasons, overrides: region.overrides }
+    );
+    check(
+      weather.impacts.length === 1 && weather.impacts[0] === impact,
+      `${regionName} on ${isoDate} (${
+        weather.season
+      }) should use the ${scope} row "${impact}", got ${JSON.stringify(
+        weather.impacts
+      )}`
+    );
+  }
+
+  finish(
+    "The most specific impact row wins: region and season, region, season, global"
+  );
+}
+
+if (require.main === module) {
+  testImpactScopes();
+}
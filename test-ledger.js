@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getRegionalWeeklyForecast,
+  getRegionalWeatherForDate,
+} = require("./src/services/weatherService");
+const { simulateRegion } = require("./src/services/simulationService");
+const { addDays, parseIsoDate } = require("./src/utils/dates");
+const { recordWeather, resetLedger } = require("./src/services/ledgerService");
+const { logger } = require("./src/utils/logger");
+const { mockRegionsConfig } = require("./test-webhook");
+const { createChecks } = require("./test-helpers");
+
+// GM edit: reorder every condition list and add a new condition at the front
+function editConditions(regionConfig) {
+  const seasonalWeather = {};
+  for (const [season, data] of Object.entries(regionConfig.seasonalWeather)) {
+    seasonalWeather[season] = {
+      ...data,
+      conditions: ["Freak hailstorm", ...[...data.conditions].reverse()],
+      weights: undefined,
+    };
+  }
+  return { ...regionConfig, seasonalWeather };
+}
+
+function testLedger() {
+  logger.info("🧪 Testing the weather ledger...");
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), "weather-ledger-"));
+  process.env.WEATHER_LEDGER_PATH = path.join(ledgerDir, "ledger.json");
+  resetLedger();
+
+  const { fail, finish } = createChecks("ledger");
+  try {
+    for (const [regionName, region] of Object.entries(mockRegionsConfig)) {
+      const regionConfig = { id: regionName, ...region };
+
+      // Post the week, then edit the sheet
+      const posted = getRegionalWeeklyForecast(regionConfig);
+      recordWeather(regionName, posted);
+      const edited = editConditions(regionConfig);
+
+      const after = getRegionalWeeklyForecast(edited);
+      posted.forEach((day, index) => {
+        if (JSON.stringify(after[index]) !== JSON.stringify(day)) {
+          fail(
+            `${regionName} ${day.isoDate}: published "${day.condition}", now "${after[index].condition}"`
+          );
+        }
+      });
+
+      // Reading the ledger back from disk gives the same weather
+      resetLedger();
+      const reloaded = getRegionalWeeklyForecast(edited);
+      if (JSON.stringify(reloaded) !== JSON.stringify(posted)) {
+        fail(`${regionName}: ledger file does not round-trip`);
+      }
+    }
+
+    // ledger: false (the simulation) gives what the sheet produces, for
+    // sub-regions rolling as their parent (and its posted weather) too
+    const [regionName, region] = Object.entries(mockRegionsConfig)[0];
+    const regionConfig = { id: regionName, ...region };
+    const subRegion = { ...regionConfig, id: "Test Peaks", parent: regionName };
+    const date = parseIsoDate("2026-01-10");
+    const generated = [regionConfig, subRegion].map(
+      (config) => getRegionalWeatherForDate(config, date).condition
+    );
+    for (let offset = -27; offset <= 0; offset++) {
+      recordWeather(regionName, {
+        ...getRegionalWeatherForDate(regionConfig, addDays(date, offset)),
+        condition: "Recorded squall",
+      });
+    }
+    [regionConfig, subRegion].forEach((config, index) => {
+      const sheet = getRegionalWeatherForDate(config, date, {
+        ledger: false,
+      }).condition;
+      const simulated = simulateRegion(config, date, date).seasons[0]
+        .conditions[0].name;
+      if (sheet !== generated[index] || simulated !== generated[index]) {
+        fail(
+          `${config.id}: sheet gives "${generated[index]}", without the ledger "${sheet}", simulated "${simulated}"`
+        );
+      }
+    });
+    if (
+      getRegionalWeatherForDate(regionConfig, date).condition !==
+      "Recorded squall"
+    ) {
+      fail(`${regionName}: recorded day not returned as posted`);
+    }
+
+    // An override can't rewrite a posted day: it is skipped with a warning,
+    // and still applies to days that weren't posted
+    const overridden = {
+      ...regionConfig,
+      overrides: {
+        "2026-01-10": { condition: "Thick fog", impacts: [] },
+        "2026-01-11": { condition: "Thick fog", impacts: [] },
+      },
+    };
+    const warnings = [];
+    const warn = logger.warn;
+    logger.warn = (message) => warnings.push(message);
+    let postedDay;
+    let laterDay;
+    try {
+      postedDay = getRegionalWeatherForDate(overridden, date).condition;
+      laterDay = getRegionalWeatherForDate(
+        overridden,
+        addDays(date, 1)
+      ).condition;
+    } finally {
+      logger.warn = warn;
+    }
+    if (
+      postedDay !== "Recorded squall" ||
+      laterDay !== "Thick fog" ||
+      warnings.length !== 1 ||
+      !warnings[0].includes("2026-01-10")
+    ) {
+      fail(
+        `Overrides gave "${postedDay}" on a posted day and "${laterDay}" after it, warning ${JSON.stringify(
+          warnings
+        )}`
+      );
+    }
+  } finally {
+    fs.rmSync(ledgerDir, { recursive: true, force: true });
+    delete process.env.WEATHER_LEDGER_PATH;
+    resetLedger();
+  }
+
+  finish("Published weather survives edits to the condition lists");
+}
+
+if (require.main === module) {
+  testLedger();
+}
@@ -0,0 +1,256 @@
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  parseCampaignSettings,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { addDays, parseIsoDate, toIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+const CONDITIONS = [
+  "Clear skies",
+  "Overcast",
+  "Light rain",
+  "Fog",
+  "Blustery winds",
+  "Drizzle",
+  "Storm front",
+];
+
+const allSeasons = (conditions) => {
+  const seasonData = { conditions };
+  return {
+    spring: seasonData,
+    summer: seasonData,
+    autumn: seasonData,
+    winter: seasonData,
+  };
+};
+
+const SEASONS = { hemisphere: "northern" };
+
+// A region sharing weather with one neighbor
+function regionWith(neighborConditions, influence) {
+  return {
+    id: "Test Region",
+    seasons: SEASONS,
+    seasonalWeather: allSeasons(CONDITIONS),
+    neighbors: {
+      influence,
+      regions: [
+        {
+          id: "Test Neighbor",
+          seasons: SEASONS,
+          seasonalWeather: allSeasons(neighborConditions),
+        },
+      ],
+    },
+  };
+}
+
+const START = parseIsoDate("2026-01-01");
+const DAYS = 120;
+const conditionOn = (regionConfig, date) =>
+  getWeatherForDate(date, regionConfig.seasonalWeather, regionConfig.id, {
+    seasons: regionConfig.seasons,
+    neighbors: regionConfig.neighbors,
+  }).condition;
+const conditionsOf = (regionConfig) =>
+  [...Array(DAYS).keys()].map((i) =>
+    conditionOn(regionConfig, addDays(START, i))
+  );
+
+function testNeighbors() {
+  logger.info("🧪 Testing neighbor influence...");
+  const { check, finish } = createChecks("neighbor influence");
+
+  const own = conditionsOf({ ...regionWith([], 0), neighbors: null });
+
+  // A neighbor stuck in a storm front: at 100% every day takes it, at 50%
+  // only storm fronts replace the region's own roll, on about half the days
+  check(
+    conditionsOf(regionWith(["Storm front"], 1)).every(
+      (condition) => condition === "Storm front"
+    ),
+    "Full influence did not take the neighbor's weather every day"
+  );
+  const half = conditionsOf(regionWith(["Storm front"], 0.5));
+  const taken = half.filter((condition, i) => condition !== own[i]);
+  check(
+    taken.every((condition) => condition === "Storm front") &&
+      taken.length > DAYS * 0.3 &&
+      taken.length < DAYS * 0.6,
+    `Half influence changed ${taken.length}/${DAYS} days: ${[
+      ...new Set(taken),
+    ]}`
+  );
+
+  // Conditions missing from the region's own list are never taken
+  check(
+    JSON.stringify(conditionsOf(regionWith(["Sandstorm"], 1))) ===
+      JSON.stringify(own),
+    "Region took a condition that is not in its own list"
+  );
+
+  // Fronts drift: each day takes the neighbor's roll from the same day or
+  // the day before
+  const neighbor = regionWith(CONDITIONS, 1).neighbors.regions[0];
+  const neighborDays = [...Array(DAYS + 1).keys()].map((i) =>
+    conditionOn(neighbor, addDays(START, i - 1))
+  );
+  let sameDay = 0;
+  let dayBefore = 0;
+  conditionsOf(regionWith(CONDITIONS, 1)).forEach((condition, i) => {
+    const today = neighborDays[i + 1];
+    const yesterday = neighborDays[i];
+    if (condition === today) sameDay++;
+    if (condition === yesterday) dayBefore++;
+    check(
+      condition === today || condition === yesterday,
+      `${i}: "${condition}" is neither the neighbor's "${today}" nor "${yesterday}"`
+    );
+  });
+  check(
+    sameDay > DAYS * 0.3 && dayBefore > DAYS * 0.3,
+    `Drift took ${sameDay} same-day and ${dayBefore} day-before conditions`
+  );
+
+  // The neighbor's condition is the one its own posts show: what it already
+  // posted, then its overrides, before its roll
+  const everyDay = (value) =>
+    Object.fromEntries(
+      [...Array(DAYS + 1).keys()].map((i) => [
+        toIsoDate(addDays(START, i - 1)),
+        value,
+      ])
+    );
+  const withNeighbor = (settings) => {
+    const region = regionWith(CONDITIONS, 1);
+    Object.assign(region.neighbors.regions[0], settings);
+    return region;
+  };
+  check(
+    conditionsOf(
+      withNeighbor({
+        ledger: everyDay({ condition: "Drizzle" }),
+        overrides: everyDay({ condition: "Fog", impacts: [] }),
+      })
+    ).every((condition) => condition === "Drizzle"),
+    "Region did not take the weather its neighbor posted"
+  );
+  check(
+    conditionsOf(
+      withNeighbor({ overrides: everyDay({ condition: "Fog", impacts: [] }) })
+    ).every((condition) => condition === "Fog"),
+    "Region did not take its neighbor's overridden weather"
+  );
+
+  // From the sheet: listing a neighbor on one side links both, sub-regions
+  // are linked through their parent, unknown and self neighbors are
+  // reported, and a 0 influence turns sharing off
+  const buildRegions = (campaignSettings) => {
+    const warnings = [];
+    const weather = parseWeatherRegions(
+      [
+        [
+          "Region",
+          "Spring",
+          "Summer",
+          "Autumn",
+          "Winter",
+          "Neighbors",
+          "Parent",
+          "",
+          "Condition",
+          "Mechanical Impact",
+        ],
+        ["Northern Eparchia", "Rain", "Sun", "Fog", "Snow"],
+        [
+          "Southern Highlands",
+          "Mist",
+          "Sun",
+          "Frost",
+          "Snow",
+          "Northern Eparchia, Southern Highlands, Eastern Marches",
+        ],
+        ["Eparchian Peaks", "", "", "", "", "", "Northern Eparchia"],
+        ["Western Vales", "Rain", "Sun", "Fog", "Snow", "Eparchian Peaks"],
+      ],
+      warnings
+    );
+    const { regions } = mergeConfiguration(
+      parseCommanderDatabase([
+        ["Webhook URL", "Weather Region"],
+        [
+          "https://discord.com/api/webhooks/9001/neighbors",
+          "Northern Eparchia",
+        ],
+        [
+          "https://discord.com/api/webhooks/9002/neighbors",
+          "Southern Highlands",
+        ],
+        ["https://discord.com/api/webhooks/9003/neighbors", "Eparchian Peaks"],
+        ["https://discord.com/api/webhooks/9004/neighbors", "Western Vales"],
+      ]),
+      weather.seasonalWeather,
+      weather.mechanicalImpacts,
+      {
+        regionSettings: weather.regionSettings,
+        campaignSettings: parseCampaignSettings([
+          ["Setting", "Value"],
+          ...campaignSettings,
+        ]),
+        warnings,
+      }
+    );
+    return { regions, warnings };
+  };
+
+  const { regions, warnings } = buildRegions([]);
+  const neighborIds = (regionName) =>
+    regions[regionName]?.neighbors?.regions.map((region) => region.id);
+  check(
+    JSON.stringify(neighborIds("Southern Highlands")) ===
+      JSON.stringify(["Northern Eparchia"]) &&
+      regions["Southern Highlands"].neighbors.influence === 0.35,
+    `Southern Highlands neighbors ${JSON.stringify(
+      regions["Southern Highlands"]?.neighbors
+    )}`
+  );
+  check(
+    JSON.stringify(neighborIds("Northern Eparchia")) ===
+      JSON.stringify(["Southern Highlands", "Western Vales"]),
+    "Neighbor listed on one side only was not linked both ways"
+  );
+  check(
+    JSON.stringify(neighborIds("Western Vales")) ===
+      JSON.stringify(["Northern Eparchia"]) &&
+      JSON.stringify(neighborIds("Eparchian Peaks")) ===
+        JSON.stringify(neighborIds("Northern Eparchia")),
+    `Sub-region neighbors: Western Vales ${neighborIds(
+      "Western Vales"
+    )}, Eparchian Peaks ${neighborIds("Eparchian Peaks")}`
+  );
+  check(
+    warnings.some((warning) => warning.code === "self-neighbor") &&
+      warnings.some(
+        (warning) =>
+          warning.code === "unknown-region" &&
+          warning.message.includes("Eastern Marches")
+      ),
+    `Neighbor warnings ${JSON.stringify(warnings)}`
+  );
+  const off = buildRegions([["Neighbor Influence", "0"]]).regions;
+  check(
+    !off["Southern Highlands"].neighbors,
+    "Neighbor Influence 0 did not turn sharing off"
+  );
+
+  finish("Neighboring regions share their weather");
+}
+
+if (require.main === module) {
+  testNeighbors();
+}
@@ -0,0 +1,178 @@
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const {
+  buildDailyWeatherMessage,
+  formatOperations,
+} = require("./src/utils/messageFormatter");
+const { createChecks } = require("./test-helpers");
+
+const REGIONS = {
+  "Northern Eparchia": "Heavy snowfall",
+  "Southern Highlands": "Heavy snowfall",
+  "Eparchian Coast": "Thunderstorms",
+  "Misty Vale": "Fog",
+};
+
+// One condition per region, every season, with the modifiers beside it
+function parseSheets(impactRows) {
+  const regionRows = Object.entries(REGIONS).map(([name, condition]) => [
+    name,
+    condition,
+    condition,
+    condition,
+    condition,
+  ]);
+  const rows = Math.max(regionRows.length, impactRows.length);
+  const weather = parseWeatherRegions([
+    [
+      "Region",
+      "Spring",
+      "Summer",
+      "Autumn",
+      "Winter",
+      "",
+      "Condition",
+      "Mechanical Impact",
+      "Region",
+      "March",
+      "Forage",
+      "Scouting Range",
+      "River Crossing",
+    ],
+    ...[...Array(rows).keys()].map((i) => [
+      ...(regionRows[i] || ["", "", "", "", ""]),
+      "",
+      ...(impactRows[i] || []),
+    ]),
+  ]);
+  return mergeConfiguration(
+    parseCommanderDatabase([
+      ["Webhook URL", "Weather Region"],
+      ...Object.keys(REGIONS).map((name, index) => [
+        `https://discord.com/api/webhooks/${7001 + index}/operations`,
+        name,
+      ]),
+    ]),
+    weather.seasonalWeather,
+    weather.mechanicalImpacts,
+    {
+      mechanicalOperations: weather.mechanicalOperations,
+      scopedImpacts: weather.scopedImpacts,
+      regionSettings: weather.regionSettings,
+    }
+  );
+}
+
+const IMPACT_ROWS = [
+  ["Heavy snowfall", "Difficult terrain outdoors", "", "0.5", "25%", "1", "No"],
+  ["Thunderstorms", "Disadvantage on Perception", "", "x0.75", "", "", "No"],
+  ["Heavy snowfall", "Passes closed", "Southern Highlands", "×0.25"],
+  ["Fog", "", "", "", "", "2", ""],
+];
+
+function testOperations() {
+  logger.info("🧪 Testing operations modifiers...");
+  const { check, finish } = createChecks("operations");
+
+  const { regions } = parseSheets(IMPACT_ROWS);
+  const date = parseIsoDate("2026-10-19");
+  const weatherIn = (regionName) =>
+    getWeatherForDate(date, regions[regionName].seasonalWeather, regionName, {
+      seasons: regions[regionName].seasons,
+    });
+
+  // Every multiplier spelling, ranges and river crossings
+  const snow = weatherIn("Northern Eparchia");
+  check(
+    JSON.stringify(snow.operations) ===
+      JSON.stringify({
+        marchMultiplier: 0.5,
+        forageMultiplier: 0.25,
+        scoutingRange: 1,
+        riverCrossing: false,
+      }),
+    `Heavy snowfall operations ${JSON.stringify(snow.operations)}`
+  );
+  const storm = weatherIn("Eparchian Coast");
+  check(
+    storm.operations?.marchMultiplier === 0.75 &&
+      storm.operations.forageMultiplier === null &&
+      storm.operations.riverCrossing === false,
+    `Thunderstorms operations ${JSON.stringify(storm.operations)}`
+  );
+
+  // A scoped row replaces the global row's modifiers as a whole
+  const passes = weatherIn("Southern Highlands");
+  check(
+    passes.impacts[0] === "Passes closed" &&
+      JSON.stringify(passes.operations) ===
+        JSON.stringify({
+          marchMultiplier: 0.25,
+          forageMultiplier: null,
+          scoutingRange: null,
+          riverCrossing: null,
+        }),
+    `Scoped row gave ${JSON.stringify(passes)}`
+  );
+
+  // Modifiers without impact text
+  const fog = weatherIn("Misty Vale");
+  check(
+    fog.impacts.length === 0 && fog.operations?.scoutingRange === 2,
+    `Fog gave ${JSON.stringify(fog)}`
+  );
+
+  // Posts show the set modifiers on one line, unless impacts are turned off
+  check(
+    formatOperations(snow) ===
+      "🧭 **Operations:** March ×0.5 · Forage ×0.25 · Scouting range 1 · River crossing: No\n",
+    `Operations line "${formatOperations(snow)}"`
+  );
+  check(
+    formatOperations(fog, false) === "🧭 Operations: Scouting range 2\n" &&
+      formatOperations({ operations: null }) === "",
+    `Operations line "${formatOperations(fog, false)}"`
+  );
+  const region = { name: "Northern Eparchia" };
+  check(
+    buildDailyWeatherMessage(region, snow).includes(
+      "🧭 **Operations:** March ×0.5"
+    ) &&
+      !buildDailyWeatherMessage(region, snow, { impacts: false }).includes(
+        "🧭"
+      ),
+    "Daily post operations line missing, or shown with Impacts off"
+  );
+
+  // Bad cells name their cell
+  for (const [column, value] of [
+    [3, "fast"],
+    [5, "far"],
+    [6, "Maybe"],
+  ]) {
+    const rows = IMPACT_ROWS.map((row) => [...row]);
+    rows[0][column] = value;
+    let message = "";
+    try {
+      parseSheets(rows);
+    } catch (error) {
+      message = error.message;
+    }
+    check(
+      message.includes(value) && message.includes("cell"),
+      `"${value}" gave "${message}"`
+    );
+  }
+
+  finish("Operations modifiers parse, scope and post");
+}
+
+if (require.main === module) {
+  testOperations();
+}
@@ -0,0 +1,140 @@
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const {
+  parseWeatherOverridesTable,
+} = require("./src/services/sheets/overridesSheet");
+const {
+  parseWeatherEventsTable,
+} = require("./src/services/sheets/eventsSheet");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+const COMMANDER_DATABASE = [
+  ["Webhook URL", "Weather Region"],
+  ["https://discord.com/api/webhooks/4001/overrides", "Northern Eparchia"],
+  ["https://discord.com/api/webhooks/4002/overrides", "Southern Highlands"],
+];
+
+const WEATHER_REGIONS = [
+  [
+    "Region",
+    "Spring",
+    "Summer",
+    "Autumn",
+    "Winter",
+    "",
+    "Condition",
+    "Mechanical Impact",
+  ],
+  [
+    "Northern Eparchia",
+    "Rain",
+    "Sun",
+    "Fog",
+    "Snow",
+    "",
+    "Thick fog",
+    "Ambushes cannot be spotted early",
+  ],
+  ["Southern Highlands", "Mist", "Sun", "Frost", "Snow"],
+];
+
+// An event running every day, so overrides have something to beat
+const WEATHER_EVENTS = [
+  ["Event", "Condition", "Duration", "Frequency"],
+  ["Endless Storm", "Raging thunderstorm", "3", "1"],
+];
+
+const WEATHER_OVERRIDES = [
+  ["Date", "Region", "Condition", "Impact"],
+  ["2026-10-03", "Northern Eparchia", "Thick fog", ""],
+  ["2026-12-25", "All", "Light snow", "Snowball fights"],
+  ["2026-12-25", "Southern Highlands", "Clear night", ""],
+  ["2026-12-31", "Northern Eparchia, Eastern Marches", "Fireworks", ""],
+];
+
+function testOverrides() {
+  logger.info("🧪 Testing weather overrides...");
+  const { check, finish } = createChecks("weather override");
+
+  const warnings = [];
+  const weather = parseWeatherRegions(WEATHER_REGIONS, warnings);
+  const { regions } = mergeConfiguration(
+    parseCommanderDatabase(COMMANDER_DATABASE),
+    weather.seasonalWeather,
+    weather.mechanicalImpacts,
+    {
+      events: parseWeatherEventsTable(WEATHER_EVENTS),
+      overrides: parseWeatherOverridesTable(WEATHER_OVERRIDES),
+      regionSettings: weather.regionSettings,
+      warnings,
+    }
+  );
+  const weatherOn = (regionName, isoDate) => {
+    const region = regions[regionName];
+    return getWeatherForDate(
+      parseIsoDate(isoDate),
+      region.seasonalWeather,
+      regionName,
+      {
+        seasons: region.seasons,
+        events: region.events,
+        overrides: region.overrides,
+      }
+    );
+  };
+
+  // Overrides win over the running event, with the sheet's impact when they
+  // have none of their own
+  const fog = weatherOn("Northern Eparchia", "2026-10-03");
+  check(
+    fog.condition === "Thick fog" &&
+      fog.event === null &&
+      fog.impacts[0] === "Ambushes cannot be spotted early",
+    `Override lost to the event: ${JSON.stringify(fog)}`
+  );
+  check(
+    weatherOn("Northern Eparchia", "2026-10-04").condition ===
+      "Raging thunderstorm",
+    "Override leaked into the next day"
+  );
+
+  // A row naming the region wins over an "All" row for the same date
+  const christmas = weatherOn("Northern Eparchia", "2026-12-25");
+  check(
+    christmas.condition === "Light snow" &&
+      christmas.impacts[0] === "Snowball fights",
+    `"All" override gave ${JSON.stringify(christmas)}`
+  );
+  check(
+    weatherOn("Southern Highlands", "2026-12-25").condition === "Clear night",
+    "Region row did not win over the All row"
+  );
+
+  // Unknown regions are ignored with a warning naming them
+  check(
+    weatherOn("Northern Eparchia", "2026-12-31").condition === "Fireworks",
+    "Override for a known region dropped next to an unknown one"
+  );
+  const unknown = warnings.filter(
+    (warning) =>
+      warning.code === "unknown-region" && warning.sheet === "Weather Overrides"
+  );
+  check(
+    unknown.length === 1 &&
+      unknown[0].region === "Eastern Marches" &&
+      unknown[0].message.includes("2026-12-31"),
+    `Unknown region warnings: ${JSON.stringify(warnings)}`
+  );
+
+  finish("Weather overrides win, and unknown regions are reported");
+}
+
+if (require.main === module) {
+  testOverrides();
+}
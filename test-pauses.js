@@ -0,0 +1,169 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { google } = require("googleapis");
+const {
+  loadConfiguration,
+  resetConfiguration,
+} = require("./src/config/config");
+const { addDays, toIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { sendAllRegionalWebhooks } = require("./webhook");
+const { sendAllRegionalAdvanceForecasts } = require("./advance-webhook");
+const { sendAllRegionalWeeklyForecasts } = require("./weekly-webhook");
+const { createChecks } = require("./test-helpers");
+
+const WEBHOOK = "https://discord.com/api/webhooks";
+
+const SHEETS = {
+  "Commander Database": [
+    ["Webhook URL", "Weather Region"],
+    [`${WEBHOOK}/5001/north`, "Northern Eparchia"],
+    [`${WEBHOOK}/5002/south`, "Southern Highlands"],
+  ],
+  "Weather Regions": [
+    [
+      "Region",
+      "Spring",
+      "Summer",
+      "Autumn",
+      "Winter",
+      "",
+      "Condition",
+      "Mechanical Impact",
+    ],
+    ["Northern Eparchia", "Rain", "Sun", "Fog", "Snow"],
+    ["Southern Highlands", "Mist", "Sun", "Frost", "Snow"],
+  ],
+};
+
+const GM_WEBHOOK = `${WEBHOOK}/5100/gm`;
+const WEEKLY_WEBHOOK = `${WEBHOOK}/5200/weekly`;
+
+// A Sheets API client serving the given sheets; others are missing
+function createMockSheets(sheets) {
+  return {
+    spreadsheets: {
+      values: {
+        get: async ({ range }) => {
+          const values = sheets[range.split("!")[0]];
+          if (!values) {
+            throw new Error(`Unable to parse range: ${range}`);
+          }
+          return { data: { values } };
+        },
+      },
+    },
+  };
+}
+
+async function testPauses() {
+  logger.info("🧪 Testing posting pauses...");
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "weather-pauses-"));
+  const ledgerPath = path.join(workDir, "ledger.json");
+  const today = toIsoDate(new Date());
+  const tomorrow = toIsoDate(addDays(new Date(), 1));
+  const dayAfter = toIsoDate(addDays(new Date(), 2));
+
+  // Sheets with a pause; reloads the configuration
+  const { GoogleAuth } = google.auth;
+  const { sheets } = google;
+  google.auth.GoogleAuth = function MockAuth() {};
+  const loadPauses = async (pauseRows) => {
+    google.sheets = () =>
+      createMockSheets({
+        ...SHEETS,
+        "Posting Pauses": [["Start", "End", "Region", "Reason"], ...pauseRows],
+      });
+    resetConfiguration();
+    await loadConfiguration();
+  };
+  process.env.GOOGLE_SERVICE_ACCOUNT_KEY = JSON.stringify({});
+  process.env.GOOGLE_SHEET_LINK =
+    "https://docs.google.com/spreadsheets/d/posting-pauses-test/edit";
+  process.env.WEATHER_LEDGER_PATH = ledgerPath;
+  process.env.ADVANCE_WEBHOOK_URLS = GM_WEBHOOK;
+  process.env.WEEKLY_FORECAST_WEBHOOK_URL = WEEKLY_WEBHOOK;
+
+  // Capture the posts instead of sending them
+  const posts = [];
+  const post = axios.post;
+  axios.post = async (url, body) => {
+    posts.push({ url, content: body.content });
+    return { status: 204 };
+  };
+  const postsTo = (id) => posts.filter((p) => p.url.includes(`/${id}/`));
+
+  const { check, finish } = createChecks("posting pause");
+
+  try {
+    // Northern Eparchia is paused today and tomorrow
+    await loadPauses([[today, tomorrow, "Northern Eparchia", "Winter break"]]);
+
+    await sendAllRegionalWebhooks();
+    check(
+      postsTo(5001).length === 0 && postsTo(5002).length === 1,
+      `Daily posts during the pause: ${JSON.stringify(posts)}`
+    );
+
+    posts.length = 0;
+    await sendAllRegionalAdvanceForecasts();
+    const [gmPost] = postsTo(5100);
+    check(
+      gmPost &&
+        gmPost.content.includes("Southern Highlands") &&
+        !gmPost.content.includes("Northern Eparchia"),
+      `GM advance post during the pause:\n${gmPost?.content}`
+    );
+
+    // Weekly posts mark the paused days instead of forecasting them, and
+    // the ledger only freezes the days that were forecast
+    posts.length = 0;
+    await sendAllRegionalWeeklyForecasts();
+    const weekly = postsTo(5200)
+      .map((p) => p.content)
+      .join("");
+    check(
+      weekly.split("⏸️ Posting paused - Winter break").length === 3,
+      `Weekly post during the pause:\n${weekly}`
+    );
+    const ledger = JSON.parse(fs.readFileSync(ledgerPath, "utf8"));
+    const north = ledger["Northern Eparchia"] || {};
+    check(
+      !north[today] && !north[tomorrow] && north[dayAfter],
+      `Ledger for the paused region has ${Object.keys(north).join(", ")}`
+    );
+    check(
+      ledger["Southern Highlands"]?.[today],
+      "Ledger missing the unpaused region"
+    );
+
+    // A pause without an end or region stops every post
+    await loadPauses([[today, "", "All", ""]]);
+    posts.length = 0;
+    await sendAllRegionalWebhooks();
+    await sendAllRegionalAdvanceForecasts();
+    check(
+      posts.length === 0,
+      `Posts while the campaign is paused: ${JSON.stringify(posts)}`
+    );
+  } finally {
+    axios.post = post;
+    google.auth.GoogleAuth = GoogleAuth;
+    google.sheets = sheets;
+    fs.rmSync(workDir, { recursive: true, force: true });
+    delete process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+    delete process.env.GOOGLE_SHEET_LINK;
+    delete process.env.WEATHER_LEDGER_PATH;
+    delete process.env.ADVANCE_WEBHOOK_URLS;
+    delete process.env.WEEKLY_FORECAST_WEBHOOK_URL;
+    resetConfiguration();
+  }
+
+  finish("Paused days get no daily or advance posts and are marked weekly");
+}
+
+if (require.main === module) {
+  testPauses();
+}
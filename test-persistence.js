@@ -0,0 +1,115 @@
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+// Must match PERSISTENCE_RESET_DAYS in weatherService
+const RESET_DAYS = 28;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const dayNumber = (date) => Math.floor(date.getTime() / MS_PER_DAY);
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+const CONDITIONS = [
+  "Clear skies",
+  "Overcast",
+  "Light rain",
+  "Heavy rain",
+  "Fog",
+  "Blustery winds",
+  "Drizzle",
+  "Thunderstorms",
+];
+
+// The same conditions every season, with a persistence chance
+function seasonalWeather(persistence) {
+  const seasonData = {
+    conditions: CONDITIONS,
+    ...(persistence > 0 && { persistence }),
+  };
+  return {
+    spring: seasonData,
+    summer: seasonData,
+    autumn: seasonData,
+    winter: seasonData,
+  };
+}
+
+// One condition per day of a year
+function conditionsFor(persistence, seed, order = (days) => days) {
+  const start = new Date(Date.UTC(2026, 0, 1));
+  const days = order([...Array(365).keys()].map((i) => addDays(start, i)));
+  const conditions = {};
+  for (const date of days) {
+    const weather = getWeatherForDate(
+      date,
+      seasonalWeather(persistence),
+      "Test Region",
+      { seed }
+    );
+    conditions[date.toISOString().slice(0, 10)] = {
+      condition: weather.condition,
+      season: weather.season,
+      date,
+    };
+  }
+  return conditions;
+}
+
+function testPersistence() {
+  logger.info("🧪 Testing weather persistence...");
+  const { check, finish } = createChecks("persistence");
+
+  // Reruns give the same weather, in any order, under both seed versions
+  for (const seed of [undefined, { version: 2, campaignSeed: "eparchia-1" }]) {
+    const label = seed ? "v2" : "v1";
+    const first = conditionsFor(0.7, seed);
+    const rerun = conditionsFor(0.7, seed, (days) => days.reverse());
+    check(
+      JSON.stringify(first) ===
+        JSON.stringify(
+          Object.fromEntries(Object.keys(first).map((d) => [d, rerun[d]]))
+        ),
+      `${label}: rerunning the year gives different weather`
+    );
+  }
+
+  // Weather that always persists only changes on reset days and at season
+  // changes, and those days roll the same as without persistence
+  const persistent = conditionsFor(1);
+  const fresh = conditionsFor(0);
+  let resets = 0;
+  let seasonStarts = 0;
+  const days = Object.entries(persistent);
+  for (let i = 1; i < days.length; i++) {
+    const [isoDate, day] = days[i];
+    const before = days[i - 1][1];
+
+    const isReset = dayNumber(day.date) % RESET_DAYS === 0;
+    const isSeasonStart = before.season !== day.season;
+    if (isReset || isSeasonStart) {
+      if (isReset) resets++;
+      if (isSeasonStart) seasonStarts++;
+      check(
+        day.condition === fresh[isoDate].condition,
+        `${isoDate}: streak carried over a ${
+          isReset ? "reset day" : "season change"
+        } ("${day.condition}", fresh roll "${fresh[isoDate].condition}")`
+      );
+    } else {
+      check(
+        day.condition === before.condition,
+        `${isoDate}: persistent weather changed from "${before.condition}" to "${day.condition}"`
+      );
+    }
+  }
+  check(
+    resets >= 12 && seasonStarts === 4,
+    `Year covered ${resets} reset days and ${seasonStarts} season changes`
+  );
+
+  finish("Weather streaks are stable and end at resets and seasons");
+}
+
+if (require.main === module) {
+  testPersistence();
+}
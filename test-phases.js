@@ -0,0 +1,87 @@
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { buildDailyWeatherMessage } = require("./src/utils/messageFormatter");
+const { createChecks } = require("./test-helpers");
+
+const SEASON = {
+  conditions: ["Clear skies", "Overcast", "Light rain", "Thick fog"],
+  mechanicalImpacts: { "Thick fog": ["Scouting range halved"] },
+};
+
+const SEASONAL_WEATHER = {
+  spring: SEASON,
+  summer: SEASON,
+  autumn: SEASON,
+  winter: SEASON,
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Weather of the test region on a day, with or without day phases
+const weatherOn = (date, options = { dayPhases: true }) =>
+  getWeatherForDate(date, SEASONAL_WEATHER, "Test Region", options);
+
+function testPhases() {
+  logger.info("🧪 Testing day phases...");
+  const { check, finish } = createChecks("day phase");
+
+  // Morning is the day's condition; later phases come from the season's
+  // list and carry their own impacts
+  const start = new Date(Date.UTC(2026, 2, 1));
+  let changes = 0;
+  for (let i = 0; i < 60; i++) {
+    const weather = weatherOn(new Date(start.getTime() + i * MS_PER_DAY));
+    const { phases } = weather;
+    check(
+      phases.map((p) => p.phase).join() === "morning,afternoon,night" &&
+        phases[0].condition === weather.condition,
+      `${weather.date}: phases ${JSON.stringify(phases)}`
+    );
+    for (const phase of phases) {
+      check(
+        SEASON.conditions.includes(phase.condition) &&
+          JSON.stringify(phase.impacts) ===
+            JSON.stringify(SEASON.mechanicalImpacts[phase.condition] || []),
+        `${weather.date} ${phase.phase}: ${JSON.stringify(phase)}`
+      );
+    }
+    if (new Set(phases.map((p) => p.condition)).size > 1) changes++;
+  }
+  check(changes > 0, "Weather never changed during a day in two months");
+
+  // Forced weather holds all day
+  const date = new Date(Date.UTC(2026, 2, 10));
+  const forced = weatherOn(date, {
+    dayPhases: true,
+    overrides: {
+      "2026-03-10": { condition: "Ashfall", impacts: ["No foraging"] },
+    },
+  });
+  check(
+    forced.phases.every(
+      (phase) =>
+        phase.condition === "Ashfall" && phase.impacts[0] === "No foraging"
+    ),
+    `Override did not hold all day: ${JSON.stringify(forced.phases)}`
+  );
+
+  // Posts get a line per phase; regions without phases get none
+  const message = buildDailyWeatherMessage(
+    { name: "Test Region" },
+    weatherOn(date)
+  );
+  check(
+    ["Morning", "Afternoon", "Night"].every((label) => message.includes(label)),
+    `Daily post missing phase lines:\n${message}`
+  );
+  check(
+    weatherOn(date, {}).phases === null,
+    "Region without day phases got phases"
+  );
+
+  finish("Day phases start from the day's weather");
+}
+
+if (require.main === module) {
+  testPhases();
+}
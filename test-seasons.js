@@ -0,0 +1,192 @@
+const {
+  parseCommanderDatabase,
+  parseWeatherRegions,
+  parseCampaignSettings,
+  mergeConfiguration,
+} = require("./src/services/googleSheetsService");
+const { toGameDate } = require("./src/services/calendarService");
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+// One region per hemisphere, with the season in the condition
+function parseSheets(campaignSettings) {
+  const { seasonalWeather, mechanicalImpacts, regionSettings } =
+    parseWeatherRegions([
+      [
+        "Region",
+        "Spring",
+        "Summer",
+        "Autumn",
+        "Winter",
+        "Hemisphere",
+        "",
+        "Condition",
+        "Mechanical Impact",
+      ],
+      [
+        "Northern March",
+        "Spring day",
+        "Summer day",
+        "Autumn day",
+        "Winter day",
+      ],
+      [
+        "Southern Reach",
+        "Spring day",
+        "Summer day",
+        "Autumn day",
+        "Winter day",
+        "Southern",
+      ],
+    ]);
+  return mergeConfiguration(
+    parseCommanderDatabase([
+      ["Webhook URL", "Weather Region"],
+      ["https://discord.com/api/webhooks/3001/seasons", "Northern March"],
+      ["https://discord.com/api/webhooks/3002/seasons", "Southern Reach"],
+    ]),
+    seasonalWeather,
+    mechanicalImpacts,
+    {
+      regionSettings,
+      campaignSettings: parseCampaignSettings([
+        ["Setting", "Value"],
+        ...campaignSettings,
+      ]),
+    }
+  );
+}
+
+// Season of each region on each date: [date, northern, southern]
+function checkSeasons(config, expectations, label, check) {
+  for (const [isoDate, northern, southern] of expectations) {
+    for (const [regionName, expected] of [
+      ["Northern March", northern],
+      ["Southern Reach", southern],
+    ]) {
+      const region = config.regions[regionName];
+      const { season } = getWeatherForDate(
+        new Date(`${isoDate}T00:00:00Z`),
+        region.seasonalWeather,
+        regionName,
+        { seasons: region.seasons, calendar: region.calendar }
+      );
+      check(
+        season === expected,
+        `${label}: ${regionName} on ${isoDate} is ${season}, expected ${expected}`
+      );
+    }
+  }
+}
+
+function testSeasons() {
+  logger.info("🧪 Testing season boundaries...");
+  const { check, finish } = createChecks("season");
+
+  // Configured starts: the day before each boundary and the day of it, with
+  // the other hemisphere six months out
+  const configured = parseSheets([
+    ["Hemisphere", "Northern"],
+    ["Spring Start", "03-20"],
+    ["Summer Start", "06-21"],
+    ["Autumn Start", "09-22"],
+    ["Winter Start", "12-21"],
+  ]);
+  checkSeasons(
+    configured,
+    [
+      ["2026-03-19", "winter", "summer"],
+      ["2026-03-20", "spring", "autumn"],
+      ["2026-06-20", "spring", "autumn"],
+      ["2026-06-21", "summer", "winter"],
+      ["2026-09-21", "summer", "winter"],
+      ["2026-09-22", "autumn", "spring"],
+      ["2026-12-20", "autumn", "spring"],
+      ["2026-12-21", "winter", "summer"],
+      ["2026-01-01", "winter", "summer"],
+    ],
+    "Configured starts",
+    check
+  );
+
+  // Default starts: three-month blocks from the 1st of March
+  const defaults = parseSheets([["Hemisphere", "Northern"]]);
+  checkSeasons(
+    defaults,
+    [
+      ["2026-02-28", "winter", "summer"],
+      ["2026-03-01", "spring", "autumn"],
+      ["2026-05-31", "spring", "autumn"],
+      ["2026-06-01", "summer", "winter"],
+      ["2026-08-31", "summer", "winter"],
+      ["2026-09-01", "autumn", "spring"],
+      ["2026-11-30", "autumn", "spring"],
+      ["2026-12-01", "winter", "summer"],
+    ],
+    "Default starts",
+    check
+  );
+
+  // Campaign calendar: seasons follow the in-game date, and the season
+  // running at the end of the in-game year carries on into the next one
+  const calendarSettings = [
+    ["Hemisphere", "Northern"],
+    ["Calendar Start (Real)", "2026-01-01"],
+    ["Calendar Start (In-Game)", "1203-4-9"],
+    ["Month Names", "Frostmonth:10, Thawmonth:10, Sunmonth:10, Leafmonth:10"],
+    ["Spring Start", "02-01"],
+    ["Summer Start", "03-01"],
+    ["Autumn Start", "04-01"],
+    ["Winter Start", "04-06"],
+  ];
+  const calendar = parseSheets(calendarSettings);
+  checkSeasons(
+    calendar,
+    [
+      ["2026-01-02", "winter", "summer"],
+      ["2026-01-03", "winter", "summer"],
+      ["2026-01-12", "winter", "summer"],
+      ["2026-01-13", "spring", "autumn"],
+    ],
+    "Calendar",
+    check
+  );
+  const gameCalendar = calendar.regions["Northern March"].calendar;
+  for (const [isoDate, expected] of [
+    ["2026-01-02", "Leafmonth 10, 1203"],
+    ["2026-01-03", "Frostmonth 1, 1204"],
+  ]) {
+    const gameDate = toGameDate(new Date(`${isoDate}T00:00:00Z`), gameCalendar);
+    check(
+      gameDate.formatted === expected,
+      `${isoDate} is ${gameDate.formatted}, expected ${expected}`
+    );
+  }
+
+  // Two in-game days per real day skip over the last day of the year
+  const fast = parseSheets([...calendarSettings, ["Time Scale", "2"]]);
+  const fastCalendar = fast.regions["Northern March"].calendar;
+  const rollover = toGameDate(new Date("2026-01-02T00:00:00Z"), fastCalendar);
+  check(
+    rollover.year === 1204 && rollover.month === 1 && rollover.day === 1,
+    `Fast calendar reached ${rollover.formatted} on 2026-01-02`
+  );
+  checkSeasons(
+    fast,
+    [
+      ["2026-01-02", "winter", "summer"],
+      ["2026-01-07", "spring", "autumn"],
+    ],
+    "Fast calendar",
+    check
+  );
+
+  finish(
+    "Seasons change on their start days, in both hemispheres and calendars"
+  );
+}
+
+if (require.main === module) {
+  testSeasons();
+}
@@ -0,0 +1,83 @@
+const { getWeatherForDate } = require("./src/services/weatherService");
+const { logger } = require("./src/utils/logger");
+const { mockRegionsConfig } = require("./test-webhook");
+const { createChecks } = require("./test-helpers");
+
+// Conditions picked by the original (v1) seeding scheme before persistence,
+// weights and the other options existed. Campaigns without a "Campaign Seed"
+// or with "Seed Version" 1 must keep producing exactly this weather.
+const V1_FIXTURES = [
+  ["2024-01-15", "Northern Eparchia", "Clear skies"],
+  ["2024-01-15", "Southern Highlands", "Alpine summer"],
+  ["2024-04-02", "Northern Eparchia", "Overcast skies"],
+  ["2024-04-02", "Southern Highlands", "Clear days"],
+  ["2024-07-20", "Northern Eparchia", "Light snow"],
+  ["2024-07-20", "Southern Highlands", "Deep snow"],
+  ["2024-10-31", "Northern Eparchia", "Mild spring day"],
+  ["2024-10-31", "Southern Highlands", "Cool mornings"],
+  ["2025-02-28", "Northern Eparchia", "Humid and hazy"],
+  ["2025-02-28", "Southern Highlands", "Alpine summer"],
+  ["2025-08-11", "Northern Eparchia", "Cold and clear"],
+  ["2025-08-11", "Southern Highlands", "Deep snow"],
+  ["2025-12-25", "Northern Eparchia", "Hot and sunny"],
+  ["2025-12-25", "Southern Highlands", "Afternoon storms"],
+  ["2026-06-01", "Northern Eparchia", "Cold and clear"],
+  ["2026-06-01", "Southern Highlands", "Frozen peaks"],
+];
+
+// Only the condition lists, so the fixtures exercise the seeding scheme alone
+function conditionsOnly(regionConfig) {
+  const seasonalWeather = {};
+  for (const [season, data] of Object.entries(regionConfig.seasonalWeather)) {
+    seasonalWeather[season] = { conditions: data.conditions };
+  }
+  return seasonalWeather;
+}
+
+function conditionFor(date, regionId, seed) {
+  return getWeatherForDate(
+    new Date(`${date}T12:00:00Z`),
+    conditionsOnly(mockRegionsConfig[regionId]),
+    regionId,
+    { seed }
+  ).condition;
+}
+
+function testSeeding() {
+  logger.info("🧪 Testing seeding schemes...");
+  const { fail, finish } = createChecks("seeding");
+
+  for (const seed of [undefined, { version: 1, campaignSeed: "" }]) {
+    for (const [date, regionId, expected] of V1_FIXTURES) {
+      const actual = conditionFor(date, regionId, seed);
+      if (actual !== expected) {
+        fail(`v1 ${regionId} ${date}: expected "${expected}", got "${actual}"`);
+      }
+    }
+  }
+
+  // v2: same campaign seed = same weather, different campaign seed = new weather
+  const first = { version: 2, campaignSeed: "eparchia-1" };
+  const second = { version: 2, campaignSeed: "eparchia-2" };
+  let differences = 0;
+  for (const [date, regionId] of V1_FIXTURES) {
+    const a = conditionFor(date, regionId, first);
+    if (a !== conditionFor(date, regionId, { ...first })) {
+      fail(`v2 ${regionId} ${date}: not deterministic`);
+    }
+    if (a !== conditionFor(date, regionId, second)) {
+      differences++;
+    }
+  }
+  if (differences === 0) {
+    fail("v2: campaign seed has no effect on the weather");
+  }
+
+  finish(
+    `v1 fixtures match; v2 campaign seeds differ on ${differences}/${V1_FIXTURES.length} days`
+  );
+}
+
+if (require.main === module) {
+  testSeeding();
+}
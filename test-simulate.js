@@ -0,0 +1,156 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseOptions, runSimulation } = require("./simulate");
+const { simulateRegion } = require("./src/services/simulationService");
+const { getWeatherEmoji } = require("./src/services/weatherService");
+const { parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { mockRegionsConfig } = require("./test-webhook");
+const { createChecks } = require("./test-helpers");
+
+async function testSimulation() {
+  logger.info("🧪 Testing the climate simulation...");
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "weather-simulate-"));
+  const { check, finish } = createChecks("simulation");
+
+  try {
+    // Every simulated day lands in exactly one season, and every condition
+    // comes from that season's list
+    const from = parseIsoDate("2026-01-01");
+    const to = parseIsoDate("2026-12-31");
+    for (const [regionName, region] of Object.entries(mockRegionsConfig)) {
+      const result = simulateRegion({ id: regionName, ...region }, from, to);
+      const seasonDays = result.seasons.reduce((sum, s) => sum + s.days, 0);
+      check(
+        result.days === 365 && seasonDays === 365,
+        `${regionName}: simulated ${result.days} days, ${seasonDays} in seasons`
+      );
+      for (const season of result.seasons) {
+        const counted = season.conditions.reduce((sum, c) => sum + c.days, 0);
+        check(
+          counted === season.days,
+          `${regionName} ${season.season}: ${counted} condition days of ${season.days}`
+        );
+      }
+      check(
+        result.streaks.every((streak) => streak.days >= 1 && streak.start),
+        `${regionName}: malformed streaks`
+      );
+    }
+
+    // The command runs offline from a configuration dump, in both formats
+    const dumpPath = path.join(workDir, "config.json");
+    const regions = {};
+    for (const [regionName, region] of Object.entries(mockRegionsConfig)) {
+      regions[regionName] = region;
+    }
+    fs.writeFileSync(dumpPath, JSON.stringify({ regions }));
+
+    const markdownPath = path.join(workDir, "report.md");
+    await runSimulation(
+      parseOptions([
+        "--config",
+        dumpPath,
+        "--from",
+        "2026-03-01",
+        "--to",
+        "2026-03-31",
+        "--out",
+        markdownPath,
+      ])
+    );
+    const markdown = fs.readFileSync(markdownPath, "utf8");
+    check(
+      markdown.startsWith("# Weather simulation: 2026-03-01 to 2026-03-31"),
+      "Markdown report has no title"
+    );
+    check(
+      Object.keys(regions).every((name) => markdown.includes(`## ${name}`)),
+      "Markdown report is missing a region"
+    );
+
+    const csvPath = path.join(workDir, "report.csv");
+    await runSimulation(
+      parseOptions([
+        "--config",
+        dumpPath,
+        "--from",
+        "2026-03-01",
+        "--to",
+        "2026-03-31",
+        "--format",
+        "csv",
+        "--out",
+        csvPath,
+      ])
+    );
+    const csvLines = fs.readFileSync(csvPath, "utf8").trim().split("\n");
+    check(
+      csvLines[0] === "region,section,season,name,days,share,start",
+      `Unexpected CSV header "${csvLines[0]}"`
+    );
+    check(csvLines.length > 1, "CSV report has no rows");
+
+    // Conditions the sheet's emojis and the built-in ones don't cover are
+    // listed; sheet exact and pattern matches are not
+    const emojiPath = path.join(workDir, "emojis.csv");
+    await runSimulation(
+      parseOptions([
+        "--config",
+        dumpPath,
+        "--emojis",
+        "--format",
+        "csv",
+        "--out",
+        emojiPath,
+      ])
+    );
+    const emojiLines = fs.readFileSync(emojiPath, "utf8").trim().split("\n");
+    check(
+      emojiLines[0] === "region,condition",
+      `Unexpected emoji report header "${emojiLines[0]}"`
+    );
+    check(
+      emojiLines.includes("Southern Highlands,Afternoon storms") &&
+        emojiLines.includes("Northern Eparchia,Scorching heat"),
+      "Emoji report is missing conditions using the default emoji"
+    );
+    check(
+      !emojiLines.includes("Southern Highlands,Early frost") &&
+        !emojiLines.includes("Southern Highlands,Alpine summer"),
+      "Emoji report lists conditions mapped in the sheet"
+    );
+    check(
+      getWeatherEmoji(
+        "Alpine summer",
+        true,
+        mockRegionsConfig["Southern Highlands"].emojis
+      ) === "🌌",
+      "Sheet night emoji not used"
+    );
+
+    // Bad arguments are rejected
+    for (const args of [
+      ["--from", "2026-02-30"],
+      ["--from", "2026-03-02", "--to", "2026-03-01"],
+      ["--format", "xml"],
+    ]) {
+      let rejected = false;
+      try {
+        parseOptions(args);
+      } catch (error) {
+        rejected = true;
+      }
+      check(rejected, `Arguments ${args.join(" ")} were accepted`);
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  finish("Simulation reports add up");
+}
+
+if (require.main === module) {
+  testSimulation();
+}
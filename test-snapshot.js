@@ -0,0 +1,201 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const {
+  loadConfiguration,
+  getConfigurationDump,
+  resetConfiguration,
+} = require("./src/config/config");
+const {
+  diffSheets,
+  loadLatestSnapshot,
+  saveSnapshot,
+} = require("./src/services/snapshotService");
+const { logger } = require("./src/utils/logger");
+const { buildSheetDiffReport } = require("./src/utils/reportFormatter");
+const { runValidation } = require("./validate");
+const { mockSheets } = require("./test-config");
+const { createChecks } = require("./test-helpers");
+
+async function load(options) {
+  resetConfiguration();
+  await loadConfiguration(options);
+  return getConfigurationDump();
+}
+
+// The error a load fails with, or null if it loads
+async function loadError() {
+  try {
+    await load();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function listSnapshots(directory) {
+  return fs.readdirSync(directory).filter((file) => file.endsWith(".json"));
+}
+
+async function testSnapshots() {
+  logger.info("🧪 Testing configuration snapshots...");
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "weather-snapshot-"));
+  const workbookPath = path.join(workDir, "workbook.json");
+  const snapshotDir = path.join(workDir, "snapshots");
+  process.env.CONFIG_SOURCE = "local";
+  process.env.CONFIG_PATH = workbookPath;
+  process.env.CONFIG_SNAPSHOT_DIR = snapshotDir;
+
+  // Capture the GM notice instead of posting it
+  const notices = [];
+  const post = axios.post;
+  axios.post = async (url, body) => {
+    notices.push({ url, body });
+    return { status: 204 };
+  };
+
+  const { check, finish } = createChecks("snapshot");
+
+  try {
+    // A configuration that loads is snapshotted, once while unchanged
+    fs.writeFileSync(workbookPath, JSON.stringify(mockSheets));
+    const live = await load();
+    await load();
+    check(
+      listSnapshots(snapshotDir).length === 1,
+      `Expected 1 snapshot, found ${listSnapshots(snapshotDir).length}`
+    );
+
+    // A GM edit shows up in the diff and gets its own snapshot
+    const edited = JSON.parse(JSON.stringify(mockSheets));
+    edited["Weather Regions"][2][3] = "Early frost, Autumn gales";
+    edited["Campaign Settings"].push(["Ground Lookback Days", "10"]);
+    fs.writeFileSync(workbookPath, JSON.stringify(edited));
+    const previous = loadLatestSnapshot();
+    const changes = diffSheets(previous.sheets, edited);
+    check(
+      changes.length === 3 &&
+        changes[0].sheet === "Weather Regions" &&
+        changes[0].cell === "D3" &&
+        changes[0].after === "Early frost, Autumn gales",
+      `Unexpected diff ${JSON.stringify(changes)}`
+    );
+    check(
+      !buildSheetDiffReport(
+        diffSheets(mockSheets, {
+          ...mockSheets,
+          "Commander Database": [
+            ["Webhook URL", "Weather Region"],
+            ["https://discord.com/api/webhooks/1003/secret-token", "North"],
+          ],
+        }),
+        previous
+      ).includes("secret-token"),
+      "Diff report shows a webhook token"
+    );
+    // Read-only loads (simulate) and the validation don't snapshot
+    await load({ readOnly: true });
+    await runValidation();
+    check(
+      listSnapshots(snapshotDir).length === 1,
+      "Read-only load or validation wrote a snapshot"
+    );
+    const editedConfig = await load();
+    check(
+      listSnapshots(snapshotDir).length === 2,
+      "Edited configuration was not snapshotted"
+    );
+
+    // When the live fetch fails, the newest snapshot is used and GMs told
+    process.env.CONFIG_FALLBACK_WEBHOOK_URL =
+      "https://discord.com/api/webhooks/EXAMPLE_GM/test";
+    fs.rmSync(workbookPath);
+    const fallback = await load();
+    check(
+      JSON.stringify(fallback) === JSON.stringify(editedConfig),
+      "Fallback configuration differs from the newest snapshot"
+    );
+    check(
+      JSON.stringify(fallback) !== JSON.stringify(live),
+      "Fallback used an older snapshot"
+    );
+    check(
+      notices.length === 1 &&
+        notices[0].body.content.includes("configuration unavailable"),
+      `Expected one GM notice, got ${notices.length}`
+    );
+    check(
+      listSnapshots(snapshotDir).length === 2,
+      "Fallback run wrote a snapshot"
+    );
+
+    // A sheet that fetches but doesn't parse falls back too
+    const broken = JSON.parse(JSON.stringify(edited));
+    broken["Weather Regions"][1][1] = ":3";
+    fs.writeFileSync(workbookPath, JSON.stringify(broken));
+    const parseFallback = await load();
+    check(
+      JSON.stringify(parseFallback) === JSON.stringify(editedConfig),
+      "Unparsable sheet did not fall back to the newest snapshot"
+    );
+    check(
+      notices.length === 2 &&
+        notices[1].body.content.includes("Malformed weighted condition"),
+      "GM notice does not explain the parse failure"
+    );
+
+    // A corrupt snapshot is logged and the original failure stands
+    fs.rmSync(workbookPath);
+    fs.writeFileSync(
+      path.join(snapshotDir, "config-2099-01-01T00-00-00-000Z.json"),
+      "{ not json"
+    );
+    const corrupt = await loadError();
+    check(
+      corrupt?.message.startsWith("Local configuration not found"),
+      `Corrupt snapshot gave ${corrupt ? corrupt.message : "no error"}`
+    );
+
+    // Without a snapshot the failure stands
+    fs.rmSync(snapshotDir, { recursive: true });
+    check(
+      (await loadError()) !== null,
+      "Failed fetch without a snapshot was accepted"
+    );
+
+    // Only the newest snapshots are kept
+    process.env.CONFIG_SNAPSHOT_KEEP = "2";
+    for (let day = 1; day <= 3; day++) {
+      saveSnapshot(
+        { ...mockSheets, Climate: [[`v${day}`]] },
+        "test",
+        new Date(Date.UTC(2026, 0, day))
+      );
+    }
+    const kept = listSnapshots(snapshotDir);
+    check(
+      kept.length === 2 && !kept.some((file) => file.includes("2026-01-01")),
+      `Unexpected snapshots kept: ${kept.join(", ")}`
+    );
+  } finally {
+    axios.post = post;
+    fs.rmSync(workDir, { recursive: true, force: true });
+    for (const name of [
+      "CONFIG_SOURCE",
+      "CONFIG_PATH",
+      "CONFIG_SNAPSHOT_DIR",
+      "CONFIG_SNAPSHOT_KEEP",
+      "CONFIG_FALLBACK_WEBHOOK_URL",
+    ]) {
+      delete process.env[name];
+    }
+    resetConfiguration();
+  }
+
+  finish("Snapshots cover a failed configuration fetch or parse");
+}
+
+if (require.main === module) {
+  testSnapshots();
+}
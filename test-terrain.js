@@ -0,0 +1,256 @@
+const {
+  parseConfiguration,
+  parseWeatherRegions,
+} = require("./src/services/googleSheetsService");
+const {
+  applyTerrain,
+  getTerrainConditions,
+} = require("./src/services/terrainService");
+const { getRegionalWeatherForDate } = require("./src/services/weatherService");
+const { addDays, parseIsoDate } = require("./src/utils/dates");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+const HEADER = [
+  "Region",
+  "Spring",
+  "Summer",
+  "Autumn",
+  "Winter",
+  "Parent",
+  "Terrain",
+  "Elevation",
+];
+
+// Weather Regions rows: [region, parent, terrain, elevation]
+function parseRegions(rows) {
+  return parseWeatherRegions(
+    [
+      HEADER,
+      ...rows.map(([region, parent = "", terrain = "", elevation = ""]) =>
+        parent
+          ? [region, "", "", "", "", parent, terrain, elevation]
+          : [
+              region,
+              "Rain",
+              "Sun",
+              "Fall rains",
+              "Snow",
+              "",
+              terrain,
+              elevation,
+            ]
+      ),
+    ],
+    [] // No impacts table: collect the warning instead of logging it
+  );
+}
+
+function parseError(rows) {
+  try {
+    parseRegions(rows);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function testTerrain() {
+  logger.info("🧪 Testing sub-region terrain...");
+  const { check, finish } = createChecks("terrain");
+
+  // Substitutions replace whole words or phrases, keeping capitalisation
+  const snow = {
+    substitutions: [
+      { from: "Rain", to: "Snow" },
+      { from: "Heavy showers", to: "Blizzards" },
+    ],
+    additions: [],
+  };
+  for (const [condition, expected] of [
+    ["Rain", "Snow"],
+    ["Freezing rain", "Freezing snow"],
+    ["Rain showers", "Snow showers"],
+    ["Rainbow", "Rainbow"],
+    ["Fall rains", "Fall rains"],
+    ["Brainstorm", "Brainstorm"],
+    ["Heavy showers at dusk", "Blizzards at dusk"],
+  ]) {
+    const actual = applyTerrain(condition, snow, Math.random);
+    check(actual === expected, `"${condition}" became "${actual}"`);
+  }
+  check(
+    JSON.stringify(getTerrainConditions(["Rain", "Rainbow"], snow)) ===
+      JSON.stringify(["Snow", "Rainbow"]),
+    "Possible terrain conditions don't match the substitution"
+  );
+
+  // Additions replace the condition on their share of days
+  const fog = {
+    substitutions: [],
+    additions: [{ condition: "Fog", chance: 0.5 }],
+  };
+  check(
+    applyTerrain("Rain", fog, () => 0.4) === "Fog" &&
+      applyTerrain("Rain", fog, () => 0.6) === "Rain",
+    "Terrain addition ignores its chance"
+  );
+
+  // Parents may come after their sub-regions in the sheet
+  const { seasonalWeather, regionSettings } = parseRegions([
+    ["Eparchian Peaks", "Northern Eparchia", "Rain>Snow"],
+    ["Northern Eparchia"],
+  ]);
+  check(
+    JSON.stringify(seasonalWeather["Eparchian Peaks"]) ===
+      JSON.stringify(seasonalWeather["Northern Eparchia"]) &&
+      regionSettings["Eparchian Peaks"].terrain.substitutions.length === 1,
+    "Sub-region above its parent did not inherit the parent's weather"
+  );
+
+  // A parent that is itself a sub-region is reported as such, wherever it is
+  for (const rows of [
+    [
+      ["Northern Eparchia"],
+      ["Lower Peaks", "Eparchian Peaks"],
+      ["Eparchian Peaks", "Northern Eparchia"],
+    ],
+    [
+      ["Northern Eparchia"],
+      ["Eparchian Peaks", "Northern Eparchia"],
+      ["Lower Peaks", "Eparchian Peaks"],
+    ],
+  ]) {
+    const error = parseError(rows);
+    check(
+      error?.code === "nested-sub-region" &&
+        error.details.region === "Lower Peaks" &&
+        error.message.includes(
+          '"Eparchian Peaks", which is itself a sub-region'
+        ),
+      `Nested sub-region gave ${error ? error.message : "no error"}`
+    );
+  }
+  const unknown = parseError([["Reed Marshes", "Southern Eparchia"]]);
+  check(
+    unknown?.code === "unknown-region" && unknown.cell === "F2",
+    `Unknown parent gave ${unknown ? unknown.message : "no error"}`
+  );
+
+  // Elevation: rules with "@" apply at or above it, using the parent's
+  // elevation when the sub-region has none
+  const rules = "Rain>Snow@1500, +Fog:0.2";
+  const elevated = parseRegions([
+    ["Northern Eparchia", "", "", "300"],
+    ["Eparchian Peaks", "Northern Eparchia", rules, "2000m"],
+    ["Foothills", "Northern Eparchia", rules],
+    ["Snow Line", "Northern Eparchia", "Rain>Snow@1500", "1500"],
+    ["Lowland Lakes", "Northern Eparchia", "Rain>Snow@1500"],
+  ]).regionSettings;
+  check(
+    JSON.stringify(elevated["Eparchian Peaks"].terrain) ===
+      JSON.stringify({
+        substitutions: [{ from: "Rain", to: "Snow" }],
+        additions: [{ condition: "Fog", chance: 0.2 }],
+      }),
+    `High sub-region got ${JSON.stringify(elevated["Eparchian Peaks"].terrain)}`
+  );
+  check(
+    elevated.Foothills.terrain.substitutions.length === 0 &&
+      elevated.Foothills.terrain.additions.length === 1,
+    `Sub-region at its parent's elevation got ${JSON.stringify(
+      elevated.Foothills.terrain
+    )}`
+  );
+  check(
+    elevated["Snow Line"].terrain.substitutions.length === 1 &&
+      !elevated["Lowland Lakes"].terrain,
+    "Elevation threshold is not inclusive, or unused terrain kept"
+  );
+
+  const noElevation = parseError([
+    ["Northern Eparchia"],
+    ["Eparchian Peaks", "Northern Eparchia", "Rain>Snow@1500"],
+  ]);
+  check(
+    noElevation?.code === "missing-value" && noElevation.cell === "G3",
+    `Elevation rule without an elevation gave ${
+      noElevation ? noElevation.message : "no error"
+    }`
+  );
+  for (const [terrain, elevation] of [
+    ["+Fog:2@1500", "2000"],
+    ["Rain>Snow", "very high"],
+  ]) {
+    const error = parseError([
+      ["Northern Eparchia"],
+      ["Eparchian Peaks", "Northern Eparchia", terrain, elevation],
+    ]);
+    check(
+      error?.row === 2,
+      `"${terrain}" at "${elevation}" gave ${
+        error ? error.message : "no error"
+      }`
+    );
+  }
+
+  // Events naming a sub-region apply to it on top of the parent's events,
+  // which stay in step with the parent
+  const { regions } = parseConfiguration({
+    "Commander Database": [
+      ["Webhook URL", "Weather Region"],
+      ["https://discord.com/api/webhooks/9301/terrain", "Northern Eparchia"],
+      ["https://discord.com/api/webhooks/9302/terrain", "Eparchian Peaks"],
+    ],
+    "Weather Regions": [
+      [...HEADER, "", "Condition", "Mechanical Impact"],
+      ["Northern Eparchia", "Rain", "Sun", "Fall rains", "Snow"],
+      ["Eparchian Peaks", "", "", "", "", "Northern Eparchia"],
+    ],
+    "Weather Events": [
+      ["Event", "Condition", "Seasons", "Duration", "Frequency", "Regions"],
+      ["Avalanche", "", "", "1", "1", "Eparchian Peaks"],
+      [
+        "Great Storm",
+        "Raging thunderstorm",
+        "",
+        "2",
+        "0.2",
+        "Northern Eparchia",
+      ],
+    ],
+  });
+  const eventNames = (regionName) =>
+    JSON.stringify(regions[regionName].events.map((event) => event.name));
+  check(
+    eventNames("Northern Eparchia") === JSON.stringify(["Great Storm"]) &&
+      eventNames("Eparchian Peaks") ===
+        JSON.stringify(["Great Storm", "Avalanche"]),
+    `Events ${eventNames("Northern Eparchia")} for the parent and ${eventNames(
+      "Eparchian Peaks"
+    )} for the sub-region`
+  );
+  const eventOn = (regionName, date) =>
+    getRegionalWeatherForDate({ id: regionName, ...regions[regionName] }, date)
+      .event?.name;
+  let storms = 0;
+  for (let i = 0; i < 60; i++) {
+    const date = addDays(parseIsoDate("2026-03-01"), i);
+    const parentEvent = eventOn("Northern Eparchia", date);
+    const subRegionEvent = eventOn("Eparchian Peaks", date);
+    if (parentEvent) storms++;
+    check(
+      parentEvent
+        ? subRegionEvent === parentEvent
+        : subRegionEvent === "Avalanche",
+      `${i}: parent has ${parentEvent}, sub-region has ${subRegionEvent}`
+    );
+  }
+  check(storms > 0, "Parent event never ran in two months");
+
+  finish("Sub-regions apply their terrain to the parent's weather");
+}
+
+if (require.main === module) {
+  testTerrain();
+}
@@ -0,0 +1,127 @@
+const { validateSheets } = require("./src/services/validationService");
+const { parseWeatherRegions } = require("./src/services/googleSheetsService");
+const { ConfigError } = require("./src/utils/configErrors");
+const { logger } = require("./src/utils/logger");
+const { buildFindingsTable } = require("./src/utils/reportFormatter");
+const { mockSheets } = require("./test-config");
+const { createChecks } = require("./test-helpers");
+
+// The mock sheets with one of every problem the validation looks for
+function brokenSheets() {
+  const sheets = JSON.parse(JSON.stringify(mockSheets));
+  sheets["Commander Database"].push(
+    ["https://discord.com/api/webhooks/1001/local-test", "Southern Highlands"],
+    ["http://example.com/hook", "Nothern Eparchia"]
+  );
+  const [, northern, southern] = sheets["Weather Regions"];
+  northern[1] = ":3, Showers"; // weight without a condition
+  northern[5] = "200"; // unparsable latitude
+  southern[4] = ""; // empty winter
+  southern[7] = "Storm"; // impact for a condition no region has
+  southern[5] = "-33.9"; // southern latitude, northern hemisphere seasons
+  sheets["Campaign Settings"].push(["Forecast Accuracy", "150%"]);
+  sheets["Posting Pauses"] = [
+    ["Start", "End", "Regions"],
+    ["2026-02-30", "", ""],
+  ];
+  return sheets;
+}
+
+function testValidation() {
+  logger.info("🧪 Testing the configuration validation...");
+  const { check, finish } = createChecks("validation");
+
+  // The clean mock sheets have nothing to report
+  const clean = validateSheets(mockSheets);
+  check(
+    clean.length === 0,
+    `Clean sheets reported:\n${buildFindingsTable(clean)}`
+  );
+
+  // Parser errors carry their sheet, cell and code
+  const sheets = brokenSheets();
+  let parseError = null;
+  try {
+    parseWeatherRegions(sheets["Weather Regions"]);
+  } catch (error) {
+    parseError = error;
+  }
+  check(
+    parseError instanceof ConfigError &&
+      parseError.sheet === "Weather Regions" &&
+      parseError.cell === "B2" &&
+      parseError.code === "invalid-value" &&
+      parseError.details.region === "Northern Eparchia" &&
+      parseError.details.season === "spring",
+    `Unexpected parse error ${JSON.stringify(parseError)}`
+  );
+
+  // Every problem is reported in one pass, errors first, and warnings are
+  // collected rather than logged
+  const warn = logger.warn;
+  const logged = [];
+  logger.warn = (message) => logged.push(message);
+  let findings;
+  try {
+    findings = validateSheets(sheets);
+  } finally {
+    logger.warn = warn;
+  }
+  console.log(buildFindingsTable(findings));
+  check(
+    logged.length === 0,
+    `Validation logged warnings: ${logged.join("; ")}`
+  );
+  const has = (severity, sheet, pattern) =>
+    findings.some(
+      (f) =>
+        f.severity === severity && f.sheet === sheet && pattern.test(f.message)
+    );
+  for (const [severity, sheet, pattern] of [
+    ["error", "Weather Regions", /Malformed weighted condition.*cell B2/],
+    ["error", "Weather Regions", /Invalid latitude "200"/],
+    ["error", "Weather Regions", /"Southern Highlands" has no winter/],
+    ["error", "Posting Pauses", /Invalid date "2026-02-30"/],
+    ["error", "Campaign Settings", /Forecast Accuracy/],
+    ["error", "Commander Database", /Malformed webhook URL/],
+    ["error", "Commander Database", /"Nothern Eparchia" has webhooks/],
+    ["warning", "Commander Database", /also used for "Northern Eparchia"/],
+    ["warning", "Commander Database", /did you mean "Northern Eparchia"/],
+    ["warning", "Weather Regions", /"Storm" matches no condition/],
+    ["warning", "Weather Regions", /"Southern Highlands" has latitude -33.9/],
+  ]) {
+    check(has(severity, sheet, pattern), `No ${severity} matching ${pattern}`);
+  }
+  check(
+    !has("error", "Weather Regions", /"Northern Eparchia" has no spring/),
+    "Unparsable cell also reported as an empty season"
+  );
+  check(
+    findings.some(
+      (f) =>
+        f.code === "hemisphere-mismatch" && f.location === "Southern Highlands"
+    ),
+    "Merge warning reported without its code and region"
+  );
+  check(
+    findings.some(
+      (f) => f.code === "region-without-weather" && f.severity === "error"
+    ) &&
+      !findings.some(
+        (f) => f.code === "region-without-weather" && f.severity === "warning"
+      ),
+    "Region without weather not reported once, as an error"
+  );
+  const firstWarning = findings.findIndex((f) => f.severity === "warning");
+  check(
+    firstWarning === -1 ||
+      findings.slice(firstWarning).every((f) => f.severity === "warning"),
+    "Errors are not listed first"
+  );
+
+  finish("Validation reports every problem at once");
+}
+
+if (require.main === module) {
+  testValidation();
+}
@@ -0,0 +1,181 @@
+const { google } = require("googleapis");
+const {
+  WEATHER_LOG_HEADERS,
+  buildWeatherLogRows,
+  formatPostResult,
+  logPostedWeather,
+} = require("./src/services/weatherLogService");
+const { logger } = require("./src/utils/logger");
+const { createChecks } = require("./test-helpers");
+
+const POSTS = [
+  {
+    regionId: "Northern Eparchia",
+    weather: {
+      isoDate: "2026-03-14",
+      condition: "Blizzard",
+      impacts: ["Blinded beyond 15ft", "extreme cold"],
+    },
+  },
+  {
+    regionId: "Southern Highlands",
+    weather: [
+      { isoDate: "2026-03-14", condition: "Mountain mist", impacts: [] },
+      { isoDate: "2026-03-15", condition: "Cool mornings" },
+    ],
+  },
+];
+
+// A Sheets API client that records its calls; "sheetExists" decides whether
+// appending to the Weather Log works or reports an unparsable range
+function createMockSheets(state) {
+  return {
+    spreadsheets: {
+      values: {
+        append: async (request) => {
+          state.appends.push(request);
+          if (state.failure) {
+            throw new Error(state.failure);
+          }
+          if (!state.sheetExists) {
+            throw new Error("Unable to parse range: Weather Log!A:A");
+          }
+          return { status: 200 };
+        },
+      },
+      batchUpdate: async (request) => {
+        state.batchUpdates.push(request);
+        state.sheetExists = true;
+        return { status: 200 };
+      },
+    },
+  };
+}
+
+async function testWeatherLog() {
+  logger.info("🧪 Testing the Weather Log write-back...");
+  const { check, finish } = createChecks("Weather Log");
+
+  const state = { appends: [], batchUpdates: [], scopes: [] };
+  const { GoogleAuth } = google.auth;
+  const { sheets } = google;
+  google.auth.GoogleAuth = function MockAuth(options) {
+    state.scopes.push(...options.scopes);
+  };
+  google.sheets = () => createMockSheets(state);
+  process.env.GOOGLE_SERVICE_ACCOUNT_KEY = JSON.stringify({});
+  process.env.GOOGLE_SHEET_LINK =
+    "https://docs.google.com/spreadsheets/d/weather-log-test/edit";
+
+  try {
+    // Rows: one per region and day, impacts joined
+    const postedAt = new Date("2026-03-14T06:00:00Z");
+    const rows = buildWeatherLogRows(POSTS, "daily", "success", postedAt);
+    check(
+      JSON.stringify(rows[0]) ===
+        JSON.stringify([
+          "2026-03-14T06:00:00.000Z",
+          "2026-03-14",
+          "Northern Eparchia",
+          "Blizzard",
+          "Blinded beyond 15ft; extreme cold",
+          "daily",
+          "success",
+        ]),
+      `Unexpected Weather Log row ${JSON.stringify(rows[0])}`
+    );
+    check(rows.length === 3, `Expected 3 rows, got ${rows.length}`);
+    check(
+      rows.every((row) => row.length === WEATHER_LOG_HEADERS.length),
+      "Rows don't match the Weather Log headers"
+    );
+
+    for (const [successful, total, expected] of [
+      [2, 2, "success"],
+      [0, 2, "failure"],
+      [1, 2, "partial (1/2)"],
+    ]) {
+      const result = formatPostResult(successful, total);
+      check(
+        result === expected,
+        `${successful}/${total} posts reported as "${result}", expected "${expected}"`
+      );
+    }
+
+    // Disabled: nothing is written and no client is created
+    delete process.env.WEATHER_LOG_ENABLED;
+    check(
+      (await logPostedWeather(POSTS, "daily", 1, 1)) === 0,
+      "Weather Log written while disabled"
+    );
+    check(
+      state.appends.length === 0 && state.scopes.length === 0,
+      "Sheets client used while the Weather Log is disabled"
+    );
+
+    // Enabled, sheet missing: it is created with a header row
+    process.env.WEATHER_LOG_ENABLED = "true";
+    check(
+      (await logPostedWeather(POSTS, "advance", 1, 2)) === 3,
+      "Weather Log rows not written to a new sheet"
+    );
+    check(
+      state.scopes.every(
+        (scope) => scope === "https://www.googleapis.com/auth/spreadsheets"
+      ),
+      `Weather Log requested scopes ${state.scopes.join(", ")}`
+    );
+    check(
+      state.batchUpdates.length === 1 &&
+        state.batchUpdates[0].requestBody.requests[0].addSheet.properties
+          .title === "Weather Log",
+      "Missing Weather Log sheet not created"
+    );
+    const created = state.appends[state.appends.length - 1].requestBody.values;
+    check(
+      JSON.stringify(created[0]) === JSON.stringify(WEATHER_LOG_HEADERS) &&
+        created.length === 4 &&
+        created[1][6] === "partial (1/2)",
+      `Unexpected rows for a new sheet ${JSON.stringify(created)}`
+    );
+
+    // Enabled, sheet present: rows are appended without headers
+    const appendCount = state.appends.length;
+    await logPostedWeather(POSTS.slice(0, 1), "weekly", 0, 1);
+    const appended = state.appends[state.appends.length - 1].requestBody.values;
+    check(
+      state.appends.length === appendCount + 1 &&
+        state.batchUpdates.length === 1 &&
+        appended.length === 1 &&
+        appended[0][5] === "weekly" &&
+        appended[0][6] === "failure",
+      `Unexpected rows for an existing sheet ${JSON.stringify(appended)}`
+    );
+
+    // API errors are logged, never thrown
+    state.failure = "The caller does not have permission";
+    let written = null;
+    try {
+      written = await logPostedWeather(POSTS, "daily", 1, 1);
+    } catch (error) {
+      check(false, `Weather Log error escaped: ${error.message}`);
+    }
+    check(written === 0, "Failed write reported as written");
+  } finally {
+    google.auth.GoogleAuth = GoogleAuth;
+    google.sheets = sheets;
+    delete process.env.WEATHER_LOG_ENABLED;
+    delete process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+    delete process.env.GOOGLE_SHEET_LINK;
+  }
+
+  finish("Posted weather is written to the Weather Log sheet");
+}
+
+if (require.main === module) {
+  testWeatherLog();
+}
+
+module.exports = {
+  mockPosts: POSTS,
+};
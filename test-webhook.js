@@ -1,14 +1,69 @@
-const {
-  getRegionalWeatherUpdate,
-  getWeatherEmoji,
-} = require("./src/services/weatherService");
+const { getRegionalWeatherUpdate } = require("./src/services/weatherService");
 const { logger } = require("./src/utils/logger");
+const { addDays, toIsoDate } = require("./src/utils/dates");
+const { buildDailyWeatherMessage } = require("./src/utils/messageFormatter");
+const { getActivePause } = require("./src/services/pauseService");
 
 // Mock region configuration for testing (matches expected format from Google Sheets)
 const mockRegionsConfig = {
   "Northern Eparchia": {
     name: "Northern Eparchia",
     webhookUrls: ["https://discord.com/api/webhooks/EXAMPLE_1/test"],
+    dayPhases: true,
+    // Players' weekly forecast is often wrong further out
+    forecast: { accuracy: 0.5, issueDay: 6 },
+    ground: {
+      lookbackDays: 14,
+      levels: [
+        {
+          ground: "snow",
+          level: "Light snow cover",
+          threshold: 5,
+          impacts: [],
+        },
+        {
+          ground: "snow",
+          level: "Deep snow",
+          threshold: 30,
+          impacts: ["March distance halved off roads"],
+        },
+        { ground: "mud", level: "Muddy roads", threshold: 15, impacts: [] },
+        {
+          ground: "river",
+          level: "Fords flooded",
+          threshold: 40,
+          impacts: ["Rivers can only be crossed at bridges"],
+        },
+      ],
+    },
+    // Posting pause later this week (marked in the weekly forecast)
+    pauses: [
+      {
+        start: toIsoDate(addDays(new Date(), 4)),
+        end: toIsoDate(addDays(new Date(), 5)),
+        reason: "Winter quarters",
+      },
+    ],
+    events: [
+      {
+        name: "Great Storm",
+        condition: "Raging thunderstorm",
+        seasons: ["autumn", "winter"],
+        minDays: 2,
+        maxDays: 4,
+        chance: 0.02,
+        impacts: ["No river crossings; march distance halved"],
+      },
+      {
+        name: "Heat Wave",
+        condition: "Scorching heat",
+        seasons: ["summer"],
+        minDays: 3,
+        maxDays: 5,
+        chance: 0.03,
+        impacts: [],
+      },
+    ],
     seasonalWeather: {
       spring: {
         conditions: [
@@ -21,6 +76,27 @@ const mockRegionsConfig = {
         mechanicalImpacts: {
           "Spring showers": ["Light rain: -1 to ranged attacks beyond 30ft"],
         },
+        operations: {
+          "Spring showers": {
+            marchMultiplier: 0.9,
+            forageMultiplier: null,
+            scoutingRange: null,
+            riverCrossing: null,
+          },
+          "Gentle rains": {
+            marchMultiplier: 0.9,
+            forageMultiplier: 1.1,
+            scoutingRange: null,
+            riverCrossing: true,
+          },
+          "Overcast and cool": {
+            marchMultiplier: null,
+            forageMultiplier: null,
+            scoutingRange: 2,
+            riverCrossing: null,
+          },
+        },
+        climate: { minTemp: 4, maxTemp: 19, maxWind: 35, maxPrecipitation: 15 },
       },
       summer: {
         conditions: [
@@ -56,21 +132,85 @@ const mockRegionsConfig = {
           "Freezing rain",
           "Bitter cold",
         ],
+        persistence: 0.6,
         mechanicalImpacts: {
           "Heavy snowfall": ["Difficult terrain outdoors, -2 to Perception"],
           "Freezing rain": [
             "Slippery surfaces: DEX save or fall prone when moving fast",
           ],
         },
+        operations: {
+          "Heavy snowfall": {
+            marchMultiplier: 0.5,
+            forageMultiplier: 0.25,
+            scoutingRange: 1,
+            riverCrossing: false,
+          },
+        },
+        climate: {
+          minTemp: -12,
+          maxTemp: 6,
+          maxWind: 50,
+          maxPrecipitation: 25,
+        },
       },
     },
   },
   "Southern Highlands": {
     name: "Southern Highlands",
     webhookUrls: ["https://discord.com/api/webhooks/EXAMPLE_2/test"],
+    latitude: -38.5,
+    // Mist drifts up from a neighboring region without its own webhook
+    neighbors: {
+      influence: 0.5,
+      regions: [
+        {
+          id: "Eastern Foothills",
+          seasonalWeather: {
+            spring: {
+              conditions: ["Mountain mist", "Spring showers", "Cool mornings"],
+            },
+          },
+        },
+      ],
+    },
+    // Emojis from the sheet's Emoji column, ahead of the built-in ones
+    emojis: {
+      exact: { "alpine summer": { day: "🏔️", night: "🌌" } },
+      patterns: [{ pattern: "*frost*", day: "🥶" }],
+    },
+    // GM override two days from now (shows up in the weekly forecast)
+    overrides: {
+      [toIsoDate(addDays(new Date(), 2))]: {
+        condition: "Thick valley fog",
+        impacts: ["Ambushes cannot be spotted before contact"],
+      },
+    },
+    calendar: {
+      realStart: "2025-01-01",
+      gameStart: { year: 1203, month: 3, day: 1 },
+      timeScale: 2,
+      months: [
+        { name: "Frostmonth", days: 30 },
+        { name: "Thawmonth", days: 30 },
+        { name: "Seedmonth", days: 30 },
+        { name: "Bloommonth", days: 30 },
+        { name: "Sunmonth", days: 30 },
+        { name: "Highsun", days: 30 },
+        { name: "Harvest", days: 30 },
+        { name: "Fallow", days: 30 },
+        { name: "Mistmonth", days: 30 },
+        { name: "Darkmonth", days: 30 },
+        { name: "Deepwinter", days: 30 },
+        { name: "Yearsend", days: 35 },
+      ],
+      weekdays: ["Moonday", "Fireday", "Waterday", "Windday", "Restday"],
+      era: "AE",
+    },
     seasonalWeather: {
       spring: {
         conditions: ["Highland spring", "Mountain mist", "Cool mornings"],
+        weights: [2, 2, 1],
       },
       summer: {
         conditions: ["Alpine summer", "Clear mountain air", "Afternoon storms"],
@@ -90,6 +230,21 @@ const mockRegionsConfig = {
   },
 };
 
+// Sub-region: inherits Northern Eparchia's roll, with mountain terrain on top
+mockRegionsConfig["Eparchian Peaks"] = {
+  name: "Eparchian Peaks",
+  webhookUrls: ["https://discord.com/api/webhooks/EXAMPLE_3/test"],
+  parent: "Northern Eparchia",
+  terrain: {
+    substitutions: [
+      { from: "Rain", to: "Snow" },
+      { from: "Showers", to: "Flurries" },
+    ],
+    additions: [{ condition: "Fog", chance: 0.3 }],
+  },
+  seasonalWeather: mockRegionsConfig["Northern Eparchia"].seasonalWeather,
+};
+
 // Mock webhook function for testing
 async function mockSendWebhook(regionConfig, messageContent) {
   console.log(`\n🔧 MOCK WEBHOOK SEND TO: ${regionConfig.name}`);
@@ -117,23 +272,8 @@ async function testRegionalWeatherWebhook(regionName) {
     // Get weather data for this region
     const weather = getRegionalWeatherUpdate(regionConfig);
 
-    // Build the weather message content
-    let messageContent =
-      `📅 **Weather Update - ${regionConfig.name}**\n` +
-      `**Date:** ${weather.date}\n` +
-      `**Season:** ${
-        weather.season.charAt(0).toUpperCase() + weather.season.slice(1)
-      }\n` +
-      `${getWeatherEmoji(weather.condition, false)} **Weather:** ${
-        weather.condition
-      }\n`;
-
-    // Add mechanical impacts if any
-    if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
-      weather.impacts.forEach((impact) => {
-        messageContent += `⚠️ ${impact}\n`;
-      });
-    }
+    // Build the weather message content (including mechanical impacts)
+    const messageContent = buildDailyWeatherMessage(regionConfig, weather);
 
     // Send to mock webhook
     const response = await mockSendWebhook(regionConfig, messageContent);
@@ -166,6 +306,11 @@ async function testAllRegionalWebhooks() {
     );
 
     for (const regionName of regionNames) {
+      // Regions in a posting pause get no update today
+      if (getActivePause(mockRegionsConfig[regionName].pauses, new Date())) {
+        logger.info(`TEST: Posting paused for region ${regionName} - skipping`);
+        continue;
+      }
       await testRegionalWeatherWebhook(regionName);
     }
 
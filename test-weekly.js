@@ -1,8 +1,12 @@
 const {
   getRegionalWeeklyForecast,
-  getWeatherEmoji,
+  getRegionalPlayerForecast,
 } = require("./src/services/weatherService");
 const { logger } = require("./src/utils/logger");
+const {
+  buildWeeklyForecastSection,
+  buildForecastErrorSection,
+} = require("./src/utils/messageFormatter");
 const { mockRegionsConfig } = require("./test-webhook");
 
 // Mock webhook function for testing
@@ -50,39 +54,21 @@ async function testConsolidatedWeeklyForecastWebhook() {
 
         const weeklyForecast = getRegionalWeeklyForecast(regionConfig);
 
-        consolidatedMessage += `🌍 **${regionConfig.name}**\n\n`;
-
-        weeklyForecast.forEach((dayWeather, index) => {
-          const isToday = index === 0;
-          const dayLabel = isToday ? "Today" : dayWeather.dayOfWeek;
-          consolidatedMessage +=
-            `**${dayLabel} - ${dayWeather.date}**\n` +
-            `Season: ${
-              dayWeather.season.charAt(0).toUpperCase() +
-              dayWeather.season.slice(1)
-            }\n` +
-            `${getWeatherEmoji(dayWeather.condition, false)} Weather: ${
-              dayWeather.condition
-            }\n`;
-
-          // Add mechanical impacts if any
-          if (Array.isArray(dayWeather.impacts) && dayWeather.impacts.length) {
-            dayWeather.impacts.forEach((impact) => {
-              consolidatedMessage += `⚠️ ${impact}\n`;
-            });
-          }
-
-          consolidatedMessage += `\n`;
-        });
-
-        consolidatedMessage += "─────────────────────────────\n\n";
+        consolidatedMessage += buildWeeklyForecastSection(
+          regionConfig,
+          weeklyForecast.map((day) =>
+            getRegionalPlayerForecast(
+              regionConfig,
+              day,
+              weeklyForecast[0].isoDate
+            )
+          )
+        );
       } catch (error) {
         logger.error(
           `TEST: Failed to generate forecast for region ${regionName}: ${error.message}`
         );
-        consolidatedMessage += `🌍 **${regionName}**\n`;
-        consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
-        consolidatedMessage += "─────────────────────────────\n\n";
+        consolidatedMessage += buildForecastErrorSection({ id: regionName });
       }
     }
 
@@ -0,0 +1,57 @@
+const { parseArgs } = require("util");
+const { getConfigProvider } = require("./src/config/config");
+const { validateSheets } = require("./src/services/validationService");
+const { logger } = require("./src/utils/logger");
+const { buildFindingsTable } = require("./src/utils/reportFormatter");
+
+const USAGE = `Usage: node validate.js [options]
+
+Check the configuration (Google Sheets, or local files with
+CONFIG_SOURCE=local) and report every problem found at once. Exits with
+status 1 when there are errors; warnings alone don't fail.
+
+Options:
+  --help                Show this help`;
+
+/**
+ * Load the configuration sheets and check them
+ * The sheets are read directly: nothing is snapshotted and a failed fetch
+ * never falls back to a snapshot
+ * @returns {Promise<Object[]>} - Findings (see validationService)
+ */
+async function runValidation() {
+  const provider = getConfigProvider();
+  logger.info(`Validating configuration from ${provider.label}`);
+  const sheetData = await provider.fetchSheets();
+  return validateSheets(sheetData);
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  (async () => {
+    try {
+      const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: { help: { type: "boolean", default: false } },
+      });
+      if (values.help) {
+        console.log(USAGE);
+        return;
+      }
+
+      const findings = await runValidation();
+      process.stdout.write(buildFindingsTable(findings));
+      if (findings.some((f) => f.severity === "error")) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Failed to validate configuration: ${error.message}`);
+      console.error("❌ Failed to validate configuration:", error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  runValidation,
+};
@@ -1,14 +1,15 @@
 const axios = require("axios");
-const {
-  getRegionalWeatherUpdate,
-  getWeatherEmoji,
-} = require("./src/services/weatherService");
+const { getRegionalWeatherUpdate } = require("./src/services/weatherService");
 const {
   loadConfiguration,
   getConfiguredRegions,
   getRegionConfig,
 } = require("./src/config/config");
+const { recordWeather } = require("./src/services/ledgerService");
+const { getActivePause } = require("./src/services/pauseService");
+const { logPostedWeather } = require("./src/services/weatherLogService");
 const { logger } = require("./src/utils/logger");
+const { buildDailyWeatherMessage } = require("./src/utils/messageFormatter");
 
 async function sendRegionalWeatherWebhook(regionId) {
   try {
@@ -16,40 +17,32 @@ async function sendRegionalWeatherWebhook(regionId) {
     const regionConfig = getRegionConfig(regionId);
     logger.info(`Sending weather update for region: ${regionConfig.name}`);
 
-    // Get weather data for this region (single condition + impacts)
-    const weather = getRegionalWeatherUpdate(regionConfig);
-
-    // Build the weather message content
-    let messageContent =
-      `📅 **Weather Update${
-        regionConfig.name ? ` - ${regionConfig.name}` : ""
-      }**\n` +
-      `**Date:** ${weather.date}\n` +
-      `**Season:** ${
-        weather.season.charAt(0).toUpperCase() + weather.season.slice(1)
-      }\n` +
-      `${getWeatherEmoji(weather.condition, false)} **Weather:** ${
-        weather.condition
-      }\n`;
-
-    // Add mechanical impacts if any
-    if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
-      weather.impacts.forEach((impact) => {
-        messageContent += `⚠️ ${impact}\n`;
-      });
+    // Only webhooks with daily updates on (Daily column, default on)
+    const webhooks = regionConfig.webhooks.filter((webhook) => webhook.daily);
+    if (webhooks.length === 0) {
+      logger.info(
+        `Daily updates are off for every webhook of region ${regionConfig.name} - skipping`
+      );
+      console.log(
+        `ℹ️ Daily updates are off for every webhook of ${regionConfig.name} - skipping`
+      );
+      return;
     }
 
-    // Format the message for Discord webhook
-    const weatherMessage = {
-      content: messageContent,
-    };
+    // Get weather data for this region (single condition + impacts)
+    const weather = getRegionalWeatherUpdate(regionConfig);
 
-    // Send to all Discord webhooks for this region
+    // Send to all Discord webhooks for this region, each in its own format
     const results = [];
-    for (let i = 0; i < regionConfig.webhookUrls.length; i++) {
-      const webhookUrl = regionConfig.webhookUrls[i];
+    for (let i = 0; i < webhooks.length; i++) {
+      const webhook = webhooks[i];
       try {
-        const response = await axios.post(webhookUrl, weatherMessage, {
+        // Build the weather message content (including mechanical impacts
+        // unless the webhook turned them off)
+        const weatherMessage = {
+          content: buildDailyWeatherMessage(regionConfig, weather, webhook),
+        };
+        const response = await axios.post(webhook.url, weatherMessage, {
           headers: {
             "Content-Type": "application/json",
           },
@@ -58,7 +51,7 @@ async function sendRegionalWeatherWebhook(regionId) {
         if (response.status === 204) {
           logger.info(
             `Weather update posted successfully to webhook ${i + 1}/${
-              regionConfig.webhookUrls.length
+              webhooks.length
             } for region: ${regionConfig.name}`
           );
           results.push({ webhookIndex: i + 1, success: true });
@@ -77,7 +70,7 @@ async function sendRegionalWeatherWebhook(regionId) {
       } catch (error) {
         logger.error(
           `Failed to send to webhook ${i + 1}/${
-            regionConfig.webhookUrls.length
+            webhooks.length
           } for region ${regionId}: ${error.message}`
         );
         results.push({
@@ -92,6 +85,17 @@ async function sendRegionalWeatherWebhook(regionId) {
     const successful = results.filter((r) => r.success).length;
     const failed = results.length - successful;
 
+    // Players have seen today's weather - freeze it in the ledger
+    if (successful > 0) {
+      recordWeather(regionConfig.id, weather);
+    }
+    await logPostedWeather(
+      [{ regionId: regionConfig.id, weather }],
+      "daily",
+      successful,
+      results.length
+    );
+
     if (failed === 0) {
       console.log(
         `✅ Weather update posted successfully to all ${successful} webhook(s) for ${regionConfig.name}!`
@@ -126,12 +130,30 @@ async function sendAllRegionalWebhooks() {
       return;
     }
 
-    logger.info(
-      `Sending weather updates for ${configuredRegions.length} regions`
-    );
+    // Regions in a posting pause get no update today
+    const today = new Date();
+    const activeRegions = configuredRegions.filter((region) => {
+      const pause = getActivePause(region.pauses, today);
+      if (pause) {
+        logger.info(
+          `Posting paused for region ${region.name}${
+            pause.reason ? ` (${pause.reason})` : ""
+          } - skipping`
+        );
+      }
+      return !pause;
+    });
+
+    if (activeRegions.length === 0) {
+      logger.info("Posting is paused for all regions today - nothing to send");
+      console.log("⏸️ Posting is paused for all regions today");
+      return;
+    }
+
+    logger.info(`Sending weather updates for ${activeRegions.length} regions`);
 
     const results = [];
-    for (const region of configuredRegions) {
+    for (const region of activeRegions) {
       try {
         await sendRegionalWeatherWebhook(region.id);
         results.push({ regionId: region.id, success: true });
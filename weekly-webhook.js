@@ -1,7 +1,7 @@
 const axios = require("axios");
 const {
   getRegionalWeeklyForecast,
-  getWeatherEmoji,
+  getRegionalPlayerForecast,
 } = require("./src/services/weatherService");
 const {
   loadConfiguration,
@@ -9,14 +9,29 @@ const {
   getRegionConfig,
   getWeeklyForecastWebhookUrl,
 } = require("./src/config/config");
+const { recordWeather } = require("./src/services/ledgerService");
+const { getActivePause } = require("./src/services/pauseService");
+const { logPostedWeather } = require("./src/services/weatherLogService");
 const { logger } = require("./src/utils/logger");
+const {
+  buildWeeklyForecastMessage,
+  buildWeeklyForecastSection,
+  buildForecastErrorSection,
+} = require("./src/utils/messageFormatter");
 
 async function sendAllRegionalWeeklyForecasts() {
   try {
     // Check if consolidated weekly forecast webhook is configured
     const weeklyForecastUrl = getWeeklyForecastWebhookUrl();
+    // Commander webhooks that turned weekly forecasts on
+    const commanderWebhookCount = getConfiguredRegions().reduce(
+      (count, region) =>
+        count +
+        (region.webhooks || []).filter((webhook) => webhook.weekly).length,
+      0
+    );
 
-    if (!weeklyForecastUrl) {
+    if (!weeklyForecastUrl && commanderWebhookCount === 0) {
       logger.error(
         "WEEKLY_FORECAST_WEBHOOK_URL not configured. Weekly forecast cannot be sent."
       );
@@ -26,9 +41,28 @@ async function sendAllRegionalWeeklyForecasts() {
       process.exit(1);
     }
 
-    // Use consolidated approach - send all regions to one channel
-    logger.info("Sending consolidated weekly forecast for all regions");
-    await sendConsolidatedWeeklyForecastWebhook();
+    // Commanders first: a failed consolidated post exits the run
+    let commanderFailures = 0;
+    if (commanderWebhookCount > 0) {
+      logger.info(
+        `Sending weekly forecasts to ${commanderWebhookCount} commander webhook(s)`
+      );
+      commanderFailures = await sendCommanderWeeklyForecasts();
+    }
+
+    if (weeklyForecastUrl) {
+      // Use consolidated approach - send all regions to one channel
+      logger.info("Sending consolidated weekly forecast for all regions");
+      await sendConsolidatedWeeklyForecastWebhook();
+    } else {
+      logger.info(
+        "WEEKLY_FORECAST_WEBHOOK_URL not configured - consolidated weekly forecast skipped"
+      );
+    }
+
+    if (commanderFailures > 0) {
+      process.exit(1);
+    }
   } catch (error) {
     logger.error(`Failed to send weekly forecast: ${error.message}`);
     console.error("❌ Failed to send weekly forecast:", error.message);
@@ -101,6 +135,76 @@ async function sendDiscordMessage(webhookUrl, content) {
   return responses;
 }
 
+/**
+ * Send each region's weekly forecast (as players see it) to the commander
+ * webhooks that turned weekly forecasts on in the Commander Database
+ * @returns {Promise<number>} - Number of commander webhooks that failed
+ */
+async function sendCommanderWeeklyForecasts() {
+  let failed = 0;
+
+  for (const region of getConfiguredRegions()) {
+    const webhooks = (region.webhooks || []).filter(
+      (webhook) => webhook.weekly
+    );
+    if (webhooks.length === 0) continue;
+
+    let regionConfig;
+    let weeklyForecast;
+    let playerForecast;
+    try {
+      regionConfig = getRegionConfig(region.id);
+      weeklyForecast = getRegionalWeeklyForecast(regionConfig);
+      playerForecast = weeklyForecast.map((day) =>
+        getRegionalPlayerForecast(regionConfig, day, weeklyForecast[0].isoDate)
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to generate forecast for region ${region.id}: ${error.message}`
+      );
+      failed += webhooks.length;
+      continue;
+    }
+
+    let successful = 0;
+    for (let i = 0; i < webhooks.length; i++) {
+      const label = `commander webhook ${i + 1}/${
+        webhooks.length
+      } for region: ${regionConfig.name}`;
+      try {
+        const responses = await sendDiscordMessage(
+          webhooks[i].url,
+          buildWeeklyForecastMessage(regionConfig, playerForecast, webhooks[i])
+        );
+        if (responses.every((response) => response.status === 204)) {
+          logger.info(`Weekly forecast posted successfully to ${label}`);
+          successful++;
+        } else {
+          logger.warn(`Some weekly forecast messages failed for ${label}`);
+        }
+      } catch (error) {
+        logger.error(`Failed to send to ${label}: ${error.message}`);
+      }
+    }
+    failed += webhooks.length - successful;
+
+    // Paused days are marked, not forecast
+    const isForecast = (day) =>
+      !getActivePause(regionConfig.pauses, day.isoDate);
+    if (successful > 0) {
+      recordWeather(region.id, weeklyForecast.filter(isForecast));
+    }
+    await logPostedWeather(
+      [{ regionId: region.id, weather: playerForecast.filter(isForecast) }],
+      "weekly",
+      successful,
+      webhooks.length
+    );
+  }
+
+  return failed;
+}
+
 async function sendConsolidatedWeeklyForecastWebhook() {
   try {
     const weeklyForecastUrl = getWeeklyForecastWebhookUrl();
@@ -130,47 +234,38 @@ async function sendConsolidatedWeeklyForecastWebhook() {
     // Build consolidated forecast message
     let consolidatedMessage =
       "📅 **Weekly Weather Forecast - All Regions**\n\n";
+    const postedForecasts = [];
 
     for (const region of configuredRegions) {
       try {
         const regionConfig = getRegionConfig(region.id);
         const weeklyForecast = getRegionalWeeklyForecast(regionConfig);
+        const playerForecast = weeklyForecast.map((day) =>
+          getRegionalPlayerForecast(
+            regionConfig,
+            day,
+            weeklyForecast[0].isoDate
+          )
+        );
 
-        if (regionConfig.name) {
-          consolidatedMessage += `🌍 **${regionConfig.name}**\n\n`;
-        }
-
-        weeklyForecast.forEach((dayWeather, index) => {
-          const isToday = index === 0;
-          const dayLabel = isToday ? "Today" : dayWeather.dayOfWeek;
-          consolidatedMessage +=
-            `**${dayLabel} - ${dayWeather.date}**\n` +
-            `Season: ${
-              dayWeather.season.charAt(0).toUpperCase() +
-              dayWeather.season.slice(1)
-            }\n` +
-            `${getWeatherEmoji(dayWeather.condition, false)} Weather: ${
-              dayWeather.condition
-            }\n`;
-
-          // Add mechanical impacts if any
-          if (Array.isArray(dayWeather.impacts) && dayWeather.impacts.length) {
-            dayWeather.impacts.forEach((impact) => {
-              consolidatedMessage += `⚠️ ${impact}\n`;
-            });
-          }
-
-          consolidatedMessage += `\n`;
+        // Players see the in-fiction forecast; the ledger gets the truth
+        consolidatedMessage += buildWeeklyForecastSection(
+          regionConfig,
+          playerForecast
+        );
+        // Paused days are marked, not forecast
+        const isForecast = (day) =>
+          !getActivePause(regionConfig.pauses, day.isoDate);
+        postedForecasts.push({
+          regionId: region.id,
+          weeklyForecast: weeklyForecast.filter(isForecast),
+          announced: playerForecast.filter(isForecast),
         });
-
-        consolidatedMessage += "─────────────────────────────\n\n";
       } catch (error) {
         logger.error(
           `Failed to generate forecast for region ${region.id}: ${error.message}`
         );
-        consolidatedMessage += `🌍 **${region.name || region.id}**\n`;
-        consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
-        consolidatedMessage += "─────────────────────────────\n\n";
+        consolidatedMessage += buildForecastErrorSection(region);
       }
     }
 
@@ -178,16 +273,38 @@ async function sendConsolidatedWeeklyForecastWebhook() {
     consolidatedMessage +=
       "*Consolidated weather forecast for all campaign regions*";
 
-    // Send message(s) to Discord webhook, splitting if necessary
-    const responses = await sendDiscordMessage(
-      weeklyForecastUrl,
-      consolidatedMessage
+    // The Weather Log records what players were told
+    const announcedForecasts = postedForecasts.map(
+      ({ regionId, announced }) => ({ regionId, weather: announced })
     );
 
+    // Send message(s) to Discord webhook, splitting if necessary
+    let responses;
+    try {
+      responses = await sendDiscordMessage(
+        weeklyForecastUrl,
+        consolidatedMessage
+      );
+    } catch (error) {
+      await logPostedWeather(announcedForecasts, "weekly", 0, 1);
+      throw error;
+    }
+
+    // The forecast days are announced now - freeze them in the ledger
+    for (const { regionId, weeklyForecast } of postedForecasts) {
+      recordWeather(regionId, weeklyForecast);
+    }
+
     // Check all responses
     const allSuccessful = responses.every(
       (response) => response.status === 204
     );
+    await logPostedWeather(
+      announcedForecasts,
+      "weekly",
+      responses.filter((response) => response.status === 204).length,
+      responses.length
+    );
 
     if (allSuccessful) {
       const messageCount = responses.length;
@@ -241,4 +358,5 @@ if (require.main === module) {
 module.exports = {
   sendAllRegionalWeeklyForecasts,
   sendConsolidatedWeeklyForecastWebhook,
+  sendCommanderWeeklyForecasts,
 };